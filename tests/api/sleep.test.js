@@ -9,6 +9,7 @@ import 'dotenv/config';
 import {TestHelpers, TestState} from '../utils/test-helpers.js';
 import {getShortTestDateRange, getTestDateRange} from '../utils/date-helper.js';
 import {sleepScore} from '../epics/sleep_aggregator.js';
+import {apiDuration, formatClockTime, quantity} from '../epics/shared/units.js';
 
 describe('OneVital API Sleep Endpoints', () => {
     beforeAll(async () => {
@@ -182,13 +183,16 @@ describe('OneVital API Sleep Endpoints', () => {
                 fellAsleep: "23:46", // Calculated from circadian midpoint 23.76
                 tst: "8:19", // 8.32 hours = 8 hours 19 minutes
                 observedCycles: 5,
-                scsX: 0.47
+                scsX: 0.47,
+                tempDeviationC: 0.2 // Wrist temperature 0.2 °C above baseline
             };
 
             console.info('Testing sleepScore with good sleep data:');
+            let goodSleepResult;
             expect(() => {
-                sleepScore(goodSleepData);
+                goodSleepResult = sleepScore(goodSleepData);
             }).not.toThrow();
+            expect(Number.isFinite(goodSleepResult.components.tdv.value)).toBe(true); // Temperature Deviation
 
             // Test scenario 2: Poor sleep data (from your sample)
             const poorSleepData = {
@@ -225,38 +229,18 @@ async function validateSleepScoreFunction(firstDay) {
     console.info('='.repeat(50));
     console.info('Raw API metrics received:', metrics);
 
-    // === USE PRECISE MINUTES FROM BACKEND (PREFERRED METHOD) ===
-    let deepH, deepM, coreH, coreM, remH, remM, awakeH, awakeM;
-    
-    if (metrics.deepSleepMinutes !== undefined && metrics.remSleepMinutes !== undefined && 
+    // === STAGE DURATIONS FROM BACKEND ===
+    // Precise *Minutes preferred, decimal *Hours otherwise (see apiDuration in shared/units.js)
+    const stageDuration = name => apiDuration(metrics, name) ?? quantity(0, 'min');
+    const deep = stageDuration('deepSleep');
+    const core = stageDuration('lightSleep');
+    const rem = stageDuration('remSleep');
+    const awake = stageDuration('wakeAfterSleepOnset');
+
+    if (metrics.deepSleepMinutes !== undefined && metrics.remSleepMinutes !== undefined &&
         metrics.lightSleepMinutes !== undefined && metrics.wakeAfterSleepOnsetMinutes !== undefined) {
-        // Use precise minutes from backend
-        deepH = Math.floor(metrics.deepSleepHours || 0);
-        deepM = metrics.deepSleepMinutes;
-        coreH = Math.floor(metrics.lightSleepHours || 0);
-        coreM = metrics.lightSleepMinutes;
-        remH = Math.floor(metrics.remSleepHours || 0);
-        remM = metrics.remSleepMinutes;
-        awakeH = Math.floor(metrics.wakeAfterSleepOnsetHours || 0);
-        awakeM = metrics.wakeAfterSleepOnsetMinutes;
-        
         console.info('✅ Using precise minutes from backend');
     } else {
-        // Fallback: Calculate from decimal hours (less precise)
-        const deepSleepHours = metrics.deepSleepHours || 0;
-        const remSleepHours = metrics.remSleepHours || 0;
-        const lightSleepHours = metrics.lightSleepHours || 0;
-        const wakeHours = metrics.wakeAfterSleepOnsetHours || 0;
-
-        deepH = Math.floor(deepSleepHours);
-        deepM = Math.round((deepSleepHours - deepH) * 60);
-        coreH = Math.floor(lightSleepHours);
-        coreM = Math.round((lightSleepHours - coreH) * 60);
-        remH = Math.floor(remSleepHours);
-        remM = Math.round((remSleepHours - remH) * 60);
-        awakeH = Math.floor(wakeHours);
-        awakeM = Math.round((wakeHours - awakeH) * 60);
-        
         console.warn('⚠️  Fallback: Calculating minutes from decimal hours (less precise)');
     }
 
@@ -265,15 +249,10 @@ async function validateSleepScoreFunction(firstDay) {
     
     if (metrics.bedtimeHours !== undefined && metrics.wakeTimeHours !== undefined) {
         // Use precise bedtime from backend
-        const bedtimeH = Math.floor(metrics.bedtimeHours);
-        const bedtimeM = Math.round((metrics.bedtimeHours - bedtimeH) * 60);
-        fellAsleep = `${bedtimeH.toString().padStart(2, '0')}:${bedtimeM.toString().padStart(2, '0')}`;
+        fellAsleep = formatClockTime(metrics.bedtimeHours);
         
         // Calculate total sleep time from actual sleep durations (more accurate)
-        const totalSleepHours = (deepH + coreH + remH) + (deepM + coreM + remM) / 60;
-        const totalH = Math.floor(totalSleepHours);
-        const totalM = Math.round((totalSleepHours - totalH) * 60);
-        tst = `${totalH}:${totalM.toString().padStart(2, '0')}`;
+        tst = quantity(deep.value + core.value + rem.value, 'min');
         
         console.info('✅ Using precise bedtime from backend');
     } else {
@@ -281,14 +260,8 @@ async function validateSleepScoreFunction(firstDay) {
         const totalSleepHours = metrics.totalSleepTimeHours || 8;
         const midpointHours = metrics.circadianMidpointHours || 4;
         
-        const fellAsleepDecimal = (midpointHours - (totalSleepHours / 2) + 24) % 24;
-        const fellAsleepH = Math.floor(fellAsleepDecimal);
-        const fellAsleepM = Math.round((fellAsleepDecimal - fellAsleepH) * 60);
-        fellAsleep = `${fellAsleepH.toString().padStart(2, '0')}:${fellAsleepM.toString().padStart(2, '0')}`;
-        
-        const totalH = Math.floor(totalSleepHours);
-        const totalM = Math.round((totalSleepHours - totalH) * 60);
-        tst = `${totalH}:${totalM.toString().padStart(2, '0')}`;
+        fellAsleep = formatClockTime(midpointHours - totalSleepHours / 2);
+        tst = quantity(totalSleepHours, 'h');
         
         console.warn('⚠️  Fallback: Calculating sleep timing from circadian midpoint (less accurate)');
     }
@@ -304,10 +277,7 @@ async function validateSleepScoreFunction(firstDay) {
     }
 
     const sleepScoreParams = {
-        deepH, deepM,
-        coreH, coreM,
-        remH, remM,
-        awakeH, awakeM,
+        deep, core, rem, awake,
         restingHR: Math.round(metrics.avgRestingHeartRateBpm || 70),
         sleepHR: Math.round(metrics.avgSleepHeartRateBpm || 60),
         fellAsleep,
@@ -325,17 +295,19 @@ async function validateSleepScoreFunction(firstDay) {
 
     // Compare finalResult with API endpoint response values
     expect(finalResult).toBeDefined();
-    expect(finalResult.tsd).toBeDefined(); // Total Sleep Duration
-    expect(finalResult.se).toBeDefined();  // Sleep Efficiency
-    expect(finalResult.dss).toBeDefined(); // Deep Sleep Score
-    expect(finalResult.rss).toBeDefined(); // REM Sleep Score
-    expect(finalResult.sol).toBeDefined(); // Sleep Onset Latency
-    expect(finalResult.waso).toBeDefined(); // Wake After Sleep Onset
-    expect(finalResult.hrd).toBeDefined(); // Heart Rate Dip
-    expect(finalResult.scs).toBeDefined(); // Sleep Consistency Score
-    expect(finalResult.cas).toBeDefined(); // Circadian Alignment Score
-    expect(finalResult.nsc).toBeDefined(); // Number of Sleep Cycles
-    expect(finalResult.ssd).toBeDefined(); // Sleep Stage Distribution
+    expect(finalResult.total).toBeValidScore(); // Weighted Sleep Score
+    expect(finalResult.components.tsd.value).toBeDefined(); // Total Sleep Duration
+    expect(finalResult.components.se.value).toBeDefined();  // Sleep Efficiency
+    expect(finalResult.components.dss.value).toBeDefined(); // Deep Sleep Score
+    expect(finalResult.components.rss.value).toBeDefined(); // REM Sleep Score
+    expect(finalResult.components.sol.value).toBeDefined(); // Sleep Onset Latency
+    expect(finalResult.components.waso.value).toBeDefined(); // Wake After Sleep Onset
+    expect(finalResult.components.hrd.value).toBeDefined(); // Heart Rate Dip
+    expect(finalResult.components.scs.value).toBeDefined(); // Sleep Consistency Score
+    expect(finalResult.components.cas.value).toBeDefined(); // Circadian Alignment Score
+    expect(finalResult.components.nsc.value).toBeDefined(); // Number of Sleep Cycles
+    expect(finalResult.components.ssd.value).toBeDefined(); // Sleep Stage Distribution
+    expect(finalResult.components.tdv.value).toBeNull(); // Temperature Deviation: no temperature input
 
     // Compare values with tolerance
     compareMetricsWithTolerance(finalResult, firstDay);
@@ -348,22 +320,25 @@ async function validateSleepScoreFunction(firstDay) {
  */
 function compareMetricsWithTolerance(finalResult, firstDay) {
     // Map sleepScore function results to API response format for comparison
+    const {components} = finalResult;
     const actualValues = {
-        TotalSleepDuration: {value: finalResult.tsd},
-        SleepEfficiency: {value: finalResult.se},
-        DeepSleep: {value: finalResult.dss},
-        RemSleep: {value: finalResult.rss},
-        SleepOnsetLatency: {value: finalResult.sol},
-        WASO: {value: finalResult.waso},
-        HRDip: {value: finalResult.hrd},
-        SleepConsistency: {value: finalResult.scs},
-        CircadianAlignment: {value: finalResult.cas},
-        SleepCycles: {value: finalResult.nsc},
-        SleepStageDistribution: {value: finalResult.ssd}
+        SleepScore: {value: finalResult.total},
+        TotalSleepDuration: {value: components.tsd.value},
+        SleepEfficiency: {value: components.se.value},
+        DeepSleep: {value: components.dss.value},
+        RemSleep: {value: components.rss.value},
+        SleepOnsetLatency: {value: components.sol.value},
+        WASO: {value: components.waso.value},
+        HRDip: {value: components.hrd.value},
+        SleepConsistency: {value: components.scs.value},
+        CircadianAlignment: {value: components.cas.value},
+        SleepCycles: {value: components.nsc.value},
+        SleepStageDistribution: {value: components.ssd.value}
     };
 
     // Use the actual API response data from firstDay for comparison
     const expectedValues = {
+        SleepScore: firstDay.SleepScore,
         TotalSleepDuration: firstDay.TotalSleepDuration,
         SleepEfficiency: firstDay.SleepEfficiency,
         DeepSleep: firstDay.DeepSleep,
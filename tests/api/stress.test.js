@@ -239,11 +239,12 @@ async function calculateAndCompareStressScores(dailyData, startDate, endDate) {
 
     console.info('\n--- OVERALL STRESS SCORE COMPARISON ---');
 
-    // Validate Overall Stress Score
+    // Validate Overall Stress Score: the API reports it on the parasympathetic scale (100 = fully relaxed),
+    // the aggregator's stressScore is the stress level (100 - parasympatheticScore)
     addMetricValidation(
         'StressScore',
         dailyData.StressScore.value,
-        finalResult.stressScore,
+        finalResult.parasympatheticScore,
         tolerances.stressScore,
         validationResults,
         failures,
@@ -256,10 +257,11 @@ async function calculateAndCompareStressScores(dailyData, startDate, endDate) {
             // Calculated components
             calculatedRHR: finalResult.rhr,
             parasympatheticScore: finalResult.parasympatheticScore,
+            stressScore: finalResult.stressScore,
             stressLevel: finalResult.analysis.stressLevel,
 
             // Relationship
-            relationship: 'Overall_Stress = RHR_Para (from specification)'
+            relationship: 'Overall_Stress = RHR_Para (from specification) = 100 - stressScore of the aggregator'
         }
     );
 
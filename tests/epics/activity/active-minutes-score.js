@@ -5,15 +5,31 @@
  * to recommended targets based on age group.
  */
 
+import {isMissing, optionalNumber} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
 /**
  * Calculate Active Minutes Score based on OneVital formula
- * @param {number} mvpaMinutesToday - Today's MVPA minutes
- * @param {number} mvpaRecentMean - Recent 7-day average MVPA
- * @param {number} mvpaMinRecommendedByAge - Minimum recommended MVPA by age
+ * @param {number|string|Object} mvpaMinutesToday - Today's MVPA minutes ("H:MM" and tagged quantities are converted)
+ * @param {number|string|Object} mvpaRecentMean - Recent 7-day average MVPA
+ * @param {number|string|Object} mvpaMinRecommendedByAge - Minimum recommended MVPA by age
  * @param {string} ageGroup - Age group ("adult", "child", "older_adult")
- * @returns {Object} Active minutes score with value, normDeviation, and trend
+ * @param {number} sigmaM - Standard deviation tolerance in minutes (default 15)
+ * @returns {Object} Active minutes score with value, normDeviation, and trend (value null without today's MVPA minutes)
  */
-export function calculateActiveMinutesScore(mvpaMinutesToday, mvpaRecentMean, mvpaMinRecommendedByAge, ageGroup) {
+export function calculateActiveMinutesScore(mvpaMinutesToday, mvpaRecentMean, mvpaMinRecommendedByAge, ageGroup, sigmaM = 15) {
+    mvpaMinutesToday = toUnit('mvpaMinutesToday', mvpaMinutesToday, 'min');
+    mvpaRecentMean = toUnit('mvpaRecentMean', mvpaRecentMean, 'min');
+    mvpaMinRecommendedByAge = toUnit('mvpaMinRecommendedByAge', mvpaMinRecommendedByAge, 'min');
+    optionalNumber('mvpaMinutesToday', mvpaMinutesToday, {min: 0, max: 24 * 60});
+    optionalNumber('mvpaRecentMean', mvpaRecentMean, {min: 0, max: 24 * 60});
+    optionalNumber('mvpaMinRecommendedByAge', mvpaMinRecommendedByAge, {min: 0, max: 24 * 60});
+
+    // No MVPA data is not the same as 0 active minutes
+    if (isMissing(mvpaMinutesToday)) {
+        return {value: null, normDeviation: null, trend: null};
+    }
+
     // Calculate weighted 7-day average (μ_recent)
     const muRecent = mvpaRecentMean || 0;
 
@@ -37,11 +53,8 @@ export function calculateActiveMinutesScore(mvpaMinutesToday, mvpaRecentMean, mv
     // Calculate μ_m = max(μ_recent, min_recommended_by_age)
     const muM = Math.max(muRecent, minRecommendedByAge);
 
-    // Standard deviation tolerance (σ_m) - typically 15 min according to formula
-    const sigmaM = 15;
-
     // Today's total MVPA minutes
-    const m = mvpaMinutesToday || 0;
+    const m = mvpaMinutesToday;
 
     // Final Formula: S_ActiveMinScore = 100 × e^(-(m - μ_m)^2 / (2σ_m^2))
     const exponent = -Math.pow(m - muM, 2) / (2 * Math.pow(sigmaM, 2));
@@ -53,7 +66,7 @@ export function calculateActiveMinutesScore(mvpaMinutesToday, mvpaRecentMean, mv
     return {
         value: Math.round(activeMinutesScore),
         normDeviation: Math.round(normDeviation * 100) / 100, // Round to 2 decimal places
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
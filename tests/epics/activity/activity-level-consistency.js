@@ -6,23 +6,40 @@
  * High Gini = clumped activity = not good
  */
 
+import {isMissing, optionalNumber, requireNumberArray} from "../shared/validation.js";
+
 /**
  * Calculate Activity Level Consistency Score based on OneVital formula
  * @param {Array} stepsBins - Array of step counts across different time bins
  * @param {number} giniMeanStepsPerBin - Pre-calculated Gini coefficient (if available)
  * @returns {Object} Activity level consistency score with value, normDeviation, and trend
+ *   (value null with neither bins nor a Gini coefficient)
  */
 export function calculateActivityLevelConsistencyScore(stepsBins, giniMeanStepsPerBin, steps7dStdDev) {
-    // Use provided Gini coefficient or calculate from bins
-    let giniCoefficient = 0;
-
-    if (Array.isArray(stepsBins) && stepsBins?.length) {
-        giniCoefficient = calculateGiniCoefficient(stepsBins);
+    if (!isMissing(stepsBins)) {
+        requireNumberArray('stepsBins', stepsBins, {min: 0});
+    }
+    optionalNumber('giniMeanStepsPerBin', giniMeanStepsPerBin, {min: 0});
+
+    // Without bins use the pre-calculated Gini coefficient; with neither there is nothing to score
+    if (!Array.isArray(stepsBins) || stepsBins.length === 0) {
+        if (isMissing(giniMeanStepsPerBin)) {
+            return {value: null, normDeviation: null, trend: null};
+        }
+        const gini = Math.min(1, giniMeanStepsPerBin);
+        return {
+            value: Math.round(100 * (1 - gini)),
+            normDeviation: Math.round(gini * 1000) / 1000, // Round to 3 decimal places
+            trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
+        };
     }
 
+    // Calculate Gini coefficient from bins
+    const giniCoefficient = calculateGiniCoefficient(stepsBins);
+
     // Handle edge cases
-    const mean = giniMeanStepsPerBin || stepsBins ? stepsBins.reduce((sum, steps) => sum + steps, 0) / stepsBins.length : 0;
-    const stdDev = stepsBins ? calculateStandardDeviation(stepsBins, mean) : 0;
+    const mean = stepsBins.reduce((sum, steps) => sum + steps, 0) / stepsBins.length;
+    const stdDev = calculateStandardDeviation(stepsBins, mean);
 
     let consistencyScore;
 
@@ -48,7 +65,7 @@ export function calculateActivityLevelConsistencyScore(stepsBins, giniMeanStepsP
     return {
         value: Math.round(consistencyScore),
         normDeviation: Math.round(normDeviation * 1000) / 1000, // Round to 3 decimal places
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
@@ -5,14 +5,24 @@
  * Less deviation = better health patterns.
  */
 
+import {isMissing, optionalNumber, requireNumberArray} from "../shared/validation.js";
+
 /**
  * Calculate Consistency Score based on OneVital formula
  * @param {Array} steps7dArray - Array of daily step counts for the past 7 days
  * @param {number} steps7dMean - 7-day mean step count
  * @param {number} steps7dStdDev - 7-day standard deviation
+ * @param {number} sigmaRef - Reference tolerance in steps (default 1500)
  * @returns {Object} Consistency score with value, normDeviation, and trend
+ *   (value null without a standard deviation or a full 7-day array)
  */
-export function calculateConsistencyScore(steps7dArray, steps7dMean, steps7dStdDev) {
+export function calculateConsistencyScore(steps7dArray, steps7dMean, steps7dStdDev, sigmaRef = 1500) {
+    if (!isMissing(steps7dArray)) {
+        requireNumberArray('steps7dArray', steps7dArray, {min: 0});
+    }
+    optionalNumber('steps7dMean', steps7dMean, {min: 0});
+    optionalNumber('steps7dStdDev', steps7dStdDev, {min: 0});
+
     // Use provided standard deviation or calculate from array
     let sigmaW = steps7dStdDev;
 
@@ -26,14 +36,11 @@ export function calculateConsistencyScore(steps7dArray, steps7dMean, steps7dStdD
         sigmaW = Math.sqrt(variance);
     }
 
-    // Default to provided standard deviation or use a reasonable default
-    if (!sigmaW) {
-        sigmaW = steps7dStdDev || 0;
+    // Without a standard deviation or 7 days of steps there is nothing to score (not perfect consistency)
+    if (isMissing(sigmaW)) {
+        return {value: null, normDeviation: null, trend: null};
     }
 
-    // Reference tolerance (from formula)
-    const sigmaRef = 1500; // tolerance
-
     // Calculate score: S_Consistency = 100 × max(0, 1 - (σ_w / σ_ref))
     const ratio = sigmaW / sigmaRef;
     const consistencyScore = 100 * Math.max(0, 1 - ratio);
@@ -44,7 +51,7 @@ export function calculateConsistencyScore(steps7dArray, steps7dMean, steps7dStdD
     return {
         value: Math.round(consistencyScore),
         normDeviation: Math.round(normDeviation * 100) / 100, // Round to 2 decimal places
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
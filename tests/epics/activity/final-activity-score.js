@@ -3,18 +3,23 @@
  *
  * Combines all individual activity metrics into a weighted final activity score.
  * Uses the OneVital weighted formula combining Steps, Active Minutes, Consistency,
- * Gini Coefficient, and Total Energy Credit scores.
+ * Gini Coefficient, and Total Energy Credit scores. Scores that could not be computed
+ * (missing input data) are left out and the remaining weights renormalized.
  */
 
+import {optionalNumber} from "../shared/validation.js";
+import {DEFAULT_SCORING_CONFIG} from "../shared/scoring-config.js";
+import {calculateWeightedComposite} from "../shared/composite.js";
+
 /**
  * Calculate Final Activity Score based on OneVital weighted formula
- * @param {number} stepsScore - Steps Score (0-100)
- * @param {number} activeMinutesScore - Active Minutes Score (0-100)
- * @param {number} consistencyScore - Consistency Score (0-100)
- * @param {number} activityLevelConsistencyScore - Gini Coefficient Score (0-100)
- * @param {number} totalEnergyCreditScore - Total Energy Credit Score (0-100)
- * @param {Object} options - Configuration options for weights
- * @returns {Object} Final activity score with value, components, and trend
+ * @param {number} stepsScore - Steps Score (0-100, null when missing)
+ * @param {number} activeMinutesScore - Active Minutes Score (0-100, null when missing)
+ * @param {number} consistencyScore - Consistency Score (0-100, null when missing)
+ * @param {number} activityLevelConsistencyScore - Gini Coefficient Score (0-100, null when missing)
+ * @param {number} totalEnergyCreditScore - Total Energy Credit Score (0-100, null when missing)
+ * @param {Object} baseWeights - Weights used when every component is present (default: scoring profile weights)
+ * @returns {Object} Final activity score with value, components (with renormalized weights), excluded components, and trend
  */
 export function calculateFinalActivityScore(
     stepsScore,
@@ -22,88 +27,44 @@ export function calculateFinalActivityScore(
     consistencyScore,
     activityLevelConsistencyScore,
     totalEnergyCreditScore,
+    baseWeights = DEFAULT_SCORING_CONFIG.activity.weights
 ) {
-    // Default weights from OneVital formula
-    let weights = {
-        stepsScore: 0.25,           // 25%
-        activeMinutesScore: 0.25,  // 25%
-        consistencyScore: 0.15,     // 15%
-        activityLevelConsistencyScore: 0.10,  // 10%
-        totalEnergyCreditScore: 0.25  // 25%
-    };
-
-    if (!consistencyScore && consistencyScore !== 0 && !totalEnergyCreditScore && totalEnergyCreditScore !== 0) {
-        weights = {
-            stepsScore: 0.385,           // 38.5%
-            activeMinutesScore: 0.385,  // 38.5%
-            consistencyScore: 0,
-            activityLevelConsistencyScore: 0.23,  // 23%
-            totalEnergyCreditScore: 0
-        };
-    } else if (!consistencyScore && consistencyScore !== 0) {
-        weights = {
-            stepsScore: 0.294,           // 29.4%
-            activeMinutesScore: 0.294,  // 29.4%
-            consistencyScore: 0,
-            activityLevelConsistencyScore: 0.118,  // 10%
-            totalEnergyCreditScore: 0.294  // 29.4%
-        };
-    } else if (!totalEnergyCreditScore && totalEnergyCreditScore !== 0) {
-        weights = {
-            stepsScore: 0.333,           // 33.3%
-            activeMinutesScore: 0.333,  // 33.3%
-            consistencyScore: 0.2,     // 20%
-            activityLevelConsistencyScore: 0.134,  // 13.4%
-            totalEnergyCreditScore: 0
-        };
-    }
-
-    // Handle default values for missing scores
-    const ss = stepsScore || 0;
-    const ams = activeMinutesScore || 0;
-    const cs = consistencyScore || 0;
-    const gcs = activityLevelConsistencyScore || 0;
-    const tecs = totalEnergyCreditScore || 0;
+    optionalNumber('stepsScore', stepsScore, {min: 0, max: 100});
+    optionalNumber('activeMinutesScore', activeMinutesScore, {min: 0, max: 100});
+    optionalNumber('consistencyScore', consistencyScore, {min: 0, max: 100});
+    optionalNumber('activityLevelConsistencyScore', activityLevelConsistencyScore, {min: 0, max: 100});
+    optionalNumber('totalEnergyCreditScore', totalEnergyCreditScore, {min: 0, max: 100});
 
-    // Calculate weighted activity score
+    // Weights from the scoring profile (OneVital: 25% / 25% / 15% / 10% / 25%);
+    // missing scores are excluded and the remaining weights renormalized proportionally
     // Activity score = 0.25 * SS + 0.25 * AMS + 0.15 * CS + 0.1 * GCS + 0.25 * TECS
-    const finalActivityScore =
-        weights.stepsScore * ss +
-        weights.activeMinutesScore * ams +
-        weights.consistencyScore * cs +
-        weights.activityLevelConsistencyScore * gcs +
-        weights.totalEnergyCreditScore * tecs;
+    const composite = calculateWeightedComposite({
+        stepsScore,
+        activeMinutesScore,
+        consistencyScore,
+        activityLevelConsistencyScore,
+        totalEnergyCreditScore
+    }, baseWeights);
 
-    // Ensure score is within 0-100 bounds
-    const boundedScore = Math.max(0, Math.min(100, finalActivityScore));
+    const components = {};
+    const weights = {};
+    Object.entries(composite.components).forEach(([key, component]) => {
+        weights[key] = component.effectiveWeight;
+        components[key] = {
+            value: component.value,
+            weight: component.effectiveWeight,
+            contribution: component.contribution
+        };
+    });
 
     return {
-        value: Math.round(boundedScore * 100) / 100, // Round to 2 decimal places
-        components: {
-            stepsScore: {value: ss, weight: weights.stepsScore, contribution: weights.stepsScore * ss},
-            activeMinutesScore: {
-                value: ams,
-                weight: weights.activeMinutesScore,
-                contribution: weights.activeMinutesScore * ams
-            },
-            consistencyScore: {
-                value: cs,
-                weight: weights.consistencyScore,
-                contribution: weights.consistencyScore * cs
-            },
-            activityLevelConsistencyScore: {
-                value: gcs,
-                weight: weights.activityLevelConsistencyScore,
-                contribution: weights.activityLevelConsistencyScore * gcs
-            },
-            totalEnergyCreditScore: {
-                value: tecs,
-                weight: weights.totalEnergyCreditScore,
-                contribution: weights.totalEnergyCreditScore * tecs
-            }
-        },
-        weights: weights,
-        trend: null // Not calculated in this implementation
+        value: composite.value === null ? null : Math.round(composite.value * 100) / 100, // Round to 2 decimal places
+        components,
+        weights,
+        baseWeights: {...baseWeights},
+        excludedComponents: composite.excluded,
+        coverage: composite.coverage,
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
@@ -5,17 +5,27 @@
  * the user is to their daily step goal or baseline.
  */
 
+import {isMissing, optionalNumber, requireArray, requireNumber} from "../shared/validation.js";
+
 /**
  * Calculate Steps Score based on OneVital formula
  * @param {number} stepsTodayX - Steps taken today
  * @param {number} baselineStepsMu - Personal baseline steps (mean)
  * @param {number} sigmaInput - default 2000
  * @param {number} steps7dTotalArray - 7-day value of steps
+ * @param {number} defaultBaseline - Baseline used when no personal baseline is provided (default 8000)
  * @returns {Object} Steps score with value, normDeviation, and trend
  */
-export function calculateStepsScore(stepsTodayX, baselineStepsMu, sigmaInput, steps7dTotalArray) {
+export function calculateStepsScore(stepsTodayX, baselineStepsMu, sigmaInput, steps7dTotalArray, defaultBaseline = 8000) {
+    requireNumber('stepsTodayX', stepsTodayX, {min: 0});
+    optionalNumber('baselineStepsMu', baselineStepsMu, {min: 0});
+    optionalNumber('sigmaInput', sigmaInput, {min: 0});
+    if (!isMissing(steps7dTotalArray)) {
+        requireArray('steps7dTotalArray', steps7dTotalArray);
+    }
+
     // Use provided baseline or calculate from 7-day data
-    let baseline = baselineStepsMu || 8000; // Default baseline
+    let baseline = baselineStepsMu || defaultBaseline;
 
     // Calculate 7-day total for baseline validation
     const steps7dTotal = (steps7dTotalArray || []).reduce((acc, steps) => {
@@ -55,7 +65,7 @@ export function calculateStepsScore(stepsTodayX, baselineStepsMu, sigmaInput, st
     return {
         value: Math.round(stepsScore), // stepsScore: 7.484286474863389
         normDeviation: Math.round(normDeviation * 100) / 100, // Round to 2 decimal places -- normDeviation: -2.277
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
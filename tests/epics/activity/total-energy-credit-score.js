@@ -3,24 +3,39 @@
  *
  * Uses a sigmoid function to combine current energy credit score with
  * rolling average for a smoothed total energy credit assessment.
+ *
+ * TotalEnergyCreditScore = 100 × sigmoid((CurrentScore + RollingAVG - MaxCreditScore / 2) / (MaxCreditScore / 8))
+ * (the centered sigmoid of energy-credit-score.js, on a 0-100 scale)
  */
 
+import {isMissing, optionalNumber} from "../shared/validation.js";
+import {creditSigmoid} from "../energy/energy-credit-score.js";
+
 /**
  * Calculate Total Energy Credit Score based on OneVital formula
  * @param {number} energyCreditCurrentScore - Today's adjusted Energy Credit Score
  * @param {number} energyCreditRollingAvg - 7-day weighted average of past scores
- * @returns {Object} Total energy credit score with value, normDeviation, and trend
+ * @param {number} maxCreditScore - Maximum energy credit score (default 1000, the energy profile's maxCreditScore)
+ * @returns {Object} Total energy credit score with value, normDeviation, and trend (value null without a current score)
  */
-export function calculateTotalEnergyCreditScore(energyCreditCurrentScore, energyCreditRollingAvg) {
-    // Default values if not provided
-    const currentScore = energyCreditCurrentScore || 0;
+export function calculateTotalEnergyCreditScore(energyCreditCurrentScore, energyCreditRollingAvg, maxCreditScore = 1000) {
+    optionalNumber('energyCreditCurrentScore', energyCreditCurrentScore);
+    optionalNumber('energyCreditRollingAvg', energyCreditRollingAvg);
+
+    // Without today's energy credit score there is nothing to score (sigmoid(0) would read as 50)
+    if (isMissing(energyCreditCurrentScore)) {
+        return {value: null, normDeviation: null, trend: null};
+    }
+
+    // Rolling average defaults to no change
+    const currentScore = energyCreditCurrentScore;
     const rollingAvg = energyCreditRollingAvg || 0;
 
     // Calculate sum for sigmoid input
     const sum = currentScore + rollingAvg;
 
-    // Apply sigmoid function: TotalEnergyCreditScore = 1 / (1 + exp(-(CurrentScore + RollingAVG)))
-    const sigmoidOutput = 1 / (1 + Math.exp(-sum));
+    // Apply the sigmoid centered on half the credit scale (an uncentered one is 1 for any real credit score)
+    const sigmoidOutput = creditSigmoid(currentScore, rollingAvg, maxCreditScore).value;
 
     // Convert to 0-100 scale
     const totalEnergyCreditScore = sigmoidOutput * 100;
@@ -31,7 +46,7 @@ export function calculateTotalEnergyCreditScore(energyCreditCurrentScore, energy
     return {
         value: Math.round(totalEnergyCreditScore * 100) / 100, // Round to 2 decimal places
         normDeviation: Math.round(normDeviation * 100) / 100, // Round to 2 decimal places
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
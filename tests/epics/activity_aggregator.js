@@ -5,8 +5,19 @@ import { calculateConsistencyScore } from "./activity/consistency-score.js";
 import { calculateActivityLevelConsistencyScore } from "./activity/activity-level-consistency.js";
 import { calculateTotalEnergyCreditScore } from "./activity/total-energy-credit-score.js";
 import { calculateFinalActivityScore } from "./activity/final-activity-score.js";
+import { profileVersion, resolveScoringConfig } from "./shared/scoring-config.js";
+import { calculateTrends, withTrend } from "./shared/trend.js";
+import { isMissing } from "./shared/validation.js";
+import { toUnit } from "./shared/units.js";
+import { assessDataQuality, trackInputs, wearTimeCoverage, withDefault } from "./shared/data-quality.js";
 
-function round2(n) { return Number(n.toFixed(2)); }
+// Scores without input data stay null
+function round2(n) { return n === null ? null : Number(n.toFixed(2)); }
+
+function performanceLevel(value, labels) {
+  if (value === null) return 'no data';
+  return value >= 80 ? labels[0] : value >= 60 ? labels[1] : value >= 40 ? labels[2] : labels[3];
+}
 
 /**
  * Calculate comprehensive activity score (0-100) based on multiple activity metrics
@@ -21,7 +32,7 @@ function round2(n) { return Number(n.toFixed(2)); }
  * @param {number} values.steps7dStdDev - 7-day standard deviation of steps
  * @param {number} values.steps7dMean - 7-day mean of steps
  * @param {Array} values.steps7dArray - Array of last 7 days step counts (optional)
- * @param {number} values.mvpaMinutesToday_m - MVPA minutes today
+ * @param {number|string|Object} values.mvpaMinutesToday_m - MVPA minutes today (or "H:MM" / a tagged quantity)
  * @param {number} values.mvpaRecentMean - Recent mean MVPA minutes
  * @param {number} values.mvpaMinRecommendedByAge - Recommended MVPA minutes by age
  * @param {string} values.ageGroup - Age group classification
@@ -29,9 +40,17 @@ function round2(n) { return Number(n.toFixed(2)); }
  * @param {number} values.giniMeanStepsPerBin - Pre-calculated Gini coefficient (optional)
  * @param {number} values.energyCreditCurrentScore - Current energy credit score
  * @param {number} values.energyCreditRollingAvg - Rolling average of energy credit changes
- * @returns {Object} Comprehensive activity analysis with all calculated metrics
+ * @param {number} values.wearTimeMinutes - Minutes the device was worn today, for dataQuality (optional)
+ * @param {number} values.expectedWearMinutes - Minutes it should have been worn (optional, default 1440)
+ * @param {Object} values.scoreHistory - Past daily values by score name (stepsScore, activeMinutesScore, ...,
+ *   finalActivityScore), oldest first; used for trend (optional)
+ * @param {Object|string} config - Scoring profile (see shared/scoring-config.js) or its identifier, default onevital-spec-v2
+ * @returns {Object} Comprehensive activity analysis with all calculated metrics and the profileVersion used
  */
-function activityScore(values) {
+function activityScore(values, config) {
+  const scoringConfig = resolveScoringConfig(config);
+  const params = scoringConfig.activity;
+
   // Extract all activity and biometric data from input
   const {
     // Steps Score calculation inputs
@@ -56,8 +75,9 @@ function activityScore(values) {
   const stepsScore = calculateStepsScore(
     stepsTodayX,
     baselineStepsMu,
-    2000,
-    steps7dMean
+    params.steps.sigma,
+    steps7dArray,
+    params.steps.defaultBaseline
   );
   
   // Active Minutes Score - MVPA performance relative to recommendations and recent activity
@@ -65,14 +85,16 @@ function activityScore(values) {
     mvpaMinutesToday_m,
     mvpaRecentMean,
     mvpaMinRecommendedByAge,
-    ageGroup
+    ageGroup,
+    params.activeMinutes.sigma
   );
   
   // Consistency Score - Day-to-day variation in step count (lower variation = higher score)
   const consistencyScore = calculateConsistencyScore(
     steps7dArray,
     steps7dMean,
-    steps7dStdDev
+    steps7dStdDev,
+    params.consistency.sigmaRef
   );
   
   // Activity Level Consistency - Gini coefficient of activity distribution throughout the day
@@ -81,10 +103,11 @@ function activityScore(values) {
     giniMeanStepsPerBin
   );
   
-  // Total Energy Credit Score - Simple sum of current score and rolling average
+  // Total Energy Credit Score - Centered sigmoid of the current energy credit and its rolling average
   const totalEnergyCreditScore = calculateTotalEnergyCreditScore(
     energyCreditCurrentScore,
-    energyCreditRollingAvg
+    energyCreditRollingAvg,
+    scoringConfig.energy.credit.maxCreditScore
   );
   
   // Final Activity Score - Weighted combination of all component scores
@@ -93,9 +116,35 @@ function activityScore(values) {
     activeMinutesScore.value,
     consistencyScore.value,
     activityLevelConsistencyScore.value,
-    totalEnergyCreditScore.value
+    totalEnergyCreditScore.value,
+    params.weights
   );
 
+  // Trend (0 down, 1 stable, 2 up) and normDeviation (0 below, 1 normal, 2 above) against the user's history;
+  // the scores' own z-score / ratio deviation is reported as `deviation` (see withTrend)
+  const trends = calculateTrends({
+    stepsScore: stepsScore.value,
+    activeMinutesScore: activeMinutesScore.value,
+    consistencyScore: consistencyScore.value,
+    activityLevelConsistencyScore: activityLevelConsistencyScore.value,
+    totalEnergyCreditScore: totalEnergyCreditScore.value,
+    finalActivityScore: finalActivityScore.value
+  }, values.scoreHistory, scoringConfig.trend);
+
+  // How much of the result rests on measured data: default baselines, the share of the final-score
+  // weight whose inputs were available and the device wear time
+  const dataQuality = assessDataQuality({
+    inputs: {
+      ...trackInputs(values, ['stepsTodayX']),
+      baselineStepsMu: withDefault(baselineStepsMu, params.steps.defaultBaseline),
+      ...(isMissing(energyCreditCurrentScore) ? {} : {
+        energyCreditRollingAvg: withDefault(energyCreditRollingAvg, 0)
+      })
+    },
+    componentCoverage: finalActivityScore.coverage,
+    wearTime: wearTimeCoverage(values.wearTimeMinutes, values.expectedWearMinutes ?? scoringConfig.dataQuality.expectedWearMinutes)
+  }, scoringConfig.dataQuality);
+
   // === COMPILE COMPREHENSIVE RESULTS ===
   
   const results = {
@@ -106,32 +155,46 @@ function activityScore(values) {
     activityLevelConsistencyScore: round2(activityLevelConsistencyScore.value),
     totalEnergyCreditScore: round2(totalEnergyCreditScore.value),
     finalActivityScore: round2(finalActivityScore.value),
+
+    // Scores left out of the final score for missing data (their weight is spread over the others)
+    excludedComponents: finalActivityScore.excludedComponents,
+
+    // Real vs defaulted inputs, fallbacks that fired, wear-time coverage and overall confidence (0-1)
+    dataQuality,
+
+    // Measured values behind the scores (used to explain them, see shared/insights.js)
+    measurements: {
+      stepsToday: stepsTodayX,
+      baselineSteps: baselineStepsMu ?? params.steps.defaultBaseline,
+      mvpaMinutes: toUnit('mvpaMinutesToday_m', mvpaMinutesToday_m, 'min') ?? null,
+      steps7dMean: steps7dMean ?? null,
+      steps7dStdDev: steps7dStdDev ?? null,
+      energyCreditCurrentScore: energyCreditCurrentScore ?? null
+    },
+
+    // Trend and normDeviation of every score (null without enough scoreHistory)
+    trends,
     
     // Detailed component objects for advanced analysis
     components: {
-      stepsScoreDetailed: stepsScore,
-      activeMinutesScoreDetailed: activeMinutesScore,
-      consistencyScoreDetailed: consistencyScore,
-      activityLevelConsistencyScoreDetailed: activityLevelConsistencyScore,
-      totalEnergyCreditScoreDetailed: totalEnergyCreditScore,
-      finalActivityScoreDetailed: finalActivityScore
+      stepsScoreDetailed: withTrend(stepsScore, trends.stepsScore),
+      activeMinutesScoreDetailed: withTrend(activeMinutesScore, trends.activeMinutesScore),
+      consistencyScoreDetailed: withTrend(consistencyScore, trends.consistencyScore),
+      activityLevelConsistencyScoreDetailed: withTrend(activityLevelConsistencyScore, trends.activityLevelConsistencyScore),
+      totalEnergyCreditScoreDetailed: withTrend(totalEnergyCreditScore, trends.totalEnergyCreditScore),
+      finalActivityScoreDetailed: withTrend(finalActivityScore, trends.finalActivityScore)
     },
     
     // Activity performance analysis
     analysis: {
-      stepsPerformance: stepsScore.value >= 80 ? 'excellent' : 
-                       stepsScore.value >= 60 ? 'good' : 
-                       stepsScore.value >= 40 ? 'fair' : 'needs improvement',
-      mvpaPerformance: activeMinutesScore.value >= 80 ? 'excellent' : 
-                      activeMinutesScore.value >= 60 ? 'good' : 
-                      activeMinutesScore.value >= 40 ? 'fair' : 'needs improvement',
-      consistencyLevel: consistencyScore.value >= 80 ? 'very consistent' : 
-                       consistencyScore.value >= 60 ? 'moderately consistent' : 
-                       consistencyScore.value >= 40 ? 'somewhat inconsistent' : 'highly variable',
-      overallActivityLevel: finalActivityScore.value >= 80 ? 'excellent' : 
-                           finalActivityScore.value >= 60 ? 'good' : 
-                           finalActivityScore.value >= 40 ? 'fair' : 'needs attention'
-    }
+      stepsPerformance: performanceLevel(stepsScore.value, ['excellent', 'good', 'fair', 'needs improvement']),
+      mvpaPerformance: performanceLevel(activeMinutesScore.value, ['excellent', 'good', 'fair', 'needs improvement']),
+      consistencyLevel: performanceLevel(consistencyScore.value,
+        ['very consistent', 'moderately consistent', 'somewhat inconsistent', 'highly variable']),
+      overallActivityLevel: performanceLevel(finalActivityScore.value, ['excellent', 'good', 'fair', 'needs attention'])
+    },
+
+    profileVersion: profileVersion(scoringConfig)
   };
 
   return results;
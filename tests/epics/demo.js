@@ -0,0 +1,295 @@
+// demo.js
+// Runnable examples for the OneVital calculators (`npm start`).
+// The calculator modules themselves are side-effect free, so every example lives here.
+
+import { TSD } from "./sleep/tsd.js";
+import { SE } from "./sleep/se.js";
+import { DSS } from "./sleep/dss.js";
+import { RSS } from "./sleep/rss.js";
+import { SSD } from "./sleep/ssd.js";
+import { SOL } from "./sleep/sol.js";
+import { WASO } from "./sleep/waso.js";
+import { HRD } from "./sleep/hrd.js";
+import { SCS } from "./sleep/scs.js";
+import { NSC } from "./sleep/nsc.js";
+import { TDV } from "./sleep/tdv.js";
+import { sleepScore as sleepScoreFromSubScores } from "./sleep/totalScore.js";
+import { sleepScore } from "./sleep_aggregator.js";
+import { energyScore } from "./energy_aggregator.js";
+import { stressScore } from "./stress_aggregator.js";
+import { activityScore } from "./activity_aggregator.js";
+import { wellnessScore } from "./wellness_aggregator.js";
+import { generateInsights } from "./shared/insights.js";
+
+// === Приклад із твоїми даними (06.10.2025) ===
+const stages = {
+  deepH: 2,  deepM: 25,
+  coreH: 4,  coreM: 28,
+  remH:  1,  remM: 51
+};
+
+function runSleepModulesDemo() {
+  console.info('TSD =', TSD({ ...stages, awakeH: 0, awakeM: 0, mu: 8, sigma: 1.5 }));
+  console.info('Sleep Efficiency (SE) =', SE({ ...stages, awakeH: 0, awakeM: 0 }));
+  console.info('Deep Sleep Score (DSS) =', DSS({ ...stages, mu: 18, sigma: 5 }));
+  console.info('REM Sleep Score (RSS) =', RSS({ ...stages, mu: 22, sigma: 5 }));
+
+  const { dss, rss, ssd } = SSD(stages);
+  console.info('DSS =', dss);
+  console.info('RSS =', rss);
+  console.info('Sleep Stage Distribution Score (SSD) =', ssd);
+
+  // Awake = 0m, Fell asleep 11:53 PM → x (sleep onset latency) = 0 m
+  console.info(`Sleep Onset Latency Score (SOL) = ${SOL({ x: 0 })}`);
+  console.info('Wake After Sleep Onset (WASO) Score =', WASO({ x: 0, sigma: 20 }));
+  console.info('Heart Rate Deviation Score (HRD) =', HRD({ restingHR: 67, sleepHR: 49, mu: 20, sigma: 5 }));
+  console.info('Sleep Consistency Score (SCS) =', SCS({ x: 0.083333, sigma: 0.75 }));
+  console.info('Number of Cycles Score (NSC) =', NSC({ observedCycles: 5 }));
+  console.info('Temperature Deviation Score (TDV) =', TDV({ tempC: 34.6, baselineTempC: 34.4, sigma: 0.5 }));
+}
+
+function runSleepTotalScoreDemo() {
+  const subScores = {
+    TSD: 100,
+    SE: 99.42,
+    DSS: 65.13,
+    RSS: 77.92,
+    SSD: 71.53,
+    SOL: 100,
+    WASO: 100,
+    HRD: 100,
+    CAS: 51,
+    SCS: 89.68,
+    NSC: 100,
+    TDV: 92.31
+  };
+
+  console.info("---- Sub-scores ----");
+  console.table(subScores);
+  console.info('SleepS =', sleepScoreFromSubScores(subScores));
+}
+
+function runSleepAggregatorDemo() {
+  const result = sleepScore({
+    ...stages,
+    awakeH: 0, awakeM: 0,
+    restingHR: 67, sleepHR: 49,
+    fellAsleep: "23:53",
+    tst: "8:44",
+    observedCycles: 5,
+    scsX: 0.083333
+  });
+
+  console.info("---- Sub-scores ----");
+  console.table(Object.fromEntries(
+    Object.entries(result.components).map(([key, component]) => [key, component.value])
+  ));
+  console.info("Total SleepS =", result.total);
+}
+
+function runEnergyDemo() {
+  const result = energyScore({
+    // Basic demographics
+    weight: 75, height: 175, age: 30, gender: 'male',
+
+    // Physiological scores
+    sleepScore: 85, stressScore: 45, timeOfDay: 14,
+
+    // Nutrition
+    totalCalorieIntake: 2300, proteinKcal: 690, carbKcal: 920, fatKcal: 690,
+
+    // Activity
+    metValue: 1.8, durationHours: 24, averageActivityLevel: 1.2,
+
+    // Fitness
+    fitnessScore: 78, vo2Max: 45, targetVO2Max: 48,
+    bodyFatPercentage: 15, bodyFatLowerBound: 14, bodyFatUpperBound: 17,
+
+    // Recovery
+    currentHRV: 42, baselineHRV: 45, acceptableDeviation: 20,
+
+    // Energy management
+    currentCreditScore: 700, rollingAvgCreditChanges: 5.2,
+    historicalEnergyDeltas: [25, 45, -15, 30, 55, 10, 35]
+  });
+
+  console.info('calculate Energy Score =', result);
+}
+
+function runEnergyBatteryDemo() {
+  // Робочий день: ранкова прогулянка, тренування ввечері, три прийоми їжі
+  const result = energyScore({
+    weight: 75, height: 175, age: 30, gender: 'male',
+    sleepScore: 85, stressScore: 45,
+    totalCalorieIntake: 2300, proteinKcal: 690, carbKcal: 920, fatKcal: 690,
+    metValue: 6, durationHours: 1,
+    fitnessScore: 78, currentHRV: 42, baselineHRV: 45,
+    stressEnergy: 120,
+    hourlyActivity: [
+      { hour: 7, steps: 4000, stressScore: 30 },
+      { hour: 9, steps: 800, stressScore: 55 },
+      { hour: 12, steps: 2500, stressScore: 60 },
+      { hour: 15, steps: 600, stressScore: 70 },
+      { hour: 18, metValue: 6, stressScore: 40 }
+    ],
+    meals: [
+      { hour: 7.5, totalCalorieIntake: 550 },
+      { hour: '12:30', totalCalorieIntake: 900, proteinKcal: 270, carbKcal: 360, fatKcal: 270 },
+      { hour: 19.5, totalCalorieIntake: 850 }
+    ]
+  });
+
+  console.info("---- Energy battery ----");
+  console.table(result.components.energyBatteryDetailed.curve
+    .filter(point => point.hour % 3 === 0)
+    .map(({ clock, expenditure, level, levelPercent }) => ({ clock, expenditure, level, levelPercent })));
+  console.info("Battery at end of day =", result.energyBatteryLevel, "%, depletion =", result.energyDepletion);
+}
+
+function runEnergyCreditLedgerDemo() {
+  // Історія за тиждень без 17.10 — день пропущено і дозаповнено пізніше
+  const history = [
+    { date: '2026-10-12', energyCapacity: 2600, totalEnergyExpenditure: 2450 },
+    { date: '2026-10-13', energyCapacity: 2400, totalEnergyExpenditure: 2750 },
+    { date: '2026-10-14', energyCapacity: 2550, totalEnergyExpenditure: 2500 },
+    { date: '2026-10-15', energyCapacity: 2300, totalEnergyExpenditure: 2900 },
+    { date: '2026-10-16', energyCapacity: 2700, totalEnergyExpenditure: 2400 },
+    { date: '2026-10-18', energyCapacity: 2500, totalEnergyExpenditure: 2600 }
+  ];
+  const today = energyScore({
+    weight: 75, height: 175, age: 30, gender: 'male',
+    sleepScore: 85, stressScore: 45,
+    totalCalorieIntake: 2300, metValue: 6, durationHours: 1,
+    date: '2026-10-19',
+    creditHistory: history
+  });
+  const backfilled = energyScore({
+    weight: 75, height: 175, age: 30, gender: 'male',
+    sleepScore: 60, stressScore: 70,
+    totalCalorieIntake: 1900, metValue: 8, durationHours: 2,
+    date: '2026-10-17',
+    creditHistory: today.energyCreditLedger
+  });
+
+  console.info("---- Energy credit ledger ----");
+  console.table(backfilled.components.energyCreditLedgerDetailed.entries
+    .map(({ date, energyDelta, creditScoreChange, score, rollingAvgCreditChanges }) =>
+      ({ date, energyDelta, creditScoreChange, score, rollingAvgCreditChanges })));
+  console.info("Ledger score today =", today.components.energyCreditLedgerDetailed.value, "→ after backfilling 2026-10-17 =",
+    backfilled.components.energyCreditLedgerDetailed.value, "; total energy credit (backfilled day) =", backfilled.energyCredit);
+}
+
+function runStressDemo() {
+  const result = stressScore({
+    // Heart rate readings for RHR calculation
+    heartRateData: [65, 67, 69, 66, 68, 70, 64],
+    totalStepsLast30Min: 240,
+
+    // RHR calculation parameters
+    muRHR: 100,
+    sigmaRHR: 15,
+    fallbackRHR: 70,
+
+    // HRV (second parasympathetic input)
+    rmssd: 38,
+    sdnn: 52,
+
+    // Stress-energy conversion
+    energyCapacity: 2500,
+    paee: 400,
+    tef: 230,
+    averageMonthlyStress: 65
+  });
+
+  console.info('calculate Stress Score =', result);
+}
+
+function runActivityDemo() {
+  const result = activityScore({
+    // Steps data
+    stepsTodayX: 8500,
+    baselineStepsMu: 7800,
+    steps7dStdDev: 1200,
+    steps7dMean: 8100,
+    steps7dArray: [7500, 8200, 8900, 7800, 8400, 8100, 8500],
+
+    // MVPA data
+    mvpaMinutesToday_m: 35,
+    mvpaRecentMean: 32,
+    mvpaMinRecommendedByAge: 30,
+    ageGroup: 'adult',
+
+    // Activity distribution
+    stepsBins: [120, 140, 160, 180, 200, 190, 170, 150, 140, 120, 100, 90],
+    giniMeanStepsPerBin: 0.25,
+
+    // Energy credit
+    energyCreditCurrentScore: 750,
+    energyCreditRollingAvg: 25
+  });
+
+  console.info('calculate Activity Score =', result);
+}
+
+function runWellnessDemo() {
+  const result = wellnessScore({
+    sleep: {
+      ...stages,
+      awakeH: 0, awakeM: 0,
+      restingHR: 67, sleepHR: 49,
+      fellAsleep: "23:53",
+      tst: "8:44",
+      observedCycles: 5,
+      scsX: 0.083333
+    },
+    stress: {
+      heartRateData: [65, 67, 69, 66, 68, 70, 64],
+      totalStepsLast30Min: 240
+    },
+    energy: {
+      weight: 75, height: 175, age: 30, gender: 'male', timeOfDay: 14,
+      totalCalorieIntake: 2300, proteinKcal: 690, carbKcal: 920, fatKcal: 690,
+      metValue: 1.8, durationHours: 24, averageActivityLevel: 1.2,
+      fitnessScore: 78, vo2Max: 45, targetVO2Max: 48,
+      currentHRV: 42, baselineHRV: 45,
+      currentCreditScore: 700, rollingAvgCreditChanges: 5.2
+    },
+    activity: {
+      stepsTodayX: 8500, baselineStepsMu: 7800,
+      steps7dStdDev: 1200, steps7dMean: 8100,
+      steps7dArray: [7500, 8200, 8900, 7800, 8400, 8100, 8500],
+      mvpaMinutesToday_m: 35, mvpaRecentMean: 32, mvpaMinRecommendedByAge: 30, ageGroup: 'adult',
+      stepsBins: [120, 140, 160, 180, 200, 190, 170, 150, 140, 120, 100, 90]
+    }
+  });
+
+  console.info("---- Wellness ----");
+  console.table(Object.fromEntries(
+    Object.entries(result.components).map(([key, component]) => [key, component.value])
+  ));
+  console.table(result.provenance.edges);
+  console.info("Total Wellness =", result.total);
+  return result;
+}
+
+function runInsightsDemo(wellness) {
+  console.info("---- Insights ----");
+  ['en', 'uk'].forEach(locale => {
+    ['sleep', 'activity', 'wellness'].forEach(domain => {
+      const result = domain === 'wellness' ? wellness : wellness.domains[domain];
+      const { headline, insights } = generateInsights(domain, result, { locale });
+      console.info(headline);
+      insights.forEach(insight => console.info(`  - ${insight.detail ?? insight.summary} ${insight.recommendation}`));
+    });
+  });
+}
+
+runSleepModulesDemo();
+runSleepTotalScoreDemo();
+runSleepAggregatorDemo();
+runEnergyDemo();
+runEnergyBatteryDemo();
+runEnergyCreditLedgerDemo();
+runStressDemo();
+runActivityDemo();
+runInsightsDemo(runWellnessDemo());
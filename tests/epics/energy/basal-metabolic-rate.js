@@ -1,43 +1,160 @@
 /**
  * Basal Metabolic Rate (BMR) Calculation
  *
- * BMR accounts for ~60-75% of total energy expenditure. Uses the Mifflin-St Jeor equation
- * with dynamic adjustments based on physiological data (sleep, stress, time of day).
+ * BMR accounts for ~60-75% of total energy expenditure. The base BMR comes from one of four
+ * equations, with dynamic adjustments based on physiological data (sleep, stress, time of day):
+ *
+ * - Mifflin-St Jeor: 10 × W + 6.25 × H - 5 × A + 5 (male) / - 161 (female)
+ * - Harris-Benedict (revised, Roza & Shizgal 1984):
+ *   88.362 + 13.397 × W + 4.799 × H - 5.677 × A (male)
+ *   447.593 + 9.247 × W + 3.098 × H - 4.330 × A (female)
+ * - Katch-McArdle: 370 + 21.6 × LBM
+ * - Cunningham: 500 + 22 × LBM
+ *
+ * where W is weight (kg), H height (cm), A age (years) and LBM lean body mass (kg),
+ * LBM = W × (1 - body fat % / 100) when only the body fat percentage is known.
+ *
+ * For 'non-binary' and 'unspecified' sex the sex-specific equations use the average of the
+ * male and female formulas (Mifflin-St Jeor: ... - 78). The lean-mass equations do not depend on sex.
+ *
+ * Automatic selection ('auto'): with lean-mass data Katch-McArdle (Cunningham for athletes),
+ * otherwise Mifflin-St Jeor.
+ *
+ * Weight, height and lean body mass may be tagged quantities in other units (lb, in, ...; see shared/units.js).
+ */
+
+import {InvalidInputError, isMissing, optionalNumber, requireNumber, requireOneOf} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
+export const BMR_EQUATIONS = ['mifflin_st_jeor', 'harris_benedict', 'katch_mcardle', 'cunningham'];
+export const BMR_SEXES = ['male', 'female', 'non-binary', 'unspecified'];
+
+const LEAN_MASS_EQUATIONS = ['katch_mcardle', 'cunningham'];
+
+// Sex-specific equations: { male, female } base BMR from weight, height and age
+const SEX_SPECIFIC_EQUATIONS = {
+    mifflin_st_jeor: {
+        male: (weight, height, age) => 10 * weight + 6.25 * height - 5 * age + 5,
+        female: (weight, height, age) => 10 * weight + 6.25 * height - 5 * age - 161
+    },
+    harris_benedict: {
+        male: (weight, height, age) => 88.362 + 13.397 * weight + 4.799 * height - 5.677 * age,
+        female: (weight, height, age) => 447.593 + 9.247 * weight + 3.098 * height - 4.330 * age
+    }
+};
+
+// Lean-mass equations: base BMR from lean body mass
+const LEAN_MASS_FORMULAS = {
+    katch_mcardle: leanBodyMass => 370 + 21.6 * leanBodyMass,
+    cunningham: leanBodyMass => 500 + 22 * leanBodyMass
+};
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Lean body mass from an explicit value or the body fat percentage; null without lean-mass data
+ */
+function resolveLeanBodyMass(weight, leanBodyMass, bodyFatPercentage) {
+    if (!isMissing(leanBodyMass)) {
+        return requireNumber('leanBodyMass', leanBodyMass, {min: 10, max: weight});
+    }
+    if (!isMissing(bodyFatPercentage)) {
+        return weight * (1 - bodyFatPercentage / 100);
+    }
+    return null;
+}
+
+/**
+ * Sleep, stress and time-of-day adjustment factors of BMR
+ * @param {number} sleepScore - Sleep score from 0 to 100
+ * @param {number} stressScore - Stress score from 0 to 100
+ * @param {number} timeOfDay - Hour of day (0 to 24)
+ * @returns {Object} { sleep, stress, timeOfDay } (unrounded)
  */
+export function bmrAdjustmentFactors(sleepScore, stressScore, timeOfDay) {
+    return {
+        // Sleep Adjustment Factor: F_sleep = 0.90 + 0.10 × (S / 100)
+        sleep: 0.90 + 0.10 * (sleepScore / 100),
+        // Stress Adjustment Factor: F_stress = 1.00 + 0.15 × (T / 100)
+        stress: 1.00 + 0.15 * (stressScore / 100),
+        // Time-of-Day Adjustment Factor: F_time(h) = 1.00 + 0.10 × sin((2 × π / 24) × (h - 16))
+        timeOfDay: 1.00 + 0.10 * Math.sin((2 * Math.PI / 24) * (timeOfDay - 16))
+    };
+}
+
+function selectEquation(equation, leanBodyMass, populationType) {
+    if (equation !== 'auto') return equation;
+    if (leanBodyMass === null) return 'mifflin_st_jeor';
+    return populationType === 'athlete' ? 'cunningham' : 'katch_mcardle';
+}
 
 /**
- * Calculate Basal Metabolic Rate using Mifflin-St Jeor equation with adjustments
- * @param {number} weight - Weight in kg
- * @param {number} height - Height in cm
+ * Calculate Basal Metabolic Rate with the selected equation and adjustments
+ * @param {number|Object} weight - Weight in kg, or a tagged quantity (e.g. { value: 165, unit: 'lb' })
+ * @param {number|Object} height - Height in cm, or a tagged quantity (e.g. { value: 68, unit: 'in' })
  * @param {number} age - Age in years
- * @param {string} gender - Gender ('male' or 'female')
+ * @param {string} gender - Sex ('male', 'female', 'non-binary' or 'unspecified'; the last two use the averaged formula)
  * @param {number} sleepScore - Sleep score from 0 to 100
  * @param {number} stressScore - Stress score from 0 to 100
  * @param {number} timeOfDay - Hour of day (0 to 23)
- * @returns {Object} BMR with value, components, and adjustments
+ * @param {Object} options - Equation options
+ * @param {string} options.equation - 'auto' (default), 'mifflin_st_jeor', 'harris_benedict', 'katch_mcardle' or 'cunningham'
+ * @param {number} options.bodyFatPercentage - Body fat percentage, used for lean body mass (optional)
+ * @param {number|Object} options.leanBodyMass - Lean body mass in kg or a tagged quantity; takes precedence over bodyFatPercentage (optional)
+ * @param {string} options.populationType - 'athlete' or 'general'; athletes get Cunningham in auto mode (optional)
+ * @returns {Object} BMR with value, the equation used, components, and adjustments
  */
-export function calculateBasalMetabolicRate(weight, height, age, gender, sleepScore = 90, stressScore = 50, timeOfDay = 12) {
-    // Base BMR calculation using Mifflin-St Jeor equation
+export function calculateBasalMetabolicRate(
+    weight, height, age, gender, sleepScore = 90, stressScore = 50, timeOfDay = 12,
+    {equation = 'auto', bodyFatPercentage = null, leanBodyMass = null, populationType = 'general'} = {}
+) {
+    weight = toUnit('weight', weight, 'kg');
+    height = toUnit('height', height, 'cm');
+    leanBodyMass = toUnit('leanBodyMass', leanBodyMass, 'kg');
+    requireNumber('weight', weight, {min: 20, max: 400});
+    requireNumber('height', height, {min: 50, max: 275});
+    requireNumber('age', age, {min: 1, max: 120});
+    const normalizedGender = requireOneOf('gender', gender, BMR_SEXES);
+    requireNumber('sleepScore', sleepScore, {min: 0, max: 100});
+    requireNumber('stressScore', stressScore, {min: 0, max: 100});
+    requireNumber('timeOfDay', timeOfDay, {min: 0, max: 24});
+    const requestedEquation = requireOneOf('equation', equation, ['auto', ...BMR_EQUATIONS]);
+    optionalNumber('bodyFatPercentage', bodyFatPercentage, {min: 2, max: 70});
+
+    const leanMass = resolveLeanBodyMass(weight, leanBodyMass, bodyFatPercentage);
+    const selectedEquation = selectEquation(requestedEquation, leanMass, populationType);
+    if (LEAN_MASS_EQUATIONS.includes(selectedEquation) && leanMass === null) {
+        throw new InvalidInputError('equation', equation, 'needs leanBodyMass or bodyFatPercentage');
+    }
+
+    // Base BMR from the selected equation
     let baseBMR;
+    let sexFormula = null;
 
-    if (gender.toLowerCase() === 'male') {
-        // For men: BMR = 10 × weight (kg) + 6.25 × height (cm) - 5 × age (years) + 5
-        baseBMR = 10 * weight + 6.25 * height - 5 * age + 5;
+    if (LEAN_MASS_EQUATIONS.includes(selectedEquation)) {
+        baseBMR = LEAN_MASS_FORMULAS[selectedEquation](leanMass);
     } else {
-        // For women: BMR = 10 × weight (kg) + 6.25 × height (cm) - 5 × age (years) - 161
-        baseBMR = 10 * weight + 6.25 * height - 5 * age - 161;
+        const formulas = SEX_SPECIFIC_EQUATIONS[selectedEquation];
+        if (normalizedGender === 'male' || normalizedGender === 'female') {
+            baseBMR = formulas[normalizedGender](weight, height, age);
+            sexFormula = normalizedGender;
+        } else {
+            // Non-binary / unspecified: average of the male and female formulas
+            baseBMR = (formulas.male(weight, height, age) + formulas.female(weight, height, age)) / 2;
+            sexFormula = 'averaged';
+        }
+    }
+    if (baseBMR <= 0) {
+        throw new InvalidInputError('weight', weight, `${selectedEquation} gives a non-positive BMR for these inputs`);
     }
 
     // Calculate adjustment factors
-
-    // Sleep Adjustment Factor: F_sleep = 0.90 + 0.10 × (S / 100)
-    const sleepAdjustmentFactor = 0.90 + 0.10 * (sleepScore / 100);
-
-    // Stress Adjustment Factor: F_stress = 1.00 + 0.15 × (T / 100)
-    const stressAdjustmentFactor = 1.00 + 0.15 * (stressScore / 100);
-
-    // Time-of-Day Adjustment Factor: F_time(h) = 1.00 + 0.10 × sin((2 × π / 24) × (h - 16))
-    const timeAdjustmentFactor = 1.00 + 0.10 * Math.sin((2 * Math.PI / 24) * (timeOfDay - 16));
+    const factors = bmrAdjustmentFactors(sleepScore, stressScore, timeOfDay);
+    const sleepAdjustmentFactor = factors.sleep;
+    const stressAdjustmentFactor = factors.stress;
+    const timeAdjustmentFactor = factors.timeOfDay;
 
     // Total Adjusted BMR: AdjustedBMR = BMR × F_sleep × F_stress × F_time
     const adjustedBMR = baseBMR * sleepAdjustmentFactor * stressAdjustmentFactor * timeAdjustmentFactor;
@@ -45,6 +162,10 @@ export function calculateBasalMetabolicRate(weight, height, age, gender, sleepSc
     return {
         value: Math.round(adjustedBMR * 100) / 100, // Round to 2 decimal places
         baseBMR: Math.round(baseBMR * 100) / 100,
+        equation: selectedEquation,
+        equationSelection: requestedEquation === 'auto' ? 'auto' : 'requested',
+        sexFormula, // 'male' | 'female' | 'averaged'; null for the lean-mass equations
+        leanBodyMass: leanMass === null ? null : round2(leanMass),
         adjustmentFactors: {
             sleep: Math.round(sleepAdjustmentFactor * 1000) / 1000, // Round to 3 decimal places
             stress: Math.round(stressAdjustmentFactor * 1000) / 1000,
@@ -55,11 +176,15 @@ export function calculateBasalMetabolicRate(weight, height, age, gender, sleepSc
             height,
             age,
             gender,
+            bodyFatPercentage,
+            leanBodyMass,
+            equation,
+            populationType,
             sleepScore,
             stressScore,
             timeOfDay
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
@@ -92,6 +217,8 @@ export function compareBasalMetabolicRates(calculatedBMR, apiBMR, metrics) {
             height: metrics.height,
             age: metrics.age,
             gender: metrics.gender,
+            equation: calculatedBMR.equation,
+            bodyFatPercentage: metrics.bodyFatPercentage,
             sleepScore: metrics.sleepScore,
             stressScore: metrics.stressScore,
             timeOfDay: metrics.timeOfDay
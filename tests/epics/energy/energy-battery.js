@@ -0,0 +1,261 @@
+/**
+ * Intraday Energy Battery
+ *
+ * Hour-by-hour simulation of the day's energy budget. The battery starts full at the day's
+ * Energy Capacity (see energy-capacity.js) and drains by the energy spent in every hour:
+ *
+ * BMR(h) = Base_BMR / 24 × F_sleep × F_stress(h) × F_time(h + 0.5)          (see basal-metabolic-rate.js)
+ * PAEE(h) = MET(h) × AdjustedBMR / 24 × 1 hour                              (see physical-activity-energy-expenditure.js)
+ * TEF(h) = TEF of the meals eaten in the last `tefDurationHours`, spread evenly over that window
+ * Stress_Energy(h) = Stress_Energy × (100 - Stress(h)) / Σ (100 - Stress)   (share of the day's stress energy, see stress-energy.js)
+ * Expenditure(h) = BMR(h) + (TEF(h) + PAEE(h) + Stress_Energy(h)) × F_sleep × F_stress(h) × F_time(h + 0.5)
+ *                                                                          (the TEE model, see total-energy-expenditure.js)
+ * Battery(h) = Battery(h - 1) - Expenditure(h), Battery(start) = Energy Capacity × startLevelPercent / 100
+ *
+ * The time-of-day factors are evaluated at the middle of every hour instead of at a single timeOfDay,
+ * so over a whole day they average out to 1. When an hour has no MET value it is estimated from steps:
+ * MET(h) = steps(h) / stepsPerMetHour (2000 steps ≈ 1 MET-hour); hours without activity data are at rest.
+ *
+ * Depletion is the first moment the battery reaches the reserve (reservePercent of capacity), interpolated
+ * within the hour. When the battery lasts through the simulated hours, the depletion time is projected
+ * by continuing at the average hourly drain of the simulated hours.
+ */
+
+import {InvalidInputError, isMissing, optionalNumber, requireArray, requireNumber} from "../shared/validation.js";
+import {DEFAULT_SCORING_CONFIG} from "../shared/scoring-config.js";
+import {formatClockTime, toUnit} from "../shared/units.js";
+import {bmrAdjustmentFactors} from "./basal-metabolic-rate.js";
+import {teeAdjustmentFactors} from "./total-energy-expenditure.js";
+import {calculateThermicEffectFood} from "./thermic-effect-food.js";
+import {calculatePhysicalActivityEnergyExpenditure} from "./physical-activity-energy-expenditure.js";
+
+const HOURS_PER_DAY = 24;
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// Base (unadjusted) BMR from a calculateBasalMetabolicRate result, a tagged quantity or kcal/day
+function baseBMRValue(bmr) {
+    const value = typeof bmr === 'object' && bmr !== null && !isMissing(bmr.baseBMR) ? bmr.baseBMR : toUnit('bmr', bmr, 'kcal');
+    return requireNumber('bmr', value, {min: 0});
+}
+
+// годинні записи: [{ hour, metValue, steps, stressScore, averageActivityLevel }] → за годиною доби
+function hourlyByHour(hourly) {
+    requireArray('hourly', hourly);
+    const byHour = new Map();
+    hourly.forEach((entry, index) => {
+        if (typeof entry !== 'object' || entry === null) {
+            throw new InvalidInputError(`hourly[${index}]`, entry, 'expected { hour, metValue, steps, stressScore }');
+        }
+        const hour = requireNumber(`hourly[${index}].hour`, entry.hour, {min: 0, max: HOURS_PER_DAY - 1, integer: true});
+        optionalNumber(`hourly[${index}].metValue`, entry.metValue, {min: 0, max: 25});
+        optionalNumber(`hourly[${index}].steps`, entry.steps, {min: 0});
+        optionalNumber(`hourly[${index}].stressScore`, entry.stressScore, {min: 0, max: 100});
+        if (byHour.has(hour)) {
+            throw new InvalidInputError(`hourly[${index}].hour`, hour, 'duplicate hour');
+        }
+        byHour.set(hour, entry);
+    });
+    return byHour;
+}
+
+// TEF of every meal, spread evenly over the digestion window that starts at the meal
+function mealTEF(meals, tefDurationHours) {
+    requireArray('meals', meals);
+    return meals.map((meal, index) => {
+        if (typeof meal !== 'object' || meal === null) {
+            throw new InvalidInputError(`meals[${index}]`, meal, 'expected { hour, totalCalorieIntake, proteinKcal, carbKcal, fatKcal }');
+        }
+        const hour = requireNumber(`meals[${index}].hour`, toUnit(`meals[${index}].hour`, meal.hour, 'h'), {min: 0, max: HOURS_PER_DAY});
+        const tef = calculateThermicEffectFood(meal.totalCalorieIntake, meal.proteinKcal, meal.carbKcal, meal.fatKcal);
+        return {hour, tef: tef.value, perHour: tef.value / tefDurationHours, end: hour + tefDurationHours};
+    });
+}
+
+// Overlap (hours) of [from, to) with the hour slot [slot, slot + 1) of the simulated timeline
+function overlapHours(from, to, slot) {
+    return Math.max(0, Math.min(to, slot + 1) - Math.max(from, slot));
+}
+
+/**
+ * Simulate the day's energy battery hour by hour
+ * @param {Object} day - Inputs of the day
+ * @param {number|Object} day.energyCapacity - Energy Capacity in kcal/day, or a calculateEnergyCapacity result (battery size)
+ * @param {number|Object} day.bmr - calculateBasalMetabolicRate result (its baseBMR is used) or base BMR in kcal/day
+ * @param {Array} day.hourly - Hourly data { hour (0-23), metValue, steps, stressScore, averageActivityLevel } (optional;
+ *   hours left out are at rest with the day's stress score)
+ * @param {Array} day.meals - Meals { hour (decimal hours or "H:MM"), totalCalorieIntake, proteinKcal, carbKcal, fatKcal } (optional)
+ * @param {number|Object} day.stressEnergy - Stress energy of the day in kcal, or a calculateStressEnergy result (default 0)
+ * @param {number} day.sleepScore - Last night's sleep score 0-100 (default 90)
+ * @param {number} day.stressScore - Stress score 0-100 for hours without their own (default 50)
+ * @param {number} day.startHour - Hour the simulation starts at, 0-23 (default 0)
+ * @param {number} day.hours - Number of simulated hours (default 24)
+ * @param {number} day.startLevelPercent - Battery level at the start, % of capacity (default 100)
+ * @param {Object} options - Battery parameters (default: energy.battery of the scoring profile)
+ * @param {number} options.stepsPerMetHour - Steps counted as one MET-hour when an hour has no MET value (default 2000)
+ * @param {number} options.tefDurationHours - Hours the thermic effect of a meal is spread over (default 5)
+ * @param {number} options.reservePercent - Level (% of capacity) treated as depleted (default 0)
+ * @returns {Object} { value (battery % at the end), capacity, startLevel, endLevel, curve: [{ hour, clock, bmr, paee,
+ *   tef, stressEnergy, expenditure, level, levelPercent }], totals, depletion: { depleted, projected, hoursFromStart,
+ *   hourOfDay, clock } }
+ */
+export function simulateEnergyBattery(day, options = {}) {
+    const battery = DEFAULT_SCORING_CONFIG.energy.battery;
+    const {
+        stepsPerMetHour = battery.stepsPerMetHour,
+        tefDurationHours = battery.tefDurationHours,
+        reservePercent = battery.reservePercent
+    } = options;
+    if (isMissing(day) || typeof day !== 'object') {
+        throw new InvalidInputError('day', day, 'expected { energyCapacity, bmr, hourly, meals, ... }');
+    }
+    const {
+        hourly = [], meals = [], stressEnergy = 0, sleepScore = 90, stressScore = 50,
+        startHour = 0, hours = HOURS_PER_DAY, startLevelPercent = 100
+    } = day;
+
+    const capacity = requireNumber('energyCapacity', toUnit('energyCapacity', day.energyCapacity, 'kcal'), {min: Number.MIN_VALUE});
+    const baseBMR = baseBMRValue(day.bmr);
+    const dailyStressEnergy = requireNumber('stressEnergy', toUnit('stressEnergy', stressEnergy, 'kcal'), {min: 0});
+    requireNumber('sleepScore', sleepScore, {min: 0, max: 100});
+    requireNumber('stressScore', stressScore, {min: 0, max: 100});
+    requireNumber('startHour', startHour, {min: 0, max: HOURS_PER_DAY - 1, integer: true});
+    requireNumber('hours', hours, {min: 1, max: HOURS_PER_DAY, integer: true});
+    requireNumber('startLevelPercent', startLevelPercent, {min: 0, max: 100});
+    requireNumber('stepsPerMetHour', stepsPerMetHour, {min: Number.MIN_VALUE});
+    requireNumber('tefDurationHours', tefDurationHours, {min: 1, max: HOURS_PER_DAY});
+    requireNumber('reservePercent', reservePercent, {min: 0, max: 100});
+
+    const byHour = hourlyByHour(hourly);
+    const mealEffects = mealTEF(meals, tefDurationHours);
+
+    // Simulated hours on the clock, e.g. startHour 6 → 6, 7, ..., 23, 0, ..., 5
+    const slots = Array.from({length: hours}, (_, index) => ({
+        index,
+        hour: (startHour + index) % HOURS_PER_DAY,
+        // hour on a continuous timeline from the start day's midnight (meals after midnight fall on hour + 24)
+        timeline: startHour + index
+    }));
+    const stressOf = slot => byHour.get(slot.hour)?.stressScore ?? stressScore;
+
+    // Share of the day's stress energy: Stress_Energy × (100 - Stress(h)) / Σ (100 - Stress)
+    const stressWeights = slots.map(slot => 100 - stressOf(slot));
+    const stressWeightTotal = stressWeights.reduce((sum, weight) => sum + weight, 0);
+
+    const startLevel = capacity * startLevelPercent / 100;
+    const reserveLevel = capacity * reservePercent / 100;
+    let level = startLevel;
+    let depletion = null;
+    const totals = {bmr: 0, paee: 0, tef: 0, stressEnergy: 0, expenditure: 0};
+
+    const curve = slots.map(slot => {
+        const entry = byHour.get(slot.hour) || {};
+        const hourStress = stressOf(slot);
+        const midHour = slot.hour + 0.5;
+
+        // Basal energy of the hour with the BMR factors at the middle of the hour
+        const bmrFactors = bmrAdjustmentFactors(sleepScore, hourStress, midHour);
+        const adjustedBMR = baseBMR * bmrFactors.sleep * bmrFactors.stress * bmrFactors.timeOfDay;
+        const bmrHour = adjustedBMR / HOURS_PER_DAY;
+
+        // Activity: MET of the hour, or estimated from its steps
+        const metValue = entry.metValue ?? (isMissing(entry.steps) ? 0 : entry.steps / stepsPerMetHour);
+        const paeeHour = metValue > 0 || entry.averageActivityLevel > 0
+            ? calculatePhysicalActivityEnergyExpenditure(metValue, adjustedBMR, 1, entry.averageActivityLevel ?? null).value
+            : 0;
+
+        // Meals eaten within the digestion window (also the previous day's evening for hours after midnight)
+        const tefHour = mealEffects.reduce((sum, meal) => sum +
+            meal.perHour * (overlapHours(meal.hour, meal.end, slot.timeline) +
+                overlapHours(meal.hour + HOURS_PER_DAY, meal.end + HOURS_PER_DAY, slot.timeline)), 0);
+
+        const stressEnergyHour = stressWeightTotal > 0
+            ? dailyStressEnergy * stressWeights[slot.index] / stressWeightTotal
+            : dailyStressEnergy / hours;
+
+        // TEE model: BMR + (TEF + PAEE + Stress_Energy) × F_sleep × F_stress × F_time
+        const teeFactors = teeAdjustmentFactors(sleepScore, hourStress, midHour);
+        const variableHour = (tefHour + paeeHour + stressEnergyHour) *
+            teeFactors.sleepEfficiency * teeFactors.stressImpact * teeFactors.timeActivity;
+        const expenditure = bmrHour + variableHour;
+
+        const previousLevel = level;
+        level -= expenditure;
+        if (!depletion && level <= reserveLevel && previousLevel > reserveLevel) {
+            // interpolate the moment within the hour the reserve was reached
+            const hoursFromStart = slot.index + (previousLevel - reserveLevel) / expenditure;
+            depletion = {depleted: true, projected: false, hoursFromStart};
+        }
+
+        totals.bmr += bmrHour;
+        totals.paee += paeeHour;
+        totals.tef += tefHour;
+        totals.stressEnergy += stressEnergyHour;
+        totals.expenditure += expenditure;
+
+        return {
+            hour: slot.hour,
+            clock: formatClockTime(slot.hour),
+            metValue: round2(metValue),
+            stressScore: hourStress,
+            bmr: round2(bmrHour),
+            paee: round2(paeeHour),
+            tef: round2(tefHour),
+            stressEnergy: round2(stressEnergyHour),
+            expenditure: round2(expenditure),
+            level: round2(level),
+            levelPercent: round2(level / capacity * 100)
+        };
+    });
+
+    if (startLevel <= reserveLevel) {
+        depletion = {depleted: true, projected: false, hoursFromStart: 0};
+    } else if (!depletion) {
+        // Battery lasted: continue at the average hourly drain of the simulated hours
+        const averageDrain = totals.expenditure / hours;
+        depletion = averageDrain > 0
+            ? {depleted: false, projected: true, hoursFromStart: hours + (level - reserveLevel) / averageDrain}
+            : {depleted: false, projected: true, hoursFromStart: null};
+    }
+    const depletionHour = depletion.hoursFromStart === null ? null : startHour + depletion.hoursFromStart;
+
+    return {
+        value: round2(Math.max(0, level) / capacity * 100),
+        capacity: round2(capacity),
+        startLevel: round2(startLevel),
+        endLevel: round2(level),
+        reserveLevel: round2(reserveLevel),
+        curve,
+        totals: {
+            bmr: round2(totals.bmr),
+            paee: round2(totals.paee),
+            tef: round2(totals.tef),
+            stressEnergy: round2(totals.stressEnergy),
+            expenditure: round2(totals.expenditure),
+            averageHourlyDrain: round2(totals.expenditure / hours)
+        },
+        depletion: {
+            depleted: depletion.depleted,
+            projected: depletion.projected,
+            hoursFromStart: depletion.hoursFromStart === null ? null : round2(depletion.hoursFromStart),
+            // hour of the start day; above 24 when the battery runs out after midnight
+            hourOfDay: depletionHour === null ? null : round2(depletionHour),
+            clock: formatClockTime(depletionHour)
+        },
+        inputs: {
+            energyCapacity: capacity,
+            baseBMR,
+            stressEnergy: dailyStressEnergy,
+            sleepScore,
+            stressScore,
+            startHour,
+            hours,
+            startLevelPercent,
+            hourlyEntries: byHour.size,
+            meals: mealEffects.length
+        },
+        parameters: {stepsPerMetHour, tefDurationHours, reservePercent}
+    };
+}
@@ -9,6 +9,9 @@
  * Typical coefficient values: α = 2.0, β = 1.5, γ = 2.0
  */
 
+import {isMissing, optionalNumber, requireNumber} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
 /**
  * Calculate VO2 max-based fitness score using Gaussian distribution
  * @param {number} vo2Max - Current VO2 max value
@@ -112,7 +115,7 @@ function getOptimalBodyFatRange(age, gender, fitnessLevel = 'fitness') {
 
 /**
  * Calculate Energy Capacity using BMR and dynamic capacity multiplier
- * @param {number} bmr - Basal Metabolic Rate (kcal/day)
+ * @param {number|Object} bmr - Basal Metabolic Rate (kcal/day), a BMR result or a tagged quantity
  * @param {number} fitnessScore - Fitness score (0-100), can be calculated from VO2 max or body fat
  * @param {number} recoveryScore - Recovery score (0-100) from HRV, sleep quality
  * @param {number} stressIndex - Stress index (0-100) from HRV suppression, cortisol, lactate
@@ -124,12 +127,18 @@ function getOptimalBodyFatRange(age, gender, fitnessLevel = 'fitness') {
  * @returns {Object} Energy Capacity with value, components, and calculation details
  */
 export function calculateEnergyCapacity(bmr, fitnessScore = null, recoveryScore = 90, stressIndex = 30, vo2Data = null, bodyFatData = null, alpha = 2.0, beta = 1.5, gamma = 2.0) {
+    bmr = toUnit('bmr', bmr, 'kcal');
+    requireNumber('bmr', bmr, {min: 0});
+    optionalNumber('fitnessScore', fitnessScore, {min: 0, max: 100});
+    requireNumber('recoveryScore', recoveryScore, {min: 0, max: 100});
+    requireNumber('stressIndex', stressIndex, {min: 0, max: 100});
+
     let calculatedFitnessScore = fitnessScore;
     let fitnessCalculationMethod = 'provided';
     let fitnessBreakdown = null;
 
     // Calculate fitness score if not provided
-    if (calculatedFitnessScore === null) {
+    if (isMissing(calculatedFitnessScore)) {
         if (vo2Data && vo2Data.current && vo2Data.target) {
             // Use VO2 max-based calculation (primary method)
             calculatedFitnessScore = calculateVO2FitnessScore(vo2Data.current, vo2Data.target, vo2Data.sigma);
@@ -209,7 +218,7 @@ export function calculateEnergyCapacity(bmr, fitnessScore = null, recoveryScore
             vo2Data,
             bodyFatData
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
@@ -0,0 +1,270 @@
+/**
+ * Energy Credit Ledger
+ *
+ * Day-by-day Energy Credit Score with every daily ΔCreditScore actually applied:
+ * - ΔCreditScore(d) from calculateDailyEnergyCreditUpdate (EnergyCapacity(d) - TEE(d))
+ * - Score(d) = clamp(Score(d - 1) + ΔCreditScore(d), 0, MaxCreditScore), Score before the first day = InitialScore
+ * - RollingAVG(d) = weighted average of ΔCreditScore over days d-6..d, w = [1, 1, 1, 1, 2, 2, 3]/11
+ *   (calculateWeightedRollingAverage)
+ *
+ * Days are keyed by calendar date (YYYY-MM-DD, UTC). A date without data between two recorded days is a gap:
+ * its ΔCreditScore is 0 (the score carries over) and it is listed in `missingDates` until it is backfilled.
+ * Recording a day before the last one (backfill) or again (correction) replays the ledger from that date.
+ *
+ * The ledger score and rolling average are the CurrentScore and RollingAVG of the Total Energy Credit Score
+ * (calculateTotalEnergyCreditScore in energy-credit-score.js).
+ *
+ * The ledger is persisted as its recorded days (serializeEnergyCreditLedger) and restored by replaying them
+ * (restoreEnergyCreditLedger), so the stored history never disagrees with the scoring profile in use.
+ */
+
+import {InvalidInputError, MissingInputError, isMissing, requireArray, requireNumber} from "../shared/validation.js";
+import {DEFAULT_SCORING_CONFIG} from "../shared/scoring-config.js";
+import {calculateDailyEnergyCreditUpdate} from "./energy-credit-score.js";
+import {calculateWeightedRollingAverage} from "../activity/total-energy-credit-score.js";
+
+export const CREDIT_LEDGER_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROLLING_WINDOW_DAYS = 7;
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function dateKey(field, date) {
+    if (isMissing(date)) {
+        throw new MissingInputError(field);
+    }
+    const time = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+        ? Date.parse(`${date}T00:00:00Z`)
+        : new Date(date).getTime();
+    if (typeof date !== 'string' && !(date instanceof Date) || Number.isNaN(time)) {
+        throw new InvalidInputError(field, date, 'expected a date (YYYY-MM-DD)');
+    }
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function nextDateKey(key) {
+    return new Date(Date.parse(`${key}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+}
+
+function resolveParams(options) {
+    const params = {...DEFAULT_SCORING_CONFIG.energy.credit, ...options};
+    requireNumber('maxCreditScore', params.maxCreditScore, {min: Number.MIN_VALUE});
+    requireNumber('initialScore', params.initialScore, {min: 0, max: params.maxCreditScore});
+    return params;
+}
+
+// записані дні: { date, energyCapacity, totalEnergyExpenditure } за датою; повторна дата — помилка
+function normalizeDays(days) {
+    requireArray('days', days);
+    const byDate = new Map();
+    days.forEach((day, index) => {
+        if (typeof day !== 'object' || day === null) {
+            throw new InvalidInputError(`days[${index}]`, day, 'expected { date, energyCapacity, totalEnergyExpenditure }');
+        }
+        const date = dateKey(`days[${index}].date`, day.date);
+        if (byDate.has(date)) {
+            throw new InvalidInputError(`days[${index}].date`, day.date, 'date is recorded twice');
+        }
+        byDate.set(date, {
+            date,
+            energyCapacity: day.energyCapacity,
+            totalEnergyExpenditure: day.totalEnergyExpenditure ?? day.tee
+        });
+    });
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Replay recorded days and apply each day's credit change to the running score
+ * @param {Array} days - Recorded days in any order: { date, energyCapacity, totalEnergyExpenditure } where capacity
+ *   and TEE are kcal/day, tagged quantities or calculator results (`tee` is accepted for totalEnergyExpenditure)
+ * @param {Object} options - Credit parameters (defaults: scoring profile `energy.credit` section)
+ * @param {number} options.initialScore - Score before the first recorded day
+ * @param {number} options.maxCreditScore - Upper bound of the score
+ * @param {number} options.maxScalingDelta - Max scaling delta of the daily update
+ * @param {number} options.surplusGainFactor - Scaling factor for surplus gain (S)
+ * @param {number} options.deficitPenaltyFactor - Scaling factor for deficit penalty (D)
+ * @returns {Object} Ledger: value (latest score), rollingAvgCreditChanges, entries (one per calendar day, gaps
+ *   included), series ([{ date, value }]), missingDates, next (currentCreditScore / rollingAvgCreditChanges
+ *   for the following day) and parameters
+ */
+export function replayEnergyCreditLedger(days, options = {}) {
+    const params = resolveParams(options);
+    const recorded = normalizeDays(days);
+
+    const entries = [];
+    const changes = [];
+    let score = params.initialScore;
+    let index = 0;
+    let date = recorded.length > 0 ? recorded[0].date : null;
+
+    while (index < recorded.length) {
+        const day = recorded[index].date === date ? recorded[index++] : null;
+        const previousScore = score;
+        let entry;
+
+        if (day) {
+            const update = calculateDailyEnergyCreditUpdate(
+                day.energyCapacity,
+                day.totalEnergyExpenditure,
+                params.maxScalingDelta,
+                params.surplusGainFactor,
+                params.deficitPenaltyFactor
+            );
+            score = Math.min(params.maxCreditScore, Math.max(0, previousScore + update.creditScoreChange));
+            entry = {
+                date,
+                missing: false,
+                energyCapacity: update.components.energyCapacity,
+                totalEnergyExpenditure: update.components.totalEnergyExpenditure,
+                energyDelta: round2(update.energyDelta),
+                creditScoreChange: update.creditScoreChange,
+                // change that fit between 0 and maxCreditScore
+                appliedChange: round2(score - previousScore),
+                calculationMethod: update.calculationMethod
+            };
+        } else {
+            entry = {
+                date,
+                missing: true,
+                energyCapacity: null,
+                totalEnergyExpenditure: null,
+                energyDelta: null,
+                creditScoreChange: 0,
+                appliedChange: 0,
+                calculationMethod: 'missing_day'
+            };
+        }
+
+        changes.push(entry.creditScoreChange);
+        entries.push({
+            ...entry,
+            previousScore: round2(previousScore),
+            score: round2(score),
+            rollingAvgCreditChanges: round2(calculateWeightedRollingAverage(changes.slice(-ROLLING_WINDOW_DAYS)))
+        });
+        date = nextDateKey(date);
+    }
+
+    const last = entries[entries.length - 1];
+    const value = last ? last.score : params.initialScore;
+    const rollingAvgCreditChanges = last ? last.rollingAvgCreditChanges : 0;
+
+    return {
+        value,
+        rollingAvgCreditChanges,
+        firstDate: entries[0]?.date ?? null,
+        lastDate: last?.date ?? null,
+        entries,
+        series: entries.map(entry => ({date: entry.date, value: entry.score})),
+        missingDates: entries.filter(entry => entry.missing).map(entry => entry.date),
+        next: {
+            date: last ? nextDateKey(last.date) : null,
+            currentCreditScore: value,
+            rollingAvgCreditChanges
+        },
+        parameters: {
+            initialScore: params.initialScore,
+            maxCreditScore: params.maxCreditScore,
+            maxScalingDelta: params.maxScalingDelta,
+            surplusGainFactor: params.surplusGainFactor,
+            deficitPenaltyFactor: params.deficitPenaltyFactor,
+            rollingWindowDays: ROLLING_WINDOW_DAYS
+        },
+        formula: 'Score(d) = clamp(Score(d-1) + ΔCreditScore(d), 0, MaxCreditScore)'
+    };
+}
+
+function recordedDays(ledger) {
+    return ledger.entries
+        .filter(entry => !entry.missing)
+        .map(({date, energyCapacity, totalEnergyExpenditure}) => ({date, energyCapacity, totalEnergyExpenditure}));
+}
+
+/**
+ * Record one day in a ledger: a new day, a backfilled gap or earlier day, or a correction of a recorded day
+ * @param {Object} ledger - Ledger from replayEnergyCreditLedger / restoreEnergyCreditLedger
+ * @param {Object} day - { date, energyCapacity, totalEnergyExpenditure } (see replayEnergyCreditLedger)
+ * @param {Object} options - Credit parameters (default: the ledger's own parameters)
+ * @returns {Object} New ledger (the input ledger is not changed) with `recorded`: { date, action: 'appended' |
+ *   'backfilled' | 'corrected', replayedFrom } — scores from replayedFrom onwards were recomputed
+ */
+export function recordEnergyCreditDay(ledger, day, options = {}) {
+    if (isMissing(ledger) || !Array.isArray(ledger.entries)) {
+        throw new InvalidInputError('ledger', ledger, 'expected a ledger from replayEnergyCreditLedger');
+    }
+    if (typeof day !== 'object' || day === null) {
+        throw new InvalidInputError('day', day, 'expected { date, energyCapacity, totalEnergyExpenditure }');
+    }
+    const date = dateKey('day.date', day.date);
+    const existing = recordedDays(ledger);
+
+    const action = existing.some(entry => entry.date === date) ? 'corrected'
+        : isMissing(ledger.lastDate) || date > ledger.lastDate ? 'appended' : 'backfilled';
+
+    const result = replayEnergyCreditLedger(
+        [...existing.filter(entry => entry.date !== date), {...day, date}],
+        {...ledger.parameters, ...options}
+    );
+    return {...result, recorded: {date, action, replayedFrom: date}};
+}
+
+/**
+ * Plain JSON-safe form of a ledger for storage
+ * @param {Object} ledger - Ledger from replayEnergyCreditLedger
+ * @returns {Object} { version, initialScore, days: [{ date, energyCapacity, totalEnergyExpenditure, score }] }
+ *   (gaps are not stored; scores are kept for readers of the stored history and recomputed on restore)
+ */
+export function serializeEnergyCreditLedger(ledger) {
+    if (isMissing(ledger) || !Array.isArray(ledger.entries)) {
+        throw new InvalidInputError('ledger', ledger, 'expected a ledger from replayEnergyCreditLedger');
+    }
+    return {
+        version: CREDIT_LEDGER_VERSION,
+        initialScore: ledger.parameters.initialScore,
+        days: ledger.entries
+            .filter(entry => !entry.missing)
+            .map(({date, energyCapacity, totalEnergyExpenditure, score}) => ({date, energyCapacity, totalEnergyExpenditure, score}))
+    };
+}
+
+/**
+ * Restore a stored ledger by replaying its days
+ * @param {Object|Array} stored - Output of serializeEnergyCreditLedger (or its JSON string), or an array of
+ *   recorded days
+ * @param {Object} options - Credit parameters (the stored initialScore is kept: the history started from it)
+ * @returns {Object} Ledger (see replayEnergyCreditLedger) with `revisedDates`: dates whose stored score differs
+ *   from the replayed one (e.g. after a scoring profile change)
+ */
+export function restoreEnergyCreditLedger(stored, options = {}) {
+    if (typeof stored === 'string') {
+        try {
+            stored = JSON.parse(stored);
+        } catch {
+            throw new InvalidInputError('stored', stored, 'not valid JSON');
+        }
+    }
+    if (Array.isArray(stored)) {
+        stored = {version: CREDIT_LEDGER_VERSION, days: stored};
+    }
+    if (isMissing(stored) || typeof stored !== 'object') {
+        throw new InvalidInputError('stored', stored, 'expected a serialized ledger');
+    }
+    if (stored.version !== CREDIT_LEDGER_VERSION) {
+        throw new InvalidInputError('stored.version', stored.version, `unsupported ledger version (expected ${CREDIT_LEDGER_VERSION})`);
+    }
+
+    const ledger = replayEnergyCreditLedger(requireArray('stored.days', stored.days), {
+        ...options,
+        ...(isMissing(stored.initialScore) ? {} : {initialScore: stored.initialScore})
+    });
+    const scores = new Map(ledger.entries.map(entry => [entry.date, entry.score]));
+    const revisedDates = stored.days
+        .filter(day => !isMissing(day.score) && scores.get(dateKey('stored.days.date', day.date)) !== day.score)
+        .map(day => dateKey('stored.days.date', day.date));
+
+    return {...ledger, revisedDates};
+}
@@ -6,23 +6,60 @@
  * 2. Total Energy Credit Score: Using sigmoid function with current score and rolling average
  *
  * Formulas:
- * - EnergyDelta = EnergyCapacity - TEE
+ * - EnergyDelta = EnergyCapacity - TEE (TEE from calculateTotalEnergyExpenditure: BMR + adjusted TEF, PAEE and stress energy)
  * - scaled_EnergyDelta = EnergyDelta / MaxScalingDelta
  * - If EnergyDelta > 0: ΔCreditScore = +S × tanh(scaled_EnergyDelta)
  * - If EnergyDelta < 0: ΔCreditScore = -D × tanh(|scaled_EnergyDelta|)
- * - TotalEnergyCreditScore = MaxCreditScore × sigmoid(CurrentScore + RollingAVG of ΔCreditScores)
+ * - TotalEnergyCreditScore = MaxCreditScore × sigmoid((CurrentScore + RollingAVG of ΔCreditScores - MaxCreditScore / 2) / (MaxCreditScore / 8))
+ *
+ * The sigmoid input is centered on half the scale and scaled so that scores 0..MaxCreditScore span -4..4;
+ * an uncentered sigmoid(CurrentScore + RollingAVG) is 1 (i.e. MaxCreditScore) for any score above ~10.
+ *
+ * The day-by-day score with each ΔCreditScore applied to the previous day's score is kept by
+ * energy-credit-ledger.js.
  */
 
+import {requireNumber} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
+// TEE may be passed as kcal/day, a tagged quantity or a calculateTotalEnergyExpenditure result
+function teeValue(totalEnergyExpenditure) {
+    return toUnit('totalEnergyExpenditure', totalEnergyExpenditure, 'kcal');
+}
+
+// scores 0..MaxCreditScore map onto sigmoid inputs -SPAN/2..SPAN/2
+const CREDIT_SIGMOID_SPAN = 8;
+
+/**
+ * Sigmoid of a credit score centered on half the scale
+ * @param {number} currentScore - Credit score (0..maxCreditScore)
+ * @param {number} rollingAvgCreditChanges - Rolling average of ΔCreditScores
+ * @param {number} maxCreditScore - Maximum credit score (default 1000)
+ * @returns {Object} { input, value (0-1) }: sigmoid((currentScore + rollingAvg - max / 2) / (max / 8))
+ */
+export function creditSigmoid(currentScore, rollingAvgCreditChanges, maxCreditScore = 1000) {
+    requireNumber('maxCreditScore', maxCreditScore, {min: Number.MIN_VALUE});
+    const input = (currentScore + rollingAvgCreditChanges - maxCreditScore / 2) / (maxCreditScore / CREDIT_SIGMOID_SPAN);
+    return {input, value: 1 / (1 + Math.exp(-input))};
+}
+
 /**
  * Calculate daily Energy Credit Score update (ΔCreditScore)
- * @param {number} energyCapacity - Energy Capacity (kcal/day)
- * @param {number} totalEnergyExpenditure - Total Energy Expenditure (TEE) (kcal/day)
+ * @param {number|Object} energyCapacity - Energy Capacity (kcal/day), an Energy Capacity result or a tagged quantity
+ * @param {number|Object} tee - Total Energy Expenditure (TEE) in kcal/day, a tagged quantity or a
+ *   calculateTotalEnergyExpenditure result
  * @param {number} maxScalingDelta - Max scaling delta (default 250)
  * @param {number} surplusGainFactor - Scaling factor for surplus gain (S) (default 8)
  * @param {number} deficitPenaltyFactor - Scaling factor for deficit penalty (D) (default 10)
  * @returns {Object} Daily credit score update with calculation details
  */
-export function calculateDailyEnergyCreditUpdate(energyCapacity, totalEnergyExpenditure, maxScalingDelta = 250, surplusGainFactor = 8, deficitPenaltyFactor = 10) {
+export function calculateDailyEnergyCreditUpdate(energyCapacity, tee, maxScalingDelta = 250, surplusGainFactor = 8, deficitPenaltyFactor = 10) {
+    const totalEnergyExpenditure = teeValue(tee);
+    energyCapacity = toUnit('energyCapacity', energyCapacity, 'kcal');
+    requireNumber('energyCapacity', energyCapacity, {min: 0});
+    requireNumber('totalEnergyExpenditure', totalEnergyExpenditure, {min: 0});
+    requireNumber('maxScalingDelta', maxScalingDelta, {min: Number.MIN_VALUE});
+
     // Calculate energy delta
     const energyDelta = energyCapacity - totalEnergyExpenditure;
 
@@ -73,16 +110,18 @@ export function calculateDailyEnergyCreditUpdate(energyCapacity, totalEnergyExpe
 }
 
 /**
- * Calculate Total Energy Credit Score using sigmoid function
- * @param {number} currentScore - Yesterday's Total Energy Credit Score
+ * Calculate Total Energy Credit Score using the centered sigmoid (see creditSigmoid)
+ * @param {number} currentScore - Yesterday's Total Energy Credit Score, or the ledger score (energy-credit-ledger.js)
  * @param {number} rollingAvgCreditChanges - Time-weighted average of past ΔCreditScores over the past week
  * @param {number} maxCreditScore - Maximum credit score (default 1000)
  * @returns {Object} Total Energy Credit Score with calculation details
  */
 export function calculateTotalEnergyCreditScore(currentScore, rollingAvgCreditChanges, maxCreditScore = 1000) {
-    // Sigmoid function: sigmoid(x) = 1 / (1 + exp(-x))
-    const sigmoidInput = currentScore + rollingAvgCreditChanges;
-    const sigmoidValue = 1 / (1 + Math.exp(-sigmoidInput));
+    requireNumber('currentScore', currentScore);
+    requireNumber('rollingAvgCreditChanges', rollingAvgCreditChanges);
+
+    // Sigmoid function: sigmoid(x) = 1 / (1 + exp(-x)) of the centered and scaled score
+    const {input: sigmoidInput, value: sigmoidValue} = creditSigmoid(currentScore, rollingAvgCreditChanges, maxCreditScore);
 
     // Apply max credit score scaling
     const totalEnergyCreditScore = maxCreditScore * sigmoidValue;
@@ -102,15 +141,16 @@ export function calculateTotalEnergyCreditScore(currentScore, rollingAvgCreditCh
             rollingAvgCreditChanges,
             maxCreditScore
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
 /**
  * Calculate complete Energy Credit Score (combines daily update and total score)
- * @param {number} energyCapacity - Energy Capacity (kcal/day)
- * @param {number} totalEnergyExpenditure - Total Energy Expenditure (TEE) (kcal/day)
- * @param {number} currentScore - Yesterday's Total Energy Credit Score
+ * @param {number|Object} energyCapacity - Energy Capacity (kcal/day), an Energy Capacity result or a tagged quantity
+ * @param {number|Object} totalEnergyExpenditure - Total Energy Expenditure (TEE) in kcal/day, a tagged quantity or a
+ *   calculateTotalEnergyExpenditure result (its breakdown is kept in the result)
+ * @param {number} currentScore - Yesterday's Total Energy Credit Score, or the ledger score
  * @param {number} rollingAvgCreditChanges - Rolling average of past credit changes
  * @param {number} maxScalingDelta - Max scaling delta (default 250)
  * @param {number} surplusGainFactor - Scaling factor for surplus gain (default 8)
@@ -141,9 +181,13 @@ export function calculateEnergyCreditScore(energyCapacity, totalEnergyExpenditur
         totalScore,
         energyDelta: dailyUpdate.energyDelta,
         creditScoreChange: dailyUpdate.creditScoreChange,
+        // BMR, TEF, PAEE and stress energy behind the TEE (null when TEE was passed as a number)
+        teeComponents: typeof totalEnergyExpenditure === 'object' && totalEnergyExpenditure !== null
+            ? totalEnergyExpenditure.components
+            : null,
         inputs: {
-            energyCapacity,
-            totalEnergyExpenditure,
+            energyCapacity: toUnit('energyCapacity', energyCapacity, 'kcal'),
+            totalEnergyExpenditure: teeValue(totalEnergyExpenditure),
             currentScore,
             rollingAvgCreditChanges,
             maxScalingDelta,
@@ -151,7 +195,7 @@ export function calculateEnergyCreditScore(energyCapacity, totalEnergyExpenditur
             deficitPenaltyFactor,
             maxCreditScore
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
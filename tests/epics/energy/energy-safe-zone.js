@@ -11,15 +11,23 @@
  * Safe zones can be calculated for each day independently (Monday, Tuesday, etc.).
  */
 
+import {InvalidInputError, isMissing, requireNumber} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
 /**
  * Calculate Energy Safe Zone based on historical energy delta data
- * @param {Array} historicalEnergyDeltas - Array of energy deltas from the last 7 days
- * @param {number} bufferZone - Buffer zone around the average (default 50 kcal)
+ * @param {Array} historicalEnergyDeltas - Array of energy deltas (kcal or tagged quantities) from the last 7 days
+ * @param {number|Object} bufferZone - Buffer zone around the average (default 50 kcal)
  * @param {number} minHistoryRequired - Minimum number of historical records required (default 3)
  * @returns {Object} Energy Safe Zone with upper and lower bounds
  */
 export function calculateEnergySafeZone(historicalEnergyDeltas, bufferZone = 50, minHistoryRequired = 3) {
     // Validate input
+    bufferZone = toUnit('bufferZone', bufferZone, 'kcal');
+    requireNumber('bufferZone', bufferZone, {min: 0});
+    if (!isMissing(historicalEnergyDeltas) && !Array.isArray(historicalEnergyDeltas)) {
+        throw new InvalidInputError('historicalEnergyDeltas', historicalEnergyDeltas, 'expected an array');
+    }
     if (!Array.isArray(historicalEnergyDeltas) || historicalEnergyDeltas.length === 0) {
         return {
             available: false,
@@ -33,10 +41,10 @@ export function calculateEnergySafeZone(historicalEnergyDeltas, bufferZone = 50,
         };
     }
 
-    // Filter out null/undefined values
-    const validDeltas = historicalEnergyDeltas.filter(delta =>
-        delta !== null && delta !== undefined && !isNaN(delta)
-    );
+    // Filter out null/undefined values (deltas may be tagged quantities, e.g. in kJ)
+    const validDeltas = historicalEnergyDeltas
+        .map((delta, index) => toUnit(`historicalEnergyDeltas[${index}]`, delta, 'kcal'))
+        .filter(delta => delta !== null && delta !== undefined && !isNaN(delta));
 
     // Check if we have enough historical data
     if (validDeltas.length < minHistoryRequired) {
@@ -81,7 +89,7 @@ export function calculateEnergySafeZone(historicalEnergyDeltas, bufferZone = 50,
             bufferZone,
             minHistoryRequired
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
@@ -13,6 +13,8 @@
  * - σ = acceptable deviation (e.g., 10 ms for trained athletes, 20 ms for general population)
  */
 
+import {requireNumber} from "../shared/validation.js";
+
 /**
  * Calculate HRV Score using Gaussian distribution relative to personal baseline
  * @param {number} currentHRV - Today's (or smoothed) HRV value in ms
@@ -29,13 +31,9 @@ export function calculateHRVScore(currentHRV, baselineHRV, acceptableDeviation =
     }
 
     // Validate inputs
-    if (currentHRV === null || currentHRV === undefined || baselineHRV === null || baselineHRV === undefined) {
-        throw new Error('Both current HRV and baseline HRV are required for HRV Score calculation');
-    }
-
-    if (currentHRV < 0 || baselineHRV < 0 || sigma <= 0) {
-        throw new Error('HRV values and sigma must be positive numbers');
-    }
+    requireNumber('currentHRV', currentHRV, {min: 0, max: 500});
+    requireNumber('baselineHRV', baselineHRV, {min: 0, max: 500});
+    requireNumber('acceptableDeviation', sigma, {min: Number.MIN_VALUE});
 
     let hrvScore;
     let calculationMethod;
@@ -73,7 +71,7 @@ export function calculateHRVScore(currentHRV, baselineHRV, acceptableDeviation =
             acceptableDeviation: sigma,
             populationType
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
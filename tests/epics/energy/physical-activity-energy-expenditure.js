@@ -8,15 +8,25 @@
  * Where MET = AdjustedBMR or Input from wearable
  */
 
+import {optionalNumber, requireNumber} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
 /**
  * Calculate Physical Activity Energy Expenditure using MET values and BMR
  * @param {number} metValue - Metabolic Equivalent of Task value
- * @param {number} adjustedBMR - Adjusted Basal Metabolic Rate (kcal/day)
- * @param {number} durationHours - Duration of activity in hours
+ * @param {number|Object} adjustedBMR - Adjusted Basal Metabolic Rate (kcal/day), a BMR result or a tagged quantity
+ * @param {number|string|Object} durationHours - Duration of activity in hours, "H:MM" or a tagged quantity (e.g. { value: 45, unit: 'min' })
  * @param {number} averageActivityLevel - Average activity level from wearable data (optional)
  * @returns {Object} PAEE with value, components, and calculation method
  */
 export function calculatePhysicalActivityEnergyExpenditure(metValue, adjustedBMR, durationHours, averageActivityLevel = null) {
+    adjustedBMR = toUnit('adjustedBMR', adjustedBMR, 'kcal');
+    durationHours = toUnit('durationHours', durationHours, 'h');
+    requireNumber('metValue', metValue, {min: 0});
+    requireNumber('adjustedBMR', adjustedBMR, {min: 0});
+    requireNumber('durationHours', durationHours, {min: 0, max: 24});
+    optionalNumber('averageActivityLevel', averageActivityLevel, {min: 0});
+
     let paeeValue;
     let calculationMethod;
     let activityBreakdown = null;
@@ -25,7 +35,7 @@ export function calculatePhysicalActivityEnergyExpenditure(metValue, adjustedBMR
     const bmrPerHour = adjustedBMR / 24;
 
     // Check if we have wearable activity level data for enhanced calculation
-    if (averageActivityLevel !== null && averageActivityLevel > 0) {
+    if (averageActivityLevel > 0) {
         // Enhanced calculation using wearable activity level
         // PAEE = (Activity Level × BMR/hour × duration) + (MET × BMR/hour × duration)
         const wearableComponent = averageActivityLevel * bmrPerHour * durationHours;
@@ -67,7 +77,7 @@ export function calculatePhysicalActivityEnergyExpenditure(metValue, adjustedBMR
             durationHours,
             averageActivityLevel
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
@@ -6,41 +6,56 @@
  *
  * Formula: RecoveryScore = (w1 × HRV_score + w2 × SleepScore) / (w1 + w2)
  * Where: w1, w2 = weights for HRV and Sleep (e.g., w1 = 0.6, w2 = 0.4)
+ *
+ * When one of the scores is missing the other one is used alone (its weight is renormalized to 1).
  */
 
+import {MissingInputError, isMissing, optionalNumber, requireNumber} from "../shared/validation.js";
+import {calculateWeightedComposite} from "../shared/composite.js";
+
+function round2(n) {
+    return n === null ? null : Math.round(n * 100) / 100;
+}
+
 /**
  * Calculate Recovery Score using weighted average of HRV and Sleep scores
- * @param {number} hrvScore - HRV score from HRV formula
- * @param {number} sleepScore - Existing sleep score
+ * @param {number|null} hrvScore - HRV score from HRV formula (null when HRV is not available)
+ * @param {number|null} sleepScore - Existing sleep score (null when sleep is not available)
  * @param {number} w1 - Weight for HRV score (default 0.6)
  * @param {number} w2 - Weight for Sleep score (default 0.4)
  * @returns {Object} Recovery Score with value, components, and calculation details
  */
 export function calculateRecoveryScore(hrvScore, sleepScore, w1 = 0.6, w2 = 0.4) {
     // Validate inputs
-    if (hrvScore === null || hrvScore === undefined || sleepScore === null || sleepScore === undefined) {
-        throw new Error('Both HRV score and Sleep score are required for Recovery Score calculation');
+    optionalNumber('hrvScore', hrvScore);
+    optionalNumber('sleepScore', sleepScore);
+    requireNumber('w1', w1, {min: 0});
+    requireNumber('w2', w2, {min: 0});
+    if (isMissing(hrvScore) && isMissing(sleepScore)) {
+        throw new MissingInputError('hrvScore');
     }
 
     // Ensure scores are within valid range (0-100)
-    const normalizedHrvScore = Math.max(0, Math.min(100, hrvScore));
-    const normalizedSleepScore = Math.max(0, Math.min(100, sleepScore));
+    const normalizedHrvScore = isMissing(hrvScore) ? null : Math.max(0, Math.min(100, hrvScore));
+    const normalizedSleepScore = isMissing(sleepScore) ? null : Math.max(0, Math.min(100, sleepScore));
 
-    // Calculate weighted average
+    // Calculate weighted average over the available scores
     // RecoveryScore = (w1 × HRV_score + w2 × SleepScore) / (w1 + w2)
-    const weightedHrvContribution = w1 * normalizedHrvScore;
-    const weightedSleepContribution = w2 * normalizedSleepScore;
+    const composite = calculateWeightedComposite(
+        {hrv: normalizedHrvScore, sleep: normalizedSleepScore},
+        {hrv: w1, sleep: w2}
+    );
+    const hrvWeight = composite.components.hrv.effectiveWeight;
+    const sleepWeight = composite.components.sleep.effectiveWeight;
     const totalWeight = w1 + w2;
 
-    const recoveryScore = (weightedHrvContribution + weightedSleepContribution) / totalWeight;
-
     return {
-        value: Math.round(recoveryScore * 100) / 100, // Round to 2 decimal places
+        value: round2(composite.value),
         components: {
             hrvScore: normalizedHrvScore,
             sleepScore: normalizedSleepScore,
-            hrvContribution: Math.round(weightedHrvContribution * 100) / 100,
-            sleepContribution: Math.round(weightedSleepContribution * 100) / 100,
+            hrvContribution: round2(composite.components.hrv.contribution),
+            sleepContribution: round2(composite.components.sleep.contribution),
             hrvWeight: w1,
             sleepWeight: w2,
             totalWeight
@@ -48,16 +63,19 @@ export function calculateRecoveryScore(hrvScore, sleepScore, w1 = 0.6, w2 = 0.4)
         weights: {
             hrv: w1,
             sleep: w2,
-            hrvPercentage: Math.round((w1 / totalWeight) * 100),
-            sleepPercentage: Math.round((w2 / totalWeight) * 100)
+            hrvPercentage: Math.round(hrvWeight * 100),
+            sleepPercentage: Math.round(sleepWeight * 100)
         },
+        excludedComponents: composite.excluded,
+        coverage: composite.coverage,
+        calculationMethod: composite.excluded.length === 0 ? 'hrv_sleep_weighted' : `${composite.included[0]}_only`,
         inputs: {
             hrvScore: normalizedHrvScore,
             sleepScore: normalizedSleepScore,
             w1,
             w2
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
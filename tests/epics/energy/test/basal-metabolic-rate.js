@@ -1,8 +1,8 @@
 /**
  * Basal Metabolic Rate (BMR) Calculation
  *
- * BMR accounts for ~60-75% of total energy expenditure. Uses the Mifflin-St Jeor equation
- * with dynamic adjustments based on physiological data (sleep, stress, time of day).
+ * BMR accounts for ~60-75% of total energy expenditure. Uses Mifflin-St Jeor, Harris-Benedict,
+ * Katch-McArdle or Cunningham with dynamic adjustments based on physiological data (sleep, stress, time of day).
  */
 
 import {sleep} from "../../../utils/async-helper.js";
@@ -17,4 +17,19 @@ export const mockBasalMetabolicRateTest = async () => {
 
     return result;
 }
-mockBasalMetabolicRateTest();
\ No newline at end of file
+mockBasalMetabolicRateTest();
+
+export const mockBasalMetabolicRateEquationsTest = async () => {
+    await sleep(2500);
+
+    // Lean-mass data selects Katch-McArdle automatically
+    const leanMass = calculateBasalMetabolicRate(90, 185, 30, 'male', 75, 50, 12, {bodyFatPercentage: 18});
+    console.info('BMR with body fat % =', leanMass.value, `(${leanMass.equation}, LBM ${leanMass.leanBodyMass} kg)`);
+
+    // Non-binary / unspecified sex uses the averaged formula
+    const averaged = calculateBasalMetabolicRate(70, 172, 35, 'non-binary', 75, 50, 12, {equation: 'harris_benedict'});
+    console.info('BMR non-binary =', averaged.value, `(${averaged.equation}, ${averaged.sexFormula})`);
+
+    return {leanMass, averaged};
+}
+mockBasalMetabolicRateEquationsTest();
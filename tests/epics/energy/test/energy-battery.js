@@ -0,0 +1,67 @@
+/**
+ * Intraday Energy Battery Simulation
+ *
+ * Battery(h) = Battery(h - 1) - (BMR(h) + (TEF(h) + PAEE(h) + Stress_Energy(h)) × F_sleep × F_stress(h) × F_time(h))
+ * starting at the day's Energy Capacity, with the projected time of depletion.
+ */
+
+import {sleep} from "../../../utils/async-helper.js";
+import {simulateEnergyBattery} from "../energy-battery.js";
+import {calculateBasalMetabolicRate} from "../basal-metabolic-rate.js";
+import {calculateEnergyCapacity} from "../energy-capacity.js";
+
+export const mockEnergyBatteryTest = async () => {
+    await sleep(2000);
+
+    const result = simulateEnergyBattery({
+        energyCapacity: 2600,
+        bmr: 1700,
+        hourly: [
+            {hour: 8, steps: 3000, stressScore: 35},
+            {hour: 18, metValue: 7, stressScore: 60}
+        ],
+        meals: [
+            {hour: 8, totalCalorieIntake: 500},
+            {hour: 13, totalCalorieIntake: 800},
+            {hour: 19, totalCalorieIntake: 700}
+        ],
+        stressEnergy: 100
+    });
+
+    console.info('simulate Energy Battery =', result.value, '% left, depletion:', result.depletion);
+
+    return result;
+};
+mockEnergyBatteryTest();
+
+export const mockEnergyBatteryIntegrationTest = async () => {
+    await sleep(1000);
+
+    console.info('🔗 Energy Battery Integration Test - Using calculated BMR and Energy Capacity');
+
+    const bmrResult = calculateBasalMetabolicRate(68, 165, 34, 'female', 70, 55, 12);
+    const energyCapacityResult = calculateEnergyCapacity(bmrResult.value, 40, 60, 55);
+    console.info('   Calculated Energy Capacity:', energyCapacityResult.value, 'kcal/day');
+
+    // Simulation from 6:00 with a hard workout in the morning and a stressful afternoon
+    const result = simulateEnergyBattery({
+        energyCapacity: energyCapacityResult,
+        bmr: bmrResult,
+        hourly: [
+            {hour: 6, metValue: 9, stressScore: 30},
+            {hour: 14, steps: 500, stressScore: 85},
+            {hour: 15, steps: 300, stressScore: 90}
+        ],
+        meals: [{hour: 7.5, totalCalorieIntake: 600}, {hour: '13:00', totalCalorieIntake: 900}],
+        sleepScore: 70,
+        stressScore: 55,
+        startHour: 6
+    });
+
+    console.info('🎯 Battery at the end of the simulation:', result.value, '%');
+    console.info('   Depletion:', result.depletion.clock, result.depletion.projected ? '(projected)' : '');
+    console.info('   Totals:', result.totals);
+
+    return result;
+};
+mockEnergyBatteryIntegrationTest();
@@ -0,0 +1,75 @@
+/**
+ * Energy Credit Ledger
+ *
+ * Score(d) = clamp(Score(d - 1) + ΔCreditScore(d), 0, MaxCreditScore) replayed day by day,
+ * with the weighted rolling average of ΔCreditScores, backfill of missed days and storage of the history.
+ */
+
+import {sleep} from "../../../utils/async-helper.js";
+import {
+    recordEnergyCreditDay,
+    replayEnergyCreditLedger,
+    restoreEnergyCreditLedger,
+    serializeEnergyCreditLedger
+} from "../energy-credit-ledger.js";
+import {calculateBasalMetabolicRate} from "../basal-metabolic-rate.js";
+import {calculateEnergyCapacity} from "../energy-capacity.js";
+import {calculateTotalEnergyExpenditure} from "../total-energy-expenditure.js";
+
+export const mockEnergyCreditLedgerTest = async () => {
+    await sleep(2000);
+
+    // 2026-10-03 is missing: its score carries over until it is backfilled
+    const ledger = replayEnergyCreditLedger([
+        {date: '2026-10-01', energyCapacity: 2600, totalEnergyExpenditure: 2400},
+        {date: '2026-10-02', energyCapacity: 2500, totalEnergyExpenditure: 2800},
+        {date: '2026-10-04', energyCapacity: 2600, totalEnergyExpenditure: 2500}
+    ]);
+
+    console.info('replay Energy Credit Ledger =', ledger.value, 'rolling avg:', ledger.rollingAvgCreditChanges,
+        'missing:', ledger.missingDates);
+
+    const backfilled = recordEnergyCreditDay(ledger, {date: '2026-10-03', energyCapacity: 3000, totalEnergyExpenditure: 2500});
+    console.info('backfilled', backfilled.recorded, '→', backfilled.series);
+
+    return backfilled;
+};
+mockEnergyCreditLedgerTest();
+
+export const mockEnergyCreditLedgerIntegrationTest = async () => {
+    await sleep(1000);
+
+    console.info('🔗 Energy Credit Ledger Integration Test - A week of calculated Energy Capacity and TEE');
+
+    const week = [
+        {sleepScore: 88, stressScore: 30, metValue: 6, durationHours: 1},
+        {sleepScore: 62, stressScore: 75, metValue: 8, durationHours: 2},
+        {sleepScore: 70, stressScore: 60, metValue: 3, durationHours: 0.5},
+        {sleepScore: 91, stressScore: 25, metValue: 0, durationHours: 0},
+        {sleepScore: 80, stressScore: 40, metValue: 7, durationHours: 1.5},
+        {sleepScore: 55, stressScore: 85, metValue: 9, durationHours: 2},
+        {sleepScore: 85, stressScore: 35, metValue: 4, durationHours: 1}
+    ];
+
+    const days = week.map((day, index) => {
+        const bmr = calculateBasalMetabolicRate(72, 178, 29, 'male', day.sleepScore, day.stressScore, 12);
+        const capacity = calculateEnergyCapacity(bmr.value, 75, day.sleepScore, day.stressScore);
+        const paee = bmr.baseBMR / 24 * day.metValue * day.durationHours;
+        const tee = calculateTotalEnergyExpenditure(bmr, 230, paee, 0, day.sleepScore, day.stressScore);
+        return {date: `2026-10-${String(12 + index).padStart(2, '0')}`, energyCapacity: capacity, totalEnergyExpenditure: tee};
+    });
+
+    // Stored after the first five days, restored and continued
+    const stored = JSON.stringify(serializeEnergyCreditLedger(replayEnergyCreditLedger(days.slice(0, 5))));
+    let ledger = restoreEnergyCreditLedger(stored);
+    for (const day of days.slice(5)) {
+        ledger = recordEnergyCreditDay(ledger, day);
+    }
+
+    console.table(ledger.entries.map(({date, energyDelta, creditScoreChange, score, rollingAvgCreditChanges}) =>
+        ({date, energyDelta, creditScoreChange, score, rollingAvgCreditChanges})));
+    console.info('🎯 Energy Credit Score after a week:', ledger.value, '- next day inputs:', ledger.next);
+
+    return ledger;
+};
+mockEnergyCreditLedgerIntegrationTest();
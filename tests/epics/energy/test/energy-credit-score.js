@@ -45,8 +45,9 @@ export const mockEnergyCreditScoreIntegrationTest = async () => {
     const paeeResult = calculatePhysicalActivityEnergyExpenditure(5.5, bmrResult.value, 0.75, 2.0);
     console.info('   Calculated PAEE:', paeeResult.value, 'kcal');
     
-    // Calculate Total Energy Expenditure using TEF and PAEE
+    // Calculate Total Energy Expenditure using BMR, TEF and PAEE
     const teeResult = calculateTotalEnergyExpenditure(
+        bmrResult.value,
         tefResult.value, 
         paeeResult.value, 
         100, // stress energy
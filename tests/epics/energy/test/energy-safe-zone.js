@@ -54,6 +54,7 @@ export const mockEnergySafeZoneIntegrationTest = async () => {
         );
 
         const tee = calculateTotalEnergyExpenditure(
+            bmr.value,
             200 + (day * 10), // varying TEF
             350 + (day * 20), // varying PAEE
             80 + (day * 5),   // varying stress energy
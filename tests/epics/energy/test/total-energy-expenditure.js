@@ -2,7 +2,7 @@
  * Total Energy Expenditure (TEE) Calculation
  *
  * TEE represents the total amount of energy a person uses in a day.
- * Sum of TEF (Thermic Effect of Food) + PAEE (Physical Activity) + Stress energy.
+ * BMR + (TEF (Thermic Effect of Food) + PAEE (Physical Activity) + Stress energy) × adjustment factors.
  */
 
 import {sleep} from "../../../utils/async-helper.js";
@@ -14,7 +14,7 @@ import {calculateBasalMetabolicRate} from "../basal-metabolic-rate.js";
 export const mockTotalEnergyExpenditureTest = async () => {
     await sleep(2000);
 
-    const result = calculateTotalEnergyExpenditure(250, 400, 150, 80, 60, 14);
+    const result = calculateTotalEnergyExpenditure(1600, 250, 400, 150, 80, 60, 14);
 
     console.info('calculate Total Energy Expenditure =', result);
 
@@ -54,6 +54,7 @@ export const mockTotalEnergyExpenditureIntegrationTest = async () => {
     
     // Now calculate Total Energy Expenditure using calculated components
     const result = calculateTotalEnergyExpenditure(
+        bmrResult.value,   // Using calculated BMR
         tefResult.value,   // Using calculated TEF
         paeeResult.value,  // Using calculated PAEE
         stressEnergy,      // stress energy
@@ -63,6 +64,7 @@ export const mockTotalEnergyExpenditureIntegrationTest = async () => {
     );
     
     console.info('🎯 Total Energy Expenditure (Integration):', result.value, 'kcal/day');
+    console.info('   BMR Input:', bmrResult.value, 'kcal/day');
     console.info('   TEF Input:', tefResult.value, 'kcal/day');
     console.info('   PAEE Input:', paeeResult.value, 'kcal');
     console.info('   Stress Energy:', stressEnergy, 'kcal');
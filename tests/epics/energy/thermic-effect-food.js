@@ -3,23 +3,35 @@
  *
  * TEF represents the energy required to digest, absorb, and metabolize food.
  * It generally accounts for ~10% of Total Energy Expenditure (TEE).
+ * Intakes may also be given as tagged quantities in kJ (see shared/units.js).
  */
 
+import {isMissing, optionalNumber, requireNumber} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
 /**
  * Calculate Thermic Effect of Food using macronutrient-specific or simplified approach
- * @param {number} totalCalorieIntake - Total daily caloric intake
+ * @param {number|Object} totalCalorieIntake - Total daily caloric intake (kcal or a tagged quantity, e.g. { value: 8800, unit: 'kJ' })
  * @param {number} proteinKcal - Protein calories (optional for precise calculation)
  * @param {number} carbKcal - Carbohydrate calories (optional for precise calculation)
  * @param {number} fatKcal - Fat calories (optional for precise calculation)
  * @returns {Object} TEF with value, breakdown, and calculation method
  */
 export function calculateThermicEffectFood(totalCalorieIntake, proteinKcal = null, carbKcal = null, fatKcal = null) {
+    totalCalorieIntake = toUnit('totalCalorieIntake', totalCalorieIntake, 'kcal');
+    proteinKcal = toUnit('proteinKcal', proteinKcal, 'kcal');
+    carbKcal = toUnit('carbKcal', carbKcal, 'kcal');
+    fatKcal = toUnit('fatKcal', fatKcal, 'kcal');
+    optionalNumber('proteinKcal', proteinKcal, {min: 0});
+    optionalNumber('carbKcal', carbKcal, {min: 0});
+    optionalNumber('fatKcal', fatKcal, {min: 0});
+
     let tefValue;
     let calculationMethod;
     let macronutrientBreakdown = null;
 
     // Check if we have detailed macronutrient data for precise calculation
-    if (proteinKcal !== null && carbKcal !== null && fatKcal !== null) {
+    if (!isMissing(proteinKcal) && !isMissing(carbKcal) && !isMissing(fatKcal)) {
         // Precise calculation using macronutrient-specific TEF rates
         // TEF = (0.25 * Protein_kcal) + (0.075 * Carb_kcal) + (0.025 * Fat_kcal)
         const proteinTEF = 0.25 * proteinKcal;    // Protein: 20-30% (using 25%)
@@ -47,6 +59,8 @@ export function calculateThermicEffectFood(totalCalorieIntake, proteinKcal = nul
             }
         };
     } else {
+        requireNumber('totalCalorieIntake', totalCalorieIntake, {min: 0, max: 20000});
+
         // Simplified calculation using total caloric intake
         // TEF = 0.1 * Total Caloric Intake
         tefValue = 0.1 * totalCalorieIntake;
@@ -64,7 +78,7 @@ export function calculateThermicEffectFood(totalCalorieIntake, proteinKcal = nul
             carbKcal,
             fatKcal
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
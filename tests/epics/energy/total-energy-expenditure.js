@@ -2,72 +2,130 @@
  * Total Energy Expenditure (TEE) Calculation
  *
  * TEE represents the total amount of energy a person uses in a day. It is a sum of:
+ * - BMR (Basal Metabolic Rate): Energy used at rest, already adjusted for sleep, stress and time of day
+ *   (see basal-metabolic-rate.js)
  * - TEF (Thermic Effect of Food): Energy used for digesting, absorbing, and metabolizing food
  * - PAEE (Physical Activity Energy Expenditure): Energy expended through physical activity
- * - Stress energy: Additional energy cost from stress response
+ * - Stress energy: Additional energy cost from stress response (see stress/stress-energy.js
+ *   for the rolling-month calculation)
+ *
+ * Formula:
+ * Variable_EE = TEF + PAEE + Stress_Energy
+ * TEE = BMR + Variable_EE × F_sleep × F_stress × F_time
+ *
+ * The adjustment factors apply to the variable part only; BMR carries its own adjustments.
+ * This is the one TEE model used by energyScore, the energy credit score and the API comparison.
+ * Energy inputs may also be tagged quantities in kJ (see shared/units.js).
  */
 
+import {requireNumber} from "../shared/validation.js";
+import {toUnit} from "../shared/units.js";
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// Inputs may be plain kcal values, tagged quantities (e.g. kJ) or calculator results ({ value, ... })
+function energyValue(field, input) {
+    return requireNumber(field, toUnit(field, input, 'kcal'), {min: 0});
+}
+
+/**
+ * Sleep, stress and time-of-day adjustment factors of the variable (non-basal) energy expenditure
+ * @param {number} sleepScore - Sleep score from 0 to 100
+ * @param {number} stressScore - Stress score from 0 to 100
+ * @param {number} timeOfDay - Hour of day (0 to 24)
+ * @returns {Object} { sleepEfficiency, stressImpact, timeActivity } (unrounded)
+ */
+export function teeAdjustmentFactors(sleepScore, stressScore, timeOfDay) {
+    return {
+        // Sleep Efficiency Factor: Better sleep = more efficient energy usage
+        sleepEfficiency: 0.95 + 0.05 * (sleepScore / 100),
+        // Stress Impact Factor: Higher stress = increased energy expenditure
+        stressImpact: 1.00 + 0.10 * (stressScore / 100),
+        // Time-of-Day Activity Factor: Energy expenditure varies throughout the day
+        timeActivity: 1.00 + 0.15 * Math.sin((2 * Math.PI / 24) * (timeOfDay - 14))
+    };
+}
+
 /**
  * Calculate Total Energy Expenditure
- * @param {number} tef - Thermic Effect of Food in kcal
- * @param {number} paee - Physical Activity Energy Expenditure in kcal
- * @param {number} stressEnergy - Additional energy from stress in kcal
+ * @param {number|Object} bmr - Basal Metabolic Rate in kcal/day, or a calculateBasalMetabolicRate result
+ * @param {number|Object} tef - Thermic Effect of Food in kcal, or a calculateThermicEffectFood result
+ * @param {number|Object} paee - Physical Activity Energy Expenditure in kcal, or a PAEE result
+ * @param {number|Object} stressEnergy - Additional energy from stress in kcal, or a calculateStressEnergy result (default 0)
  * @param {number} sleepScore - Sleep score from 0 to 100 (affects efficiency)
  * @param {number} stressScore - Stress score from 0 to 100
  * @param {number} timeOfDay - Hour of day (0 to 23)
  * @returns {Object} TEE with value, components, and adjustments
  */
-export function calculateTotalEnergyExpenditure(tef, paee, stressEnergy, sleepScore = 90, stressScore = 50, timeOfDay = 12) {
-    // Base TEE calculation
-    const baseTEE = tef + paee + stressEnergy;
+export function calculateTotalEnergyExpenditure(bmr, tef, paee, stressEnergy = 0, sleepScore = 90, stressScore = 50, timeOfDay = 12) {
+    const bmrValue = energyValue('bmr', bmr);
+    const tefValue = energyValue('tef', tef);
+    const paeeValue = energyValue('paee', paee);
+    // Stress energy may come straight from calculateStressEnergy (rolling-month rate)
+    const stressEnergyResult = typeof stressEnergy === 'object' && stressEnergy !== null ? stressEnergy : null;
+    const stressEnergyValue = energyValue('stressEnergy', stressEnergy);
+    requireNumber('sleepScore', sleepScore, {min: 0, max: 100});
+    requireNumber('stressScore', stressScore, {min: 0, max: 100});
+    requireNumber('timeOfDay', timeOfDay, {min: 0, max: 24});
 
-    // Calculate adjustment factors
+    // Variable (non-basal) energy expenditure
+    const variableEE = tefValue + paeeValue + stressEnergyValue;
+    const baseTEE = bmrValue + variableEE;
 
-    // Sleep Efficiency Factor: Better sleep = more efficient energy usage
-    const sleepEfficiencyFactor = 0.95 + 0.05 * (sleepScore / 100);
-
-    // Stress Impact Factor: Higher stress = increased energy expenditure
-    const stressImpactFactor = 1.00 + 0.10 * (stressScore / 100);
-
-    // Time-of-Day Activity Factor: Energy expenditure varies throughout the day
-    const timeActivityFactor = 1.00 + 0.15 * Math.sin((2 * Math.PI / 24) * (timeOfDay - 14));
+    // Calculate adjustment factors
+    const factors = teeAdjustmentFactors(sleepScore, stressScore, timeOfDay);
+    const sleepEfficiencyFactor = factors.sleepEfficiency;
+    const stressImpactFactor = factors.stressImpact;
+    const timeActivityFactor = factors.timeActivity;
 
-    // Total Adjusted TEE: AdjustedTEE = TEE × F_sleep × F_stress × F_time
-    const adjustedTEE = baseTEE * sleepEfficiencyFactor * stressImpactFactor * timeActivityFactor;
+    // TEE = BMR + Variable_EE × F_sleep × F_stress × F_time
+    const adjustedVariableEE = variableEE * sleepEfficiencyFactor * stressImpactFactor * timeActivityFactor;
+    const adjustedTEE = bmrValue + adjustedVariableEE;
 
     return {
-        value: Math.round(adjustedTEE * 100) / 100, // Round to 2 decimal places
-        baseTEE: Math.round(baseTEE * 100) / 100,
+        value: round2(adjustedTEE), // Round to 2 decimal places
+        baseTEE: round2(baseTEE),
         components: {
-            tef: Math.round(tef * 100) / 100,
-            paee: Math.round(paee * 100) / 100,
-            stressEnergy: Math.round(stressEnergy * 100) / 100
+            bmr: round2(bmrValue),
+            tef: round2(tefValue),
+            paee: round2(paeeValue),
+            stressEnergy: round2(stressEnergyValue),
+            variableEE: round2(variableEE),
+            adjustedVariableEE: round2(adjustedVariableEE)
         },
         adjustmentFactors: {
             sleepEfficiency: Math.round(sleepEfficiencyFactor * 1000) / 1000, // Round to 3 decimal places
             stressImpact: Math.round(stressImpactFactor * 1000) / 1000,
             timeActivity: Math.round(timeActivityFactor * 1000) / 1000
         },
+        formula: `${round2(bmrValue)} + ${round2(variableEE)} × ${sleepEfficiencyFactor.toFixed(3)} × ` +
+            `${stressImpactFactor.toFixed(3)} × ${timeActivityFactor.toFixed(3)} = ${round2(adjustedTEE)}`,
         inputs: {
-            tef,
-            paee,
-            stressEnergy,
+            bmr: bmrValue,
+            tef: tefValue,
+            paee: paeeValue,
+            stressEnergy: stressEnergyValue,
+            stressEnergySource: stressEnergyResult?.calculationMethod ?? 'provided',
             sleepScore,
             stressScore,
             timeOfDay
         },
-        trend: null // Not calculated in this implementation
+        trend: null // Needs score history, filled in by the aggregators (see shared/trend.js)
     };
 }
 
 /**
  * Compare calculated TEE with API result and provide analysis
- * @param {Object} calculatedTEE - Our calculated TEE
+ * @param {Object} calculatedTEE - Our calculated TEE (calculateTotalEnergyExpenditure result); without it
+ *   the TEE is calculated from the metrics
  * @param {Object} apiTEE - API's TEE
- * @param {Object} metrics - Original metrics used for calculation
+ * @param {Object} metrics - Original metrics used for calculation: { bmr, tef, paee, stressEnergy, sleepScore,
+ *   stressScore, timeOfDay } (optional when calculatedTEE is given; default: its inputs)
  * @returns {Object} Comparison analysis
  */
-export function compareTotalEnergyExpenditures(calculatedTEE, apiTEE, metrics) {
+export function compareTotalEnergyExpenditures(calculatedTEE, apiTEE, metrics = {}) {
     if (!apiTEE || apiTEE.value === null) {
         return {
             available: false,
@@ -75,22 +133,32 @@ export function compareTotalEnergyExpenditures(calculatedTEE, apiTEE, metrics) {
         };
     }
 
-    const valueDiff = Math.abs(calculatedTEE.value - apiTEE.value);
+    // Same model on both paths: a TEE without its inputs is recalculated from the metrics
+    const tee = calculatedTEE && calculatedTEE.inputs ? calculatedTEE : calculateTotalEnergyExpenditure(
+        metrics.bmr, metrics.tef, metrics.paee, metrics.stressEnergy,
+        metrics.sleepScore, metrics.stressScore, metrics.timeOfDay
+    );
+
+    const valueDiff = Math.abs(tee.value - apiTEE.value);
     const isWithinRange = valueDiff <= 100; // Allow 100 kcal/day difference
 
     return {
         available: true,
         valueDiff,
         isWithinRange,
-        calculatedTEE,
+        calculatedTEE: tee,
         apiTEE,
+        // Components of the TEE model; caller-supplied metrics override them
         metrics: {
-            tef: metrics.tef,
-            paee: metrics.paee,
-            stressEnergy: metrics.stressEnergy,
-            sleepScore: metrics.sleepScore,
-            stressScore: metrics.stressScore,
-            timeOfDay: metrics.timeOfDay
+            bmr: tee.inputs.bmr,
+            tef: tee.inputs.tef,
+            paee: tee.inputs.paee,
+            stressEnergy: tee.inputs.stressEnergy,
+            sleepScore: tee.inputs.sleepScore,
+            stressScore: tee.inputs.stressScore,
+            timeOfDay: tee.inputs.timeOfDay,
+            adjustmentFactors: tee.adjustmentFactors,
+            ...metrics
         },
         message: isWithinRange ?
             '✅ Total Energy Expenditure calculation matches API within acceptable range' :
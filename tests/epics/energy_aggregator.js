@@ -5,12 +5,29 @@ import {calculatePhysicalActivityEnergyExpenditure} from "./energy/physical-acti
 import {calculateEnergyCapacity} from "./energy/energy-capacity.js";
 import {calculateRecoveryScore} from "./energy/recovery-score.js";
 import {calculateHRVScore} from "./energy/hrv-score.js";
-import {calculateEnergyCreditScore} from "./energy/energy-credit-score.js";
+import {calculateTotalEnergyExpenditure} from "./energy/total-energy-expenditure.js";
+import {calculateEnergyCreditScore, creditSigmoid} from "./energy/energy-credit-score.js";
+import {recordEnergyCreditDay, restoreEnergyCreditLedger, serializeEnergyCreditLedger} from "./energy/energy-credit-ledger.js";
 import {calculateEnergySafeZone} from "./energy/energy-safe-zone.js";
-import {sleep} from "../utils/async-helper.js";
+import {simulateEnergyBattery} from "./energy/energy-battery.js";
+import {profileVersion, resolveScoringConfig} from "./shared/scoring-config.js";
+import {resolvePersonalBaselines, withBaseline} from "./shared/baselines.js";
+import {calculateTrends, withTrend} from "./shared/trend.js";
+import {MissingInputError, isMissing} from "./shared/validation.js";
+import {assessDataQuality, trackInputs, wearTimeCoverage, withDefault} from "./shared/data-quality.js";
 
 function round2(n) { return Number(n.toFixed(2)); }
 
+// Total energy credit of the ledger days before `date`, for the energyCredit trend
+function pastEnergyCredit(ledger, date, maxCreditScore) {
+  return ledger.entries
+    .filter(entry => entry.date < date)
+    .map(entry => ({
+      date: entry.date,
+      value: round2(maxCreditScore * creditSigmoid(entry.score, entry.rollingAvgCreditChanges, maxCreditScore).value)
+    }));
+}
+
 /**
  * Calculate comprehensive energy metrics based on multiple physiological and activity measurements
  *
@@ -22,9 +39,12 @@ function round2(n) { return Number(n.toFixed(2)); }
  * @param {number} values.weight - Weight in kg
  * @param {number} values.height - Height in cm
  * @param {number} values.age - Age in years
- * @param {string} values.gender - Gender ('male' or 'female')
+ * @param {string} values.gender - Sex ('male', 'female', 'non-binary' or 'unspecified')
+ * @param {number} values.leanBodyMass - Lean body mass in kg, for the lean-mass BMR equations (optional)
+ * @param {string} values.bmrEquation - BMR equation: 'auto' (default; lean-mass equation when leanBodyMass or
+ *   bodyFatPercentage is known), 'mifflin_st_jeor', 'harris_benedict', 'katch_mcardle' or 'cunningham' (optional)
  * @param {number} values.sleepScore - Sleep score (0-100)
- * @param {number} values.stressScore - Stress score (0-100)
+ * @param {number} values.stressScore - Stress level (0 = calm, 100 = maximal stress; stressScore of the stress aggregator)
  * @param {number} values.timeOfDay - Hour of day (0-23)
  * @param {number} values.totalCalorieIntake - Total daily caloric intake
  * @param {number} values.proteinKcal - Protein calories (optional)
@@ -33,29 +53,50 @@ function round2(n) { return Number(n.toFixed(2)); }
  * @param {number} values.metValue - Metabolic Equivalent of Task value
  * @param {number} values.durationHours - Duration of activity in hours
  * @param {number} values.averageActivityLevel - Average activity level from wearable data (optional)
+ * @param {number|Object} values.stressEnergy - Stress energy in kcal, or a calculateStressEnergy result, added to TEE
+ *   (optional, default 0; stressEnergyConversion.stressEnergy of the stress aggregator)
  * @param {number} values.fitnessScore - Fitness score (0-100, optional)
  * @param {number} values.recoveryScore - Recovery score (0-100, optional)
  * @param {number} values.stressIndex - Stress index (0-100, optional)
  * @param {number} values.vo2Max - Current VO2 max value (optional)
  * @param {number} values.targetVO2Max - Target VO2 max (optional)
- * @param {number} values.bodyFatPercentage - Body fat percentage (optional)
+ * @param {number} values.bodyFatPercentage - Body fat percentage (optional; also selects a lean-mass BMR equation)
  * @param {number} values.bodyFatLowerBound - Lower bound of optimal range (optional)
  * @param {number} values.bodyFatUpperBound - Upper bound of optimal range (optional)
- * @param {number} values.currentHRV - Today's HRV value in ms
- * @param {number} values.baselineHRV - Personal baseline HRV in ms
+ * @param {number} values.currentHRV - Today's HRV value in ms (optional; without it recovery uses sleep only)
+ * @param {number} values.baselineHRV - Personal baseline HRV in ms (optional when dailyHistory/baselines are provided)
+ * @param {Array} values.dailyHistory - Daily { date, restingHR, hrv, sleepHR } records for personal baselines (optional)
+ * @param {Object} values.baselines - Precomputed personal baselines (calculatePersonalBaselines) (optional)
  * @param {number} values.acceptableDeviation - Acceptable HRV deviation (optional)
  * @param {string} values.populationType - 'athlete' or 'general' (optional)
  * @param {number} values.currentCreditScore - Yesterday's Total Energy Credit Score (optional)
  * @param {number} values.rollingAvgCreditChanges - Rolling average of past changes (optional)
+ * @param {Object|Array} values.creditHistory - Stored energy credit ledger (energyCreditLedger of the previous day's
+ *   result, see energy/energy-credit-ledger.js) or recorded { date, energyCapacity, totalEnergyExpenditure } days;
+ *   today's credit change is applied to it and the ledger score and rolling average feed energyCredit (optional;
+ *   replaces currentCreditScore and rollingAvgCreditChanges)
+ * @param {string} values.date - Date of the day scored (YYYY-MM-DD), needed with creditHistory (optional, default the
+ *   day after the last recorded day; an earlier date backfills the ledger)
  * @param {Array} values.historicalEnergyDeltas - Array of past energy deltas (optional)
  * @param {number} values.bufferZone - Buffer zone for safe zone (optional)
- * @returns {Object} Comprehensive energy analysis with all calculated metrics
+ * @param {Array} values.hourlyActivity - Hourly { hour, metValue, steps, stressScore } of the day for the energy battery
+ *   simulation (optional; the battery is simulated when hourlyActivity or meals are given)
+ * @param {Array} values.meals - Meals { hour, totalCalorieIntake, proteinKcal, carbKcal, fatKcal } for the energy battery (optional)
+ * @param {number} values.wearTimeMinutes - Minutes the device was worn today, for dataQuality (optional)
+ * @param {number} values.expectedWearMinutes - Minutes it should have been worn (optional, default 1440)
+ * @param {Object} values.scoreHistory - Past daily values by metric name (bmr, tef, paee, energyCapacity, recovery,
+ *   hrv, energyCredit, totalEnergyExpenditure), oldest first; used for trend and normDeviation (optional)
+ * @param {Object|string} config - Scoring profile (see shared/scoring-config.js) or its identifier, default onevital-spec-v2
+ * @returns {Object} Comprehensive energy analysis with all calculated metrics and the profileVersion used
  */
-function energyScore(values) {
+function energyScore(values, config) {
+  const scoringConfig = resolveScoringConfig(config);
+  const params = scoringConfig.energy;
+
   // Extract all energy and biometric data from input
   const {
     // BMR calculation inputs
-    weight, height, age, gender, sleepScore, stressScore, timeOfDay,
+    weight, height, age, gender, sleepScore, stressScore, timeOfDay, leanBodyMass, bmrEquation,
 
     // TEF calculation inputs
     totalCalorieIntake, proteinKcal, carbKcal, fatKcal,
@@ -67,6 +108,9 @@ function energyScore(values) {
     fitnessScore, recoveryScore, stressIndex,
     vo2Max, targetVO2Max, bodyFatPercentage, bodyFatLowerBound, bodyFatUpperBound,
 
+    // Total Energy Expenditure inputs
+    stressEnergy,
+
     // HRV Score calculation inputs
     currentHRV, baselineHRV, acceptableDeviation, populationType,
 
@@ -77,12 +121,24 @@ function energyScore(values) {
     historicalEnergyDeltas, bufferZone
   } = values;
 
+  // Inputs that fall back to a profile default when missing (recorded in dataQuality)
+  const sleepScoreInput = withDefault(sleepScore, params.defaults.sleepScore);
+  const stressScoreInput = withDefault(stressScore, params.defaults.stressScore);
+  const timeOfDayInput = withDefault(timeOfDay, params.defaults.timeOfDay);
+  const stressIndexInput = withDefault(stressIndex ?? stressScore, params.defaults.stressScore);
+  let currentCreditScoreInput = withDefault(currentCreditScore, params.credit.initialScore);
+  let rollingAvgCreditChangesInput = withDefault(rollingAvgCreditChanges, 0);
+  const stressEnergyInput = withDefault(stressEnergy, 0);
+
   // === CALCULATE INDIVIDUAL ENERGY METRICS ===
 
   // Basal Metabolic Rate - Foundation of energy expenditure
   const bmr = calculateBasalMetabolicRate(
     weight, height, age, gender,
-    sleepScore || 90, stressScore || 50, timeOfDay || 12
+    sleepScoreInput.value,
+    stressScoreInput.value,
+    timeOfDayInput.value,
+    { equation: bmrEquation ?? 'auto', bodyFatPercentage, leanBodyMass, populationType: populationType || 'general' }
   );
 
   // Thermic Effect of Food - Energy cost of digestion
@@ -95,164 +151,215 @@ function energyScore(values) {
     metValue, bmr.value, durationHours, averageActivityLevel
   );
 
-  // HRV Score - Heart rate variability analysis
-  const hrv = calculateHRVScore(
-    currentHRV, baselineHRV, acceptableDeviation, populationType || 'general'
+  // Personal HRV baseline from history when no baseline is provided
+  const baselines = resolvePersonalBaselines(values, scoringConfig.baselines);
+  const baselineHRVInput = withBaseline(baselineHRV, baselines?.hrv);
+
+  // HRV Score - Heart rate variability analysis (null without today's HRV or a baseline)
+  const hrvPopulation = populationType || 'general';
+  const hrv = isMissing(currentHRV) || isMissing(baselineHRVInput.value) ? null : calculateHRVScore(
+    currentHRV, baselineHRVInput.value,
+    acceptableDeviation ?? (hrvPopulation === 'athlete' ? params.hrv.sigmaAthlete : params.hrv.sigmaGeneral),
+    hrvPopulation
   );
 
-  // Recovery Score - Combination of HRV and sleep
+  // Recovery Score - Combination of HRV and sleep; a missing one is left out and the other
+  // carries its weight. The profile sleep score is used only when neither is available.
   const recovery = calculateRecoveryScore(
-    hrv.value, sleepScore || 85, 0.6, 0.4
+    hrv?.value ?? null,
+    isMissing(sleepScore) && hrv === null ? params.defaults.recoverySleepScore : sleepScore ?? null,
+    params.recovery.hrvWeight, params.recovery.sleepWeight
   );
 
   // Prepare VO2 and body fat data for Energy Capacity
   const vo2Data = vo2Max ? {
     current: vo2Max,
     target: targetVO2Max,
-    sigma: 3.0
+    sigma: params.capacity.vo2Sigma
   } : null;
 
   const bodyFatData = bodyFatPercentage ? {
     percentage: bodyFatPercentage,
     lowerBound: bodyFatLowerBound,
     upperBound: bodyFatUpperBound,
-    sigma: 2.5
+    sigma: params.capacity.bodyFatSigma
   } : null;
 
   // Energy Capacity - Maximum sustainable energy output
   const energyCapacity = calculateEnergyCapacity(
     bmr.value,
     fitnessScore,
-    recoveryScore || recovery.value,
-    stressIndex || stressScore || 50,
-      vo2Data,
-      bodyFatData,
-    2.0, 1.5, 2.0, // alpha, beta, gamma coefficients
+    recoveryScore ?? recovery.value,
+    stressIndexInput.value,
+    vo2Data,
+    bodyFatData,
+    params.capacity.alpha, params.capacity.beta, params.capacity.gamma
   );
 
-  // Calculate Total Energy Expenditure (TEE)
-  const totalEnergyExpenditure = bmr.value + paee.value + tef.value;
+  // Total Energy Expenditure - BMR plus TEF, PAEE and stress energy adjusted for sleep, stress and time of day
+  const tee = calculateTotalEnergyExpenditure(
+    bmr, tef, paee,
+    stressEnergyInput.value,
+    sleepScoreInput.value,
+    stressScoreInput.value,
+    timeOfDayInput.value
+  );
+  const totalEnergyExpenditure = tee.value;
+
+  // Energy Credit Ledger - today's credit change applied to the stored history, day by day
+  let creditLedger = null;
+  let creditLedgerDay = null;
+  if (!isMissing(values.creditHistory)) {
+    const history = restoreEnergyCreditLedger(values.creditHistory, params.credit);
+    const date = values.date ?? history.next.date;
+    if (isMissing(date)) {
+      throw new MissingInputError('date');
+    }
+    creditLedger = recordEnergyCreditDay(history, { date, energyCapacity: energyCapacity.value, totalEnergyExpenditure });
+    creditLedgerDay = creditLedger.entries.find(entry => entry.date === creditLedger.recorded.date);
+
+    // Бал (з сьогоднішньою зміною) і ковзне середнє беруться з історії, а не від користувача
+    currentCreditScoreInput = { value: creditLedgerDay.score, source: 'personal_baseline' };
+    rollingAvgCreditChangesInput = { value: creditLedgerDay.rollingAvgCreditChanges, source: 'personal_baseline' };
+  }
 
   // Energy Credit Score - Sustainable energy management scoring
   const energyCredit = calculateEnergyCreditScore(
     energyCapacity.value,
-    totalEnergyExpenditure,
-    currentCreditScore || 500,
-    rollingAvgCreditChanges || 0,
-    250, 8, 10, 1000 // maxScalingDelta, surplusGain, deficitPenalty, maxScore
+    tee,
+    currentCreditScoreInput.value,
+    rollingAvgCreditChangesInput.value,
+    params.credit.maxScalingDelta,
+    params.credit.surplusGainFactor,
+    params.credit.deficitPenaltyFactor,
+    params.credit.maxCreditScore
   );
 
   // Energy Safe Zone - Personalized energy balance recommendations
   const safeZone = calculateEnergySafeZone(
-    historicalEnergyDeltas || [],
-    bufferZone || 50,
-    3 // minHistoryRequired
+    historicalEnergyDeltas ?? [],
+    bufferZone ?? params.safeZone.bufferZone,
+    params.safeZone.minHistoryRequired
   );
 
+  // Energy Battery - Hour-by-hour drain of the day's energy capacity and projected depletion time
+  const energyBattery = values.hourlyActivity || values.meals ? simulateEnergyBattery({
+    energyCapacity,
+    bmr,
+    hourly: values.hourlyActivity || [],
+    meals: values.meals || [],
+    stressEnergy: stressEnergyInput.value,
+    sleepScore: sleepScoreInput.value,
+    stressScore: stressScoreInput.value
+  }, params.battery) : null;
+
+  // Trend (0 down, 1 stable, 2 up) and normDeviation (0 below, 1 normal, 2 above) against the user's history
+  const trends = calculateTrends({
+    bmr: bmr.value,
+    tef: tef.value,
+    paee: paee.value,
+    energyCapacity: energyCapacity.value,
+    recovery: recovery.value,
+    hrv: hrv?.value ?? null,
+    energyCredit: energyCredit.value,
+    totalEnergyExpenditure
+  }, creditLedger && isMissing(values.scoreHistory?.energyCredit)
+    ? { ...values.scoreHistory, energyCredit: pastEnergyCredit(creditLedger, creditLedgerDay.date, params.credit.maxCreditScore) }
+    : values.scoreHistory, scoringConfig.trend);
+
+  // How much of the result rests on measured data rather than defaults
+  const dataQuality = assessDataQuality({
+    inputs: {
+      ...trackInputs(values, ['weight', 'height', 'age', 'gender', 'totalCalorieIntake', 'metValue', 'durationHours', 'currentHRV']),
+      baselineHRV: baselineHRVInput,
+      sleepScore: sleepScoreInput,
+      stressScore: stressScoreInput,
+      stressIndex: stressIndexInput,
+      timeOfDay: timeOfDayInput,
+      stressEnergy: stressEnergyInput,
+      currentCreditScore: currentCreditScoreInput,
+      rollingAvgCreditChanges: rollingAvgCreditChangesInput
+    },
+    fallbacks: hrv === null && isMissing(sleepScore) && isMissing(recoveryScore)
+      ? [{ input: 'recovery.sleepScore', value: params.defaults.recoverySleepScore, reason: 'profile_default' }]
+      : [],
+    // Recovery is the only weighted combination here; a recovery score passed in covers it fully
+    componentCoverage: isMissing(recoveryScore) ? recovery.coverage : 1,
+    wearTime: wearTimeCoverage(values.wearTimeMinutes, values.expectedWearMinutes ?? scoringConfig.dataQuality.expectedWearMinutes)
+  }, scoringConfig.dataQuality);
+
   // === COMPILE COMPREHENSIVE RESULTS ===
 
   const results = {
     // Individual component scores
     bmr: round2(bmr.value),
+    bmrEquation: bmr.equation,
     tef: round2(tef.value),
     paee: round2(paee.value),
     energyCapacity: round2(energyCapacity.value),
     recovery: round2(recovery.value),
-    hrv: round2(hrv.value),
+    hrv: hrv === null ? null : round2(hrv.value),
     energyCredit: round2(energyCredit.value),
+    rollingAvgCreditChanges: creditLedgerDay ? creditLedgerDay.rollingAvgCreditChanges : rollingAvgCreditChanges ?? null,
+
+    // Credit history including today, to be stored and passed back as creditHistory (null without creditHistory)
+    energyCreditLedger: creditLedger ? serializeEnergyCreditLedger(creditLedger) : null,
+
+    // Recovery inputs left out of the weighted combination (e.g. ['hrv'] without HRV data)
+    excludedComponents: recovery.excludedComponents,
 
     // Calculated metrics
     totalEnergyExpenditure: round2(totalEnergyExpenditure),
+    stressEnergy: tee.components.stressEnergy,
     energyDelta: round2(energyCapacity.value - totalEnergyExpenditure),
 
     // Safe zone bounds (if available)
     safeZoneUpperBound: safeZone.available ? round2(safeZone.upperBound) : null,
     safeZoneLowerBound: safeZone.available ? round2(safeZone.lowerBound) : null,
 
+    // Battery level at the end of the day (%) and when it runs out (null without hourlyActivity / meals)
+    energyBatteryLevel: energyBattery ? energyBattery.value : null,
+    energyDepletion: energyBattery ? energyBattery.depletion : null,
+
+    // Trend and normDeviation of every metric (null without enough scoreHistory)
+    trends,
+
     // Detailed component objects for advanced analysis
     components: {
-      bmrDetailed: bmr,
-      tefDetailed: tef,
-      paeeDetailed: paee,
-      energyCapacityDetailed: energyCapacity,
-      recoveryDetailed: recovery,
-      hrvDetailed: hrv,
-      energyCreditDetailed: energyCredit,
-      safeZoneDetailed: safeZone
+      bmrDetailed: withTrend(bmr, trends.bmr),
+      tefDetailed: withTrend(tef, trends.tef),
+      paeeDetailed: withTrend(paee, trends.paee),
+      energyCapacityDetailed: withTrend(energyCapacity, trends.energyCapacity),
+      totalEnergyExpenditureDetailed: withTrend(tee, trends.totalEnergyExpenditure),
+      recoveryDetailed: withTrend(recovery, trends.recovery),
+      hrvDetailed: hrv === null ? null : withTrend(hrv, trends.hrv),
+      energyCreditDetailed: withTrend(energyCredit, trends.energyCredit),
+      energyCreditLedgerDetailed: creditLedger,
+      safeZoneDetailed: safeZone,
+      energyBatteryDetailed: energyBattery
     },
 
+    // Where the HRV baseline came from (provided or personal baseline)
+    baselines: {
+      hrv: baselineHRVInput
+    },
+
+    // Real vs defaulted inputs, fallbacks that fired, wear-time coverage and overall confidence (0-1)
+    dataQuality,
+
     // Energy balance analysis
     analysis: {
       energyBalance: energyCapacity.value - totalEnergyExpenditure > 0 ? 'surplus' : 'deficit',
-      sustainabilityScore: round2(energyCredit.value / 10), // 0-100 scale
+      sustainabilityScore: round2(energyCredit.value / params.credit.maxCreditScore * 100), // 0-100 scale
       recoveryReadiness: recovery.value >= 80 ? 'excellent' :
                         recovery.value >= 60 ? 'good' :
                         recovery.value >= 40 ? 'fair' : 'needs attention'
-    }
+    },
+
+    profileVersion: profileVersion(scoringConfig)
   };
 
   return results;
 }
 
 export { energyScore };
-
-// === Example Usage ===
-/*
-energyScore({
-  // Basic demographics
-  weight: 75, height: 175, age: 30, gender: 'male',
-  
-  // Physiological scores
-  sleepScore: 85, stressScore: 45, timeOfDay: 14,
-  
-  // Nutrition
-  totalCalorieIntake: 2300, proteinKcal: 690, carbKcal: 920, fatKcal: 690,
-  
-  // Activity
-  metValue: 1.8, durationHours: 24, averageActivityLevel: 1.2,
-  
-  // Fitness
-  fitnessScore: 78, vo2Max: 45, targetVO2Max: 48,
-  bodyFatPercentage: 15, bodyFatLowerBound: 14, bodyFatUpperBound: 17,
-  
-  // Recovery
-  currentHRV: 42, baselineHRV: 45, acceptableDeviation: 20,
-  
-  // Energy management
-  currentCreditScore: 700, rollingAvgCreditChanges: 5.2,
-  historicalEnergyDeltas: [25, 45, -15, 30, 55, 10, 35]
-});
-*/
-
-const mockTest = async () => {
-  await sleep(2000);
-  /// real test
-  const result = energyScore({
-    // Basic demographics
-    weight: 75, height: 175, age: 30, gender: 'male',
-
-    // Physiological scores
-    sleepScore: 85, stressScore: 45, timeOfDay: 14,
-
-    // Nutrition
-    totalCalorieIntake: 2300, proteinKcal: 690, carbKcal: 920, fatKcal: 690,
-
-    // Activity
-    metValue: 1.8, durationHours: 24, averageActivityLevel: 1.2,
-
-    // Fitness
-    fitnessScore: 78, vo2Max: 45, targetVO2Max: 48,
-    bodyFatPercentage: 15, bodyFatLowerBound: 14, bodyFatUpperBound: 17,
-
-    // Recovery
-    currentHRV: 42, baselineHRV: 45, acceptableDeviation: 20,
-
-    // Energy management
-    currentCreditScore: 700, rollingAvgCreditChanges: 5.2,
-    historicalEnergyDeltas: [25, 45, -15, 30, 55, 10, 35]
-  });
-
-  console.info('calculate Energy Score =', result);
-  return result;
-}
-mockTest();
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * Personal Baselines
+ *
+ * Rolling personal baselines for resting HR, HRV, sleep HR and nocturnal respiratory rate computed from daily history.
+ *
+ * For each metric:
+ * 1. Keep the last `windowDays` days (by date when entries are dated, otherwise the last N values)
+ * 2. Trim outliers: |x - median| > k × MAD × 1.4826 (robust z-score, k = outlierMadThreshold)
+ * 3. Baseline = median of the remaining days; an exponentially weighted mean
+ *    (half-life `ewmaHalfLifeDays`, most recent day weighted highest) is reported alongside
+ * 4. Confidence (0-1) = share of the window covered by usable days; 0 below `minDays`
+ */
+
+import {isMissing, requireArray, requireNumber} from "./validation.js";
+import {DEFAULT_SCORING_CONFIG} from "./scoring-config.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAD_TO_SIGMA = 1.4826;
+
+// фізіологічно допустимі межі — значення поза ними вважаються помилкою введення, а не викидом
+const METRIC_RANGES = {
+    restingHR: {min: 20, max: 250},
+    hrv: {min: 0, max: 500},
+    sleepHR: {min: 20, max: 250},
+    respiratoryRate: {min: 4, max: 60}
+};
+
+function round2(n) {
+    return Number(n.toFixed(2));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// точки історії: число або { date, value }; повертає [{ time, value }] у хронологічному порядку
+function normalizeHistory(field, history) {
+    requireArray(field, history);
+    const points = history.map((entry, index) => {
+        const isEntry = typeof entry === 'object' && entry !== null;
+        const time = isEntry && !isMissing(entry.date) ? new Date(entry.date).getTime() : null;
+        return {time: Number.isNaN(time) ? null : time, value: isEntry ? entry.value : entry, index};
+    });
+    const dated = points.every(point => point.time !== null);
+    return dated ? [...points].sort((a, b) => a.time - b.time) : points;
+}
+
+function selectWindow(points, windowDays) {
+    if (points.length === 0) return points;
+    if (points[0].time === null) return points.slice(-windowDays);
+    const latest = points[points.length - 1].time;
+    return points.filter(point => latest - point.time < windowDays * DAY_MS);
+}
+
+function ewma(values, halfLifeDays) {
+    // вага дня з віком a днів: 0.5^(a / halfLife)
+    const last = values.length - 1;
+    let weightedSum = 0;
+    let totalWeight = 0;
+    values.forEach((value, index) => {
+        const weight = Math.pow(0.5, (last - index) / halfLifeDays);
+        weightedSum += weight * value;
+        totalWeight += weight;
+    });
+    return weightedSum / totalWeight;
+}
+
+/**
+ * Calculate a rolling personal baseline from daily history
+ * @param {Array} history - Daily values, oldest first: numbers or { date, value } (missing days may be null)
+ * @param {Object} options - Baseline parameters (defaults: scoring profile `baselines` section)
+ * @param {number} options.windowDays - Rolling window in days (default 30)
+ * @param {number} options.minDays - Minimum usable days for the baseline to be available (default 7)
+ * @param {number} options.outlierMadThreshold - Outlier cut-off in robust z-scores (default 3)
+ * @param {number} options.ewmaHalfLifeDays - Half-life of the exponentially weighted mean in days (default 7)
+ * @param {string} options.field - Metric name reported in validation errors (default 'history')
+ * @param {Object} options.range - Accepted { min, max } of a daily value (optional)
+ * @returns {Object} Baseline with value (median), ewma, confidence, daysUsed and calculation details
+ */
+export function calculateBaseline(history, options = {}) {
+    const {
+        windowDays, minDays, outlierMadThreshold, ewmaHalfLifeDays
+    } = {...DEFAULT_SCORING_CONFIG.baselines, ...options};
+    const field = options.field || 'history';
+    const range = options.range || {};
+
+    const windowPoints = selectWindow(normalizeHistory(field, history), windowDays);
+    const values = windowPoints
+        .filter(point => !isMissing(point.value))
+        .map(point => requireNumber(`${field}[${point.index}]`, point.value, range));
+
+    if (values.length < minDays) {
+        return {
+            available: false,
+            value: null,
+            median: null,
+            ewma: null,
+            confidence: 0,
+            daysUsed: values.length,
+            outliersRemoved: 0,
+            windowDays,
+            minDays,
+            calculationMethod: 'insufficient_data',
+            message: `Insufficient history for a baseline. Need at least ${minDays} days, have ${values.length}`
+        };
+    }
+
+    // Outlier trimming with median absolute deviation
+    const center = median(values);
+    const mad = median(values.map(value => Math.abs(value - center))) * MAD_TO_SIGMA;
+    const kept = mad === 0
+        ? values
+        : values.filter(value => Math.abs(value - center) / mad <= outlierMadThreshold);
+
+    const baselineMedian = median(kept);
+    const baselineEwma = ewma(kept, ewmaHalfLifeDays);
+
+    return {
+        available: true,
+        value: round2(baselineMedian),
+        median: round2(baselineMedian),
+        ewma: round2(baselineEwma),
+        confidence: round2(Math.min(1, kept.length / windowDays)),
+        daysUsed: kept.length,
+        outliersRemoved: values.length - kept.length,
+        windowDays,
+        minDays,
+        calculationMethod: 'trimmed_median',
+        components: {
+            rawMedian: round2(center),
+            mad: round2(mad),
+            outlierMadThreshold,
+            ewmaHalfLifeDays
+        }
+    };
+}
+
+/**
+ * Calculate resting HR, HRV, sleep HR and respiratory rate baselines from daily records
+ * @param {Array} dailyHistory - Daily records, oldest first: { date, restingHR, hrv, sleepHR, respiratoryRate }
+ *   (any field may be missing)
+ * @param {Object} options - Baseline parameters (defaults: scoring profile `baselines` section)
+ * @returns {Object} { restingHR, hrv, sleepHR, respiratoryRate } baselines
+ */
+export function calculatePersonalBaselines(dailyHistory, options = {}) {
+    requireArray('dailyHistory', dailyHistory);
+
+    const baselines = {};
+    Object.entries(METRIC_RANGES).forEach(([metric, range]) => {
+        const history = dailyHistory.map(day => ({date: day?.date, value: day?.[metric]}));
+        baselines[metric] = calculateBaseline(history, {...options, field: `dailyHistory.${metric}`, range});
+    });
+    return baselines;
+}
+
+/**
+ * Baselines for an aggregator: precomputed `values.baselines`, or computed from `values.dailyHistory`
+ * @param {Object} values - Aggregator input
+ * @param {Object} params - Baseline parameters of the scoring profile
+ * @returns {Object|null} { restingHR, hrv, sleepHR, respiratoryRate } baselines or null when no history is provided
+ */
+export function resolvePersonalBaselines(values, params) {
+    if (!isMissing(values.baselines)) return values.baselines;
+    if (!isMissing(values.dailyHistory)) return calculatePersonalBaselines(values.dailyHistory, params);
+    return null;
+}
+
+/**
+ * Pick a value: the measured/provided one, otherwise an available personal baseline
+ * @param {number} provided - Value supplied by the caller (may be missing)
+ * @param {Object} baseline - Baseline from calculateBaseline (may be missing)
+ * @returns {Object} { value, source: 'provided' | 'personal_baseline' | 'missing', confidence, daysUsed }
+ */
+export function withBaseline(provided, baseline) {
+    if (!isMissing(provided)) {
+        return {value: provided, source: 'provided', confidence: 1, daysUsed: null};
+    }
+    if (baseline && baseline.available) {
+        return {value: baseline.value, source: 'personal_baseline', confidence: baseline.confidence, daysUsed: baseline.daysUsed};
+    }
+    return {value: undefined, source: 'missing', confidence: 0, daysUsed: baseline ? baseline.daysUsed : 0};
+}
@@ -0,0 +1,51 @@
+/**
+ * Weighted Composite
+ *
+ * Combines component scores with a weight map, leaving out components whose data is missing.
+ * A missing component (null / undefined) never counts as 0 or as a perfect score: it is excluded
+ * and the remaining weights are renormalized proportionally so they sum to 1.
+ *
+ * Composite = Σ (wᵢ / Σ w_available) × scoreᵢ over the available components
+ */
+
+import {InvalidInputError, isMissing, requireNumber} from "./validation.js";
+
+/**
+ * Calculate a weighted composite score with renormalization over the available components
+ * @param {Object} scores - Component scores by name; null / undefined = missing
+ * @param {Object} weights - Base weights by component name (only these components are combined)
+ * @param {Object} options - { min, max } bounds the composite is clamped to (default 0-100)
+ * @returns {Object} { value (null when nothing is available), components: { [name]: { value, weight,
+ *   effectiveWeight, contribution } }, included, excluded, coverage (share of base weight available) }
+ */
+export function calculateWeightedComposite(scores, weights, {min = 0, max = 100} = {}) {
+    if (typeof weights !== 'object' || weights === null) {
+        throw new InvalidInputError('weights', weights, 'expected an object of weights');
+    }
+
+    const keys = Object.keys(weights);
+    keys.forEach(key => requireNumber(`weights.${key}`, weights[key], {min: 0}));
+
+    const included = keys.filter(key => !isMissing(scores[key]) && weights[key] > 0);
+    const excluded = keys.filter(key => !included.includes(key));
+    const baseWeight = keys.reduce((sum, key) => sum + weights[key], 0);
+    const includedWeight = included.reduce((sum, key) => sum + weights[key], 0);
+
+    const components = {};
+    let total = 0;
+    keys.forEach(key => {
+        const value = isMissing(scores[key]) ? null : requireNumber(key, scores[key]);
+        const effectiveWeight = included.includes(key) ? weights[key] / includedWeight : 0;
+        const contribution = value === null ? 0 : effectiveWeight * value;
+        components[key] = {value, weight: weights[key], effectiveWeight, contribution};
+        total += contribution;
+    });
+
+    return {
+        value: included.length > 0 ? Math.max(min, Math.min(max, total)) : null,
+        components,
+        included,
+        excluded,
+        coverage: baseWeight > 0 ? includedWeight / baseWeight : 0
+    };
+}
@@ -0,0 +1,176 @@
+/**
+ * Data Quality
+ *
+ * How much a result can be trusted, attached to every aggregator output as `dataQuality`.
+ *
+ * Every input that feeds a score is tracked as { value, source } (see withBaseline in baselines.js):
+ * - 'provided' / 'upstream': measured by the caller or piped from another domain (reliability 1)
+ * - 'personal_baseline': filled from the user's history (reliability = baseline confidence)
+ * - 'profile_default': a population default from the scoring profile (reliability = defaultReliability)
+ * - 'missing': not available at all
+ *
+ * Confidence = mean reliability of the available inputs × component coverage × wear-time coverage
+ *
+ * where component coverage is the share of the composite weight whose inputs were available
+ * (see composite.js), so missing inputs lower the confidence through the components they leave out,
+ * and wear-time coverage is worn minutes / expected minutes. Factors that are unknown count as 1.
+ *
+ * A result built from several domains (wellness) combines their assessments:
+ * Confidence = Σ effective weightᵢ × confidenceᵢ × domain coverage
+ */
+
+import {isMissing, optionalNumber, requireNumber} from "./validation.js";
+
+const REAL_SOURCES = ['provided', 'upstream', 'personal_baseline'];
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Pick a value: the provided one, otherwise the profile default
+ * @param {*} provided - Value supplied by the caller (may be missing)
+ * @param {*} defaultValue - Default from the scoring profile
+ * @returns {Object} { value, source: 'provided' | 'profile_default' }
+ */
+export function withDefault(provided, defaultValue) {
+    if (!isMissing(provided)) {
+        return {value: provided, source: 'provided'};
+    }
+    return {value: defaultValue, source: 'profile_default'};
+}
+
+/**
+ * Track inputs taken as they are (no default): 'provided' when present, otherwise 'missing'
+ * @param {Object} values - Aggregator input
+ * @param {Array} names - Input names to track
+ * @returns {Object} Tracked inputs by name: { value, source }
+ */
+export function trackInputs(values, names) {
+    return Object.fromEntries(names.map(name => [
+        name,
+        {value: values[name], source: isMissing(values[name]) ? 'missing' : 'provided'}
+    ]));
+}
+
+function inputReliability(input, defaultReliability) {
+    switch (input.source) {
+        case 'personal_baseline':
+            return isMissing(input.confidence) ? 1 : input.confidence;
+        case 'profile_default':
+            return defaultReliability;
+        default:
+            return 1;
+    }
+}
+
+function levelOf(confidence, levels) {
+    return confidence >= levels.high ? 'high' : confidence >= levels.medium ? 'medium' : 'low';
+}
+
+/**
+ * Wear-time coverage of the day (or night)
+ * @param {number} wornMinutes - Minutes the device was worn (optional)
+ * @param {number} expectedMinutes - Minutes it should have been worn (e.g. 1440 for a full day)
+ * @returns {Object|null} { wornMinutes, expectedMinutes, coverage (0-1) } or null when wear time is unknown
+ */
+export function wearTimeCoverage(wornMinutes, expectedMinutes) {
+    if (isMissing(wornMinutes)) return null;
+    requireNumber('wornMinutes', wornMinutes, {min: 0});
+    requireNumber('expectedMinutes', expectedMinutes, {min: Number.MIN_VALUE});
+
+    return {
+        wornMinutes,
+        expectedMinutes,
+        coverage: round2(Math.min(1, wornMinutes / expectedMinutes))
+    };
+}
+
+/**
+ * Assess the data quality of a result
+ * @param {Object} assessment - What went into the result
+ * @param {Object} assessment.inputs - Tracked inputs by name: { value, source, confidence? }
+ * @param {Array} assessment.fallbacks - Extra fallbacks fired inside the calculators:
+ *   { input, value, reason } (e.g. RHR estimation with no readings) (optional)
+ * @param {number} assessment.componentCoverage - Share of composite weight that was available, 0-1 (optional)
+ * @param {Object} assessment.wearTime - Result of wearTimeCoverage (optional)
+ * @param {Object} params - Data quality profile section { defaultReliability, levels: { medium, high } }
+ * @returns {Object} { confidence (0-1), level ('high' | 'medium' | 'low'), inputs (counts and fractions),
+ *   sources (input name → source), fallbacks, componentCoverage, wearTime }
+ */
+export function assessDataQuality({inputs = {}, fallbacks = [], componentCoverage = null, wearTime = null}, params) {
+    requireNumber('defaultReliability', params.defaultReliability, {min: 0, max: 1});
+    optionalNumber('componentCoverage', componentCoverage, {min: 0, max: 1});
+
+    const names = Object.keys(inputs);
+    const count = source => names.filter(name => source.includes(inputs[name].source)).length;
+    const real = count(REAL_SOURCES);
+    const defaulted = count(['profile_default']);
+    const missing = names.length - real - defaulted;
+
+    const available = names.filter(name => inputs[name].source !== 'missing');
+    const reliability = available.length > 0
+        ? available.reduce((sum, name) => sum + inputReliability(inputs[name], params.defaultReliability), 0) / available.length
+        : 1;
+    const confidence = round2(reliability * (componentCoverage ?? 1) * (wearTime ? wearTime.coverage : 1));
+
+    return {
+        confidence,
+        level: levelOf(confidence, params.levels),
+        inputs: {
+            total: names.length,
+            real,
+            defaulted,
+            missing,
+            realFraction: names.length > 0 ? round2(real / names.length) : null,
+            defaultedFraction: names.length > 0 ? round2(defaulted / names.length) : null
+        },
+        sources: Object.fromEntries(names.map(name => [name, inputs[name].source])),
+        fallbacks: [
+            ...names
+                .filter(name => inputs[name].source === 'profile_default')
+                .map(name => ({input: name, value: inputs[name].value, reason: 'profile_default'})),
+            ...fallbacks
+        ],
+        componentCoverage: componentCoverage === null ? null : round2(componentCoverage),
+        wearTime
+    };
+}
+
+/**
+ * Combine the data quality of several domain results into one
+ * @param {Object} parts - By domain: { dataQuality, effectiveWeight } (dataQuality null when the domain did not run)
+ * @param {number} coverage - Share of the combined weight whose domains were available, 0-1
+ * @param {Object} params - Data quality profile section { levels: { medium, high } }
+ * @returns {Object} { confidence (0-1), level, domains (domain → confidence), inputs (summed counts),
+ *   fallbacks (with the domain they fired in), componentCoverage }
+ */
+export function combineDataQuality(parts, coverage, params) {
+    requireNumber('coverage', coverage, {min: 0, max: 1});
+
+    const present = Object.keys(parts).filter(name => parts[name].dataQuality);
+    const weighted = present.reduce(
+        (sum, name) => sum + parts[name].effectiveWeight * parts[name].dataQuality.confidence, 0
+    );
+    const confidence = round2(weighted * coverage);
+    const total = key => present.reduce((sum, name) => sum + parts[name].dataQuality.inputs[key], 0);
+    const inputCount = total('total');
+
+    return {
+        confidence,
+        level: levelOf(confidence, params.levels),
+        domains: Object.fromEntries(Object.keys(parts).map(name => [
+            name, parts[name].dataQuality ? parts[name].dataQuality.confidence : null
+        ])),
+        inputs: {
+            total: inputCount,
+            real: total('real'),
+            defaulted: total('defaulted'),
+            missing: total('missing'),
+            realFraction: inputCount > 0 ? round2(total('real') / inputCount) : null,
+            defaultedFraction: inputCount > 0 ? round2(total('defaulted') / inputCount) : null
+        },
+        fallbacks: present.flatMap(name => parts[name].dataQuality.fallbacks.map(fallback => ({domain: name, ...fallback}))),
+        componentCoverage: round2(coverage)
+    };
+}
@@ -0,0 +1,327 @@
+/**
+ * Insight Templates
+ *
+ * Localized texts of the insights engine (see insights.js), one block per locale.
+ * Placeholders in braces are filled from the component's facts: {value} (component score),
+ * {lostPoints} (points the component cost the total) and the measured values listed per domain.
+ * A `detail` whose facts are not available is left out. Components scored on both sides of an ideal
+ * (e.g. deep sleep share) have a `high` variant used when the measured value is above the ideal.
+ */
+
+export const INSIGHT_TEMPLATES = {
+    en: {
+        headline: '{title} {score}/100. Most points lost on: {losses}.',
+        headlineNoLosses: '{title} {score}/100. No component is holding the score back.',
+        loss: '{label} (−{lostPoints})',
+        summary: '{label} scored {value}/100 and cost {lostPoints} points.',
+        domains: {
+            sleep: {
+                title: 'Sleep score',
+                components: {
+                    tsd: {
+                        label: 'Sleep duration',
+                        detail: 'You slept {totalSleepHours} h against a target of {idealSleepHours} h.',
+                        recommendation: 'Go to bed earlier so you can sleep at least {idealSleepHours} hours.'
+                    },
+                    se: {
+                        label: 'Sleep efficiency',
+                        detail: 'You were asleep for {efficiencyPercent}% of the time in bed.',
+                        recommendation: 'Use the bed only for sleep and get up if you cannot fall asleep within 20 minutes.'
+                    },
+                    dss: {
+                        label: 'Deep sleep',
+                        detail: 'Deep sleep was {deepPercent}% of your sleep against an ideal of {idealDeepPercent}%.',
+                        recommendation: 'Keep the bedroom cool and dark and avoid alcohol and late meals in the evening.',
+                        high: {
+                            recommendation: 'A high deep sleep share often follows a short night or hard training: keep your schedule regular.'
+                        }
+                    },
+                    rss: {
+                        label: 'REM sleep',
+                        detail: 'REM sleep was {remPercent}% of your sleep against an ideal of {idealRemPercent}%.',
+                        recommendation: 'REM sleep comes mostly late in the night: protect the last hours of sleep from early alarms.',
+                        high: {
+                            recommendation: 'A high REM share often makes up for earlier short nights: keep your schedule regular.'
+                        }
+                    },
+                    ssd: {
+                        label: 'Sleep stage balance',
+                        detail: 'Deep sleep {deepPercent}% and REM {remPercent}% against {idealDeepPercent}% and {idealRemPercent}%.',
+                        recommendation: 'A regular schedule and enough total sleep keep the stages in balance.'
+                    },
+                    sol: {
+                        label: 'Time to fall asleep',
+                        detail: 'It took you {sleepOnsetLatencyMinutes} minutes to fall asleep.',
+                        recommendation: 'Wind down for 30 minutes before bed without screens, and keep caffeine to the morning.'
+                    },
+                    waso: {
+                        label: 'Wake after sleep onset',
+                        detail: 'You were awake for {wasoMinutes} minutes after falling asleep.',
+                        recommendation: 'Limit fluids before bed and keep the room quiet and at a steady temperature.'
+                    },
+                    hrd: {
+                        label: 'Heart rate dip',
+                        detail: 'Your heart rate dropped {hrDipPercent}% during sleep against your resting rate.',
+                        recommendation: 'Avoid intense exercise, heavy meals and alcohol in the 3 hours before bed.'
+                    },
+                    cas: {
+                        label: 'Circadian alignment',
+                        detail: 'The middle of your sleep was at {midpointClock} against an ideal of {idealMidpointClock}.',
+                        recommendation: 'Shift your sleep towards your natural rhythm and get daylight soon after waking.'
+                    },
+                    scs: {
+                        label: 'Sleep consistency',
+                        detail: 'Your bedtime varied by {bedtimeVariationHours} h between nights.',
+                        recommendation: 'Go to bed and wake up at the same time every day, weekends included.'
+                    },
+                    nsc: {
+                        label: 'Sleep cycles',
+                        detail: 'You completed {observedCycles} sleep cycles.',
+                        recommendation: 'Enough uninterrupted sleep lets you complete 4 to 6 full cycles.'
+                    },
+                    tdv: {
+                        label: 'Temperature deviation',
+                        detail: 'Your skin temperature was {tempDeviationC} °C off your baseline.',
+                        recommendation: 'A temperature shift can be an early sign of illness: take it easy and watch how you feel.'
+                    },
+                    rrd: {
+                        label: 'Breathing rate',
+                        detail: 'Your breathing rate was {respiratoryRateDeviation} breaths/min off your baseline.',
+                        recommendation: 'A raised breathing rate at night can signal illness or strain: plan a lighter day.'
+                    },
+                    odi: {
+                        label: 'Blood oxygen dips',
+                        detail: 'Your blood oxygen dropped {odi} times per hour of sleep.',
+                        recommendation: 'Frequent oxygen dips can point to breathing problems in sleep; talk to a doctor if this repeats.'
+                    }
+                }
+            },
+            stress: {
+                title: 'Relaxation score',
+                components: {
+                    rhr: {
+                        label: 'Resting heart rate',
+                        detail: 'Your resting heart rate was {rhr} bpm.',
+                        recommendation: 'Take a few minutes of slow breathing (about 6 breaths a minute) and short walks between tasks.'
+                    },
+                    hrv: {
+                        label: 'Heart rate variability',
+                        detail: 'Your RMSSD was {rmssd} ms against a baseline of {baselineRMSSD} ms.',
+                        recommendation: 'Low HRV points to strain: prioritise sleep, hydration and a lighter training load today.'
+                    }
+                }
+            },
+            energy: {
+                title: 'Recovery score',
+                components: {
+                    hrv: {
+                        label: 'Heart rate variability',
+                        detail: 'Your HRV was {currentHRV} ms against a baseline of {baselineHRV} ms.',
+                        recommendation: 'Keep today’s effort moderate until your HRV is back at its baseline.'
+                    },
+                    sleep: {
+                        label: 'Sleep',
+                        detail: 'Your sleep score was {sleepScore}.',
+                        recommendation: 'Better sleep is the quickest way to recover: see the sleep insights.'
+                    }
+                }
+            },
+            activity: {
+                title: 'Activity score',
+                components: {
+                    stepsScore: {
+                        label: 'Steps',
+                        detail: 'You took {stepsToday} steps against your baseline of {baselineSteps}.',
+                        recommendation: 'Add a 15-minute walk to get closer to {baselineSteps} steps.'
+                    },
+                    activeMinutesScore: {
+                        label: 'Active minutes',
+                        detail: 'You had {mvpaMinutes} minutes of moderate to vigorous activity.',
+                        recommendation: 'Aim for at least 22 minutes of brisk activity a day (150 minutes a week).'
+                    },
+                    consistencyScore: {
+                        label: 'Day-to-day consistency',
+                        detail: 'Your daily steps varied by {steps7dStdDev} around an average of {steps7dMean}.',
+                        recommendation: 'Spread activity evenly over the week instead of a few very active days.'
+                    },
+                    activityLevelConsistencyScore: {
+                        label: 'Activity spread over the day',
+                        recommendation: 'Break up long sitting periods: stand up and move for a few minutes every hour.'
+                    },
+                    totalEnergyCreditScore: {
+                        label: 'Energy credit',
+                        detail: 'Your energy credit is {energyCreditCurrentScore}.',
+                        recommendation: 'Balance hard days with recovery days to rebuild your energy credit.'
+                    }
+                }
+            },
+            wellness: {
+                title: 'Wellness score',
+                components: {
+                    sleep: {label: 'Sleep', recommendation: 'Start with sleep: it gives the most points back.'},
+                    stress: {label: 'Relaxation', recommendation: 'Plan short breaks and breathing exercises during the day.'},
+                    energy: {label: 'Energy', recommendation: 'Match today’s load to your energy capacity and recovery.'},
+                    activity: {label: 'Activity', recommendation: 'Move more and more regularly through the day.'}
+                }
+            }
+        }
+    },
+
+    uk: {
+        headline: '{title} {score}/100. Найбільше балів втрачено на: {losses}.',
+        headlineNoLosses: '{title} {score}/100. Жоден компонент не стримує оцінку.',
+        loss: '{label} (−{lostPoints})',
+        summary: '{label}: {value}/100, втрачено балів: {lostPoints}.',
+        domains: {
+            sleep: {
+                title: 'Оцінка сну',
+                components: {
+                    tsd: {
+                        label: 'Тривалість сну',
+                        detail: 'Ви спали {totalSleepHours} год при цілі {idealSleepHours} год.',
+                        recommendation: 'Лягайте раніше, щоб спати щонайменше {idealSleepHours} годин.'
+                    },
+                    se: {
+                        label: 'Ефективність сну',
+                        detail: 'Ви спали {efficiencyPercent}% часу, проведеного в ліжку.',
+                        recommendation: 'Використовуйте ліжко лише для сну і вставайте, якщо не заснули за 20 хвилин.'
+                    },
+                    dss: {
+                        label: 'Глибокий сон',
+                        detail: 'Глибокий сон становив {deepPercent}% сну при ідеалі {idealDeepPercent}%.',
+                        recommendation: 'Тримайте спальню прохолодною й темною, уникайте алкоголю та пізньої вечері.',
+                        high: {
+                            recommendation: 'Велика частка глибокого сну часто буває після короткої ночі чи важкого тренування: тримайтеся регулярного режиму.'
+                        }
+                    },
+                    rss: {
+                        label: 'REM-сон',
+                        detail: 'REM-сон становив {remPercent}% сну при ідеалі {idealRemPercent}%.',
+                        recommendation: 'REM-сон припадає переважно на кінець ночі: не скорочуйте останні години сну ранніми будильниками.',
+                        high: {
+                            recommendation: 'Велика частка REM-сну часто компенсує попередні короткі ночі: тримайтеся регулярного режиму.'
+                        }
+                    },
+                    ssd: {
+                        label: 'Баланс фаз сну',
+                        detail: 'Глибокий сон {deepPercent}% і REM {remPercent}% при ідеалі {idealDeepPercent}% і {idealRemPercent}%.',
+                        recommendation: 'Регулярний режим і достатня тривалість сну тримають фази в балансі.'
+                    },
+                    sol: {
+                        label: 'Час засинання',
+                        detail: 'Ви засинали {sleepOnsetLatencyMinutes} хв.',
+                        recommendation: 'Відкладіть екрани за 30 хвилин до сну, а каву пийте лише зранку.'
+                    },
+                    waso: {
+                        label: 'Пробудження після засинання',
+                        detail: 'Після засинання ви не спали {wasoMinutes} хв.',
+                        recommendation: 'Менше пийте перед сном і тримайте в кімнаті тишу та сталу температуру.'
+                    },
+                    hrd: {
+                        label: 'Зниження пульсу',
+                        detail: 'Під час сну пульс знизився на {hrDipPercent}% від пульсу спокою.',
+                        recommendation: 'Уникайте інтенсивних тренувань, важкої їжі та алкоголю за 3 години до сну.'
+                    },
+                    cas: {
+                        label: 'Циркадний ритм',
+                        detail: 'Середина вашого сну була о {midpointClock} при ідеалі {idealMidpointClock}.',
+                        recommendation: 'Зсуньте сон ближче до свого природного ритму і виходьте на денне світло одразу після пробудження.'
+                    },
+                    scs: {
+                        label: 'Регулярність сну',
+                        detail: 'Час відходу до сну коливався на {bedtimeVariationHours} год між ночами.',
+                        recommendation: 'Лягайте й прокидайтеся в один і той самий час щодня, зокрема у вихідні.'
+                    },
+                    nsc: {
+                        label: 'Цикли сну',
+                        detail: 'Ви пройшли {observedCycles} циклів сну.',
+                        recommendation: 'Достатньо безперервного сну дає змогу пройти 4–6 повних циклів.'
+                    },
+                    tdv: {
+                        label: 'Відхилення температури',
+                        detail: 'Температура шкіри відхилилася від вашої норми на {tempDeviationC} °C.',
+                        recommendation: 'Зміна температури може бути ранньою ознакою хвороби: зменште навантаження і стежте за самопочуттям.'
+                    },
+                    rrd: {
+                        label: 'Частота дихання',
+                        detail: 'Частота дихання відхилилася від вашої норми на {respiratoryRateDeviation} вд/хв.',
+                        recommendation: 'Підвищена частота дихання вночі може свідчити про хворобу чи перевтому: заплануйте легший день.'
+                    },
+                    odi: {
+                        label: 'Падіння кисню в крові',
+                        detail: 'Рівень кисню в крові падав {odi} разів на годину сну.',
+                        recommendation: 'Часті падіння кисню можуть вказувати на порушення дихання уві сні; якщо це повторюється, зверніться до лікаря.'
+                    }
+                }
+            },
+            stress: {
+                title: 'Оцінка розслаблення',
+                components: {
+                    rhr: {
+                        label: 'Пульс спокою',
+                        detail: 'Ваш пульс спокою був {rhr} уд/хв.',
+                        recommendation: 'Зробіть кілька хвилин повільного дихання (близько 6 вдихів на хвилину) і короткі прогулянки між справами.'
+                    },
+                    hrv: {
+                        label: 'Варіабельність серцевого ритму',
+                        detail: 'Ваш RMSSD був {rmssd} мс при базовому рівні {baselineRMSSD} мс.',
+                        recommendation: 'Низька HRV свідчить про напругу: сьогодні віддайте перевагу сну, воді та легшому навантаженню.'
+                    }
+                }
+            },
+            energy: {
+                title: 'Оцінка відновлення',
+                components: {
+                    hrv: {
+                        label: 'Варіабельність серцевого ритму',
+                        detail: 'Ваша HRV була {currentHRV} мс при базовому рівні {baselineHRV} мс.',
+                        recommendation: 'Тримайте помірне навантаження, доки HRV не повернеться до базового рівня.'
+                    },
+                    sleep: {
+                        label: 'Сон',
+                        detail: 'Ваша оцінка сну — {sleepScore}.',
+                        recommendation: 'Кращий сон — найшвидший шлях до відновлення: перегляньте поради щодо сну.'
+                    }
+                }
+            },
+            activity: {
+                title: 'Оцінка активності',
+                components: {
+                    stepsScore: {
+                        label: 'Кроки',
+                        detail: 'Ви зробили {stepsToday} кроків при вашій нормі {baselineSteps}.',
+                        recommendation: 'Додайте 15-хвилинну прогулянку, щоб наблизитися до {baselineSteps} кроків.'
+                    },
+                    activeMinutesScore: {
+                        label: 'Активні хвилини',
+                        detail: 'У вас було {mvpaMinutes} хв помірної чи інтенсивної активності.',
+                        recommendation: 'Плануйте щонайменше 22 хвилини жвавої активності на день (150 хвилин на тиждень).'
+                    },
+                    consistencyScore: {
+                        label: 'Стабільність день у день',
+                        detail: 'Ваші щоденні кроки коливалися на {steps7dStdDev} навколо середнього {steps7dMean}.',
+                        recommendation: 'Розподіляйте активність рівномірно протягом тижня замість кількох дуже активних днів.'
+                    },
+                    activityLevelConsistencyScore: {
+                        label: 'Розподіл активності протягом дня',
+                        recommendation: 'Переривайте тривале сидіння: щогодини вставайте й рухайтеся кілька хвилин.'
+                    },
+                    totalEnergyCreditScore: {
+                        label: 'Енергетичний кредит',
+                        detail: 'Ваш енергетичний кредит — {energyCreditCurrentScore}.',
+                        recommendation: 'Чергуйте важкі дні з днями відновлення, щоб відновити енергетичний кредит.'
+                    }
+                }
+            },
+            wellness: {
+                title: 'Оцінка самопочуття',
+                components: {
+                    sleep: {label: 'Сон', recommendation: 'Почніть зі сну: він повертає найбільше балів.'},
+                    stress: {label: 'Розслаблення', recommendation: 'Плануйте короткі перерви та дихальні вправи протягом дня.'},
+                    energy: {label: 'Енергія', recommendation: 'Узгоджуйте сьогоднішнє навантаження з енергетичною ємністю та відновленням.'},
+                    activity: {label: 'Активність', recommendation: 'Рухайтеся більше й регулярніше протягом дня.'}
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,184 @@
+/**
+ * Insights
+ *
+ * Human-readable explanations of a score: which components cost the most points and what to do about it.
+ *
+ * For every component of a weighted score (see composite.js):
+ * Lost_Points = effective weight × (100 - component score)
+ *
+ * i.e. how many points of the total the component gave away against its potential. Components are
+ * ranked by lost points and the top ones are explained with localized templates (insight-templates.js),
+ * filled with the measured values behind the component (e.g. deep sleep 28% vs. an 18% ideal).
+ *
+ * Supported domains: sleep (total), stress (parasympathetic score), energy (recovery score),
+ * activity (final activity score) and wellness (total). Locales: en, uk.
+ */
+
+import {InvalidInputError, isMissing, requireNumber} from "./validation.js";
+import {INSIGHT_TEMPLATES} from "./insight-templates.js";
+import {formatClockTime} from "./units.js";
+
+export const SUPPORTED_LOCALES = Object.keys(INSIGHT_TEMPLATES);
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Components, score and facts of each domain's result, plus the components measured above their ideal
+ */
+const DOMAINS = {
+    sleep: result => ({
+        score: result.total,
+        components: result.components,
+        aboveIdeal: {
+            dss: result.measurements.deepPercent > result.norm.dss.mu,
+            rss: result.measurements.remPercent > result.norm.rss.mu
+        },
+        facts: {
+            ...result.measurements,
+            idealSleepHours: result.norm.tsd.mu,
+            idealDeepPercent: result.norm.dss.mu,
+            idealRemPercent: result.norm.rss.mu,
+            midpointClock: formatClockTime(result.circadian.midpointHours),
+            idealMidpointClock: formatClockTime(result.circadian.idealMidpointHours)
+        }
+    }),
+    stress: result => {
+        const parasympathetic = result.components.parasympatheticDetailed.components;
+        const rmssd = result.components.hrvParasympatheticDetailed?.components.rmssd;
+        return {
+            score: result.parasympatheticScore,
+            components: {
+                rhr: {value: parasympathetic.rhr, effectiveWeight: parasympathetic.weights.rhr},
+                hrv: {value: parasympathetic.hrv, effectiveWeight: parasympathetic.weights.hrv}
+            },
+            facts: {rhr: result.rhr, rmssd: rmssd?.measured, baselineRMSSD: rmssd?.baseline}
+        };
+    },
+    energy: result => {
+        const recovery = result.components.recoveryDetailed;
+        const hrv = result.components.hrvDetailed;
+        return {
+            score: result.recovery,
+            components: {
+                hrv: {value: recovery.components.hrvScore, effectiveWeight: recovery.weights.hrvPercentage / 100},
+                sleep: {value: recovery.components.sleepScore, effectiveWeight: recovery.weights.sleepPercentage / 100}
+            },
+            facts: {currentHRV: hrv?.currentHRV, baselineHRV: hrv?.baselineHRV, sleepScore: recovery.components.sleepScore}
+        };
+    },
+    activity: result => ({
+        score: result.finalActivityScore,
+        // weight of the final activity score components is already the effective (renormalized) weight
+        components: Object.fromEntries(Object.entries(result.components.finalActivityScoreDetailed.components)
+            .map(([key, component]) => [key, {value: component.value, effectiveWeight: component.weight}])),
+        facts: {...result.measurements}
+    }),
+    wellness: result => ({
+        score: result.total,
+        components: result.components,
+        facts: {}
+    })
+};
+
+/**
+ * Rank components by the points they cost the total
+ * @param {Object} components - By name: { value (0-100, null when missing), effectiveWeight }
+ * @returns {Array} [{ component, value, effectiveWeight, potential, lostPoints }], most points lost first;
+ *   missing components and components without weight are left out
+ */
+export function rankLostPoints(components) {
+    return Object.entries(components)
+        .filter(([, component]) => !isMissing(component.value) && component.effectiveWeight > 0)
+        .map(([key, component]) => {
+            requireNumber(`${key}.value`, component.value);
+            return {
+                component: key,
+                value: component.value,
+                effectiveWeight: component.effectiveWeight,
+                potential: round2(component.effectiveWeight * 100),
+                lostPoints: round2(component.effectiveWeight * (100 - component.value))
+            };
+        })
+        .sort((a, b) => b.lostPoints - a.lostPoints);
+}
+
+/**
+ * Fill a template; null when one of its placeholders has no value
+ */
+function render(template, facts, numberFormat) {
+    if (isMissing(template)) return null;
+    let complete = true;
+    const text = template.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = facts[name];
+        if (isMissing(value)) {
+            complete = false;
+            return match;
+        }
+        return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+    return complete ? text : null;
+}
+
+/**
+ * Explain a score: rank its components by lost points and describe the top ones
+ * @param {string} domain - 'sleep', 'stress', 'energy', 'activity' or 'wellness'
+ * @param {Object} result - Output of that domain's aggregator (sleepScore, stressScore, ..., wellnessScore)
+ * @param {Object} options - Insight options
+ * @param {string} options.locale - 'en' or 'uk' (default 'en')
+ * @param {number} options.limit - Number of components explained (default 3)
+ * @param {number} options.minLostPoints - Components that cost fewer points are not explained (default 1)
+ * @returns {Object} { domain, locale, score, headline, insights: [{ component, label, value, lostPoints,
+ *   summary, detail, recommendation }], ranking (all components by lost points) }
+ */
+export function generateInsights(domain, result, {locale = 'en', limit = 3, minLostPoints = 1} = {}) {
+    if (!Object.hasOwn(DOMAINS, domain)) {
+        throw new InvalidInputError('domain', domain, 'unknown domain', {allowed: Object.keys(DOMAINS)});
+    }
+    if (!Object.hasOwn(INSIGHT_TEMPLATES, locale)) {
+        throw new InvalidInputError('locale', locale, 'unsupported locale', {allowed: SUPPORTED_LOCALES});
+    }
+    if (isMissing(result) || typeof result !== 'object') {
+        throw new InvalidInputError('result', result, `expected the result of the ${domain} aggregator`);
+    }
+    requireNumber('limit', limit, {min: 0});
+    requireNumber('minLostPoints', minLostPoints, {min: 0});
+
+    const templates = INSIGHT_TEMPLATES[locale];
+    const domainTemplates = templates.domains[domain];
+    const numberFormat = new Intl.NumberFormat(locale, {maximumFractionDigits: 1});
+    const {score, components, facts, aboveIdeal} = DOMAINS[domain](result);
+
+    const ranking = rankLostPoints(components);
+    const insights = ranking
+        .filter(entry => entry.lostPoints >= minLostPoints)
+        .slice(0, limit)
+        .map(entry => {
+            const baseTemplates = domainTemplates.components[entry.component] || {};
+            const componentTemplates = aboveIdeal?.[entry.component] && baseTemplates.high
+                ? {...baseTemplates, ...baseTemplates.high}
+                : baseTemplates;
+            const label = componentTemplates.label || entry.component;
+            const values = {...facts, label, value: entry.value, lostPoints: entry.lostPoints};
+            return {
+                component: entry.component,
+                label,
+                value: entry.value,
+                lostPoints: entry.lostPoints,
+                summary: render(templates.summary, values, numberFormat),
+                detail: render(componentTemplates.detail, values, numberFormat),
+                recommendation: render(componentTemplates.recommendation, values, numberFormat)
+            };
+        });
+
+    const headline = isMissing(score) ? null : insights.length > 0
+        ? render(templates.headline, {
+            title: domainTemplates.title,
+            score,
+            losses: insights.map(insight => render(templates.loss, insight, numberFormat)).join(', ')
+        }, numberFormat)
+        : render(templates.headlineNoLosses, {title: domainTemplates.title, score}, numberFormat);
+
+    return {domain, locale, score, headline, insights, ranking};
+}
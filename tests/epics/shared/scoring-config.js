@@ -0,0 +1,279 @@
+/**
+ * Scoring Configuration
+ *
+ * Every μ/σ/weight/threshold used by the calculators lives in one named, versioned profile.
+ * Profiles are plain JSON (see ./profiles), validated against SCORING_CONFIG_SCHEMA and accepted
+ * by every aggregator as an optional second argument. Results record the profile version
+ * (e.g. "onevital-spec-v2") they were computed with.
+ *
+ * A profile version is never changed once released; changed parameters go into a new version:
+ * - onevital-spec-v1: the OneVital specification
+ * - onevital-spec-v2 (default): v1 with RRD and ODI weighted into the sleep score
+ */
+
+import {readFileSync} from "node:fs";
+import {InvalidInputError, MissingInputError, isMissing, requireNumber} from "./validation.js";
+
+const WEIGHT_SUM_TOLERANCE = 1e-6;
+
+function number(min, max) {
+    return {type: 'number', min, max};
+}
+
+// optional keys may be left out of a profile (weight 0), so profiles written before they existed stay valid
+function weights(keys, optional = []) {
+    return {type: 'weights', keys, optional};
+}
+
+const score = number(0, 100);
+const positive = number(Number.MIN_VALUE);
+const nonNegative = number(0);
+
+/**
+ * Shape of a scoring profile: nested sections ending in numeric leaves with their accepted range.
+ * Weight groups must contain the listed keys (optional keys may be left out) and sum to 1.
+ */
+export const SCORING_CONFIG_SCHEMA = {
+    baselines: {
+        windowDays: number(1, 365),
+        minDays: number(1, 365),
+        outlierMadThreshold: positive,
+        ewmaHalfLifeDays: positive
+    },
+    trend: {
+        windowDays: number(1, 365),
+        minPoints: number(1, 365),
+        stableSdRatio: nonNegative,
+        stableRelativeChange: nonNegative,
+        normalSdRatio: nonNegative,
+        minNormalRelativeBand: nonNegative
+    },
+    sleep: {
+        tsd: {mu: number(0, 24), sigma: positive},
+        dss: {mu: number(0, 100), sigma: positive},
+        rss: {mu: number(0, 100), sigma: positive},
+        sol: {mu: number(0, 240), sigma: positive},
+        waso: {sigma: positive},
+        hrd: {mu: number(0, 100), sigma: positive},
+        cas: {mu: number(0, 24), k: nonNegative, minHistoryNights: number(1, 365)},
+        scs: {sigma: positive},
+        nsc: {idealCycles: number(1, 20), minNormalCycles: number(0, 20), maxNormalCycles: number(0, 20)},
+        tdv: {sigma: positive},
+        rrd: {sigma: positive},
+        odi: {mu: nonNegative, sigma: positive, dropThreshold: positive},
+        hypnogram: {minNremMinutes: number(0, 240)},
+        sleepDay: {maxMergeGapMinutes: number(0, 24 * 60)},
+        weights: weights(['tsd', 'se', 'dss', 'rss', 'ssd', 'sol', 'waso', 'hrd', 'cas', 'scs', 'nsc', 'tdv'], ['rrd', 'odi'])
+    },
+    energy: {
+        defaults: {sleepScore: score, stressScore: score, timeOfDay: number(0, 24), recoverySleepScore: score},
+        hrv: {sigmaGeneral: positive, sigmaAthlete: positive},
+        recovery: {hrvWeight: nonNegative, sleepWeight: nonNegative},
+        capacity: {alpha: nonNegative, beta: nonNegative, gamma: nonNegative, vo2Sigma: positive, bodyFatSigma: positive},
+        credit: {
+            maxScalingDelta: positive,
+            surplusGainFactor: nonNegative,
+            deficitPenaltyFactor: nonNegative,
+            maxCreditScore: positive,
+            initialScore: nonNegative
+        },
+        safeZone: {bufferZone: nonNegative, minHistoryRequired: number(1, 365)},
+        battery: {stepsPerMetHour: positive, tefDurationHours: number(1, 24), reservePercent: number(0, 100)}
+    },
+    stress: {
+        muRHR: number(20, 250),
+        sigmaRHR: positive,
+        fallbackRHR: number(20, 250),
+        restStepsThreshold: nonNegative,
+        hrv: {rmssdReference: positive, sdnnReference: positive, lnSigma: positive, rmssdWeight: number(0, 1)},
+        weights: weights(['rhr', 'hrv']),
+        timeline: {
+            windowMinutes: number(1, 24 * 60),
+            stepMinutes: number(1, 24 * 60),
+            minReadings: number(1),
+            bands: {low: score, medium: score, high: score}
+        },
+        stressEnergy: {windowDays: number(1, 365), minDays: number(1, 365)},
+        illness: {weights: weights(['rrd', 'odi']), possibleThreshold: score, likelyThreshold: score}
+    },
+    activity: {
+        steps: {sigma: positive, defaultBaseline: positive},
+        activeMinutes: {sigma: positive},
+        consistency: {sigmaRef: positive},
+        weights: weights(['stepsScore', 'activeMinutesScore', 'consistencyScore', 'activityLevelConsistencyScore', 'totalEnergyCreditScore'])
+    },
+    wellness: {
+        weights: weights(['sleep', 'stress', 'energy', 'activity'])
+    },
+    dataQuality: {
+        defaultReliability: number(0, 1),
+        expectedWearMinutes: number(1, 24 * 60),
+        levels: {medium: number(0, 1), high: number(0, 1)}
+    }
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateWeights(path, value, keys, optional) {
+    const allowed = [...keys, ...optional];
+    if (!isPlainObject(value)) {
+        throw new InvalidInputError(path, value, 'expected an object of weights', {allowed});
+    }
+    Object.keys(value).forEach(key => {
+        if (!allowed.includes(key)) {
+            throw new InvalidInputError(`${path}.${key}`, value[key], 'unknown weight', {allowed});
+        }
+    });
+    const present = [...keys, ...optional.filter(key => key in value)];
+    const sum = present.reduce((total, key) => total + requireNumber(`${path}.${key}`, value[key], {min: 0, max: 1}), 0);
+    if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+        throw new InvalidInputError(path, sum, 'weights must sum to 1', {min: 1, max: 1});
+    }
+}
+
+function validateSection(path, value, schema) {
+    if (isMissing(value)) {
+        throw new MissingInputError(path);
+    }
+    if (!isPlainObject(value)) {
+        throw new InvalidInputError(path, value, 'expected an object');
+    }
+    Object.keys(value).forEach(key => {
+        if (!(key in schema)) {
+            throw new InvalidInputError(`${path}.${key}`, value[key], 'unknown parameter', {allowed: Object.keys(schema)});
+        }
+    });
+    Object.entries(schema).forEach(([key, rule]) => {
+        const fieldPath = `${path}.${key}`;
+        if (rule.type === 'number') {
+            requireNumber(fieldPath, value[key], {min: rule.min, max: rule.max});
+        } else if (rule.type === 'weights') {
+            validateWeights(fieldPath, value[key], rule.keys, rule.optional);
+        } else {
+            validateSection(fieldPath, value[key], rule);
+        }
+    });
+}
+
+function deepFreeze(value) {
+    if (isPlainObject(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+// значення профілю накладаються на базовий профіль; вкладені секції зливаються, числа замінюються;
+// групу ваг профіль задає цілком — інакше ваги базового профілю домішувались би й сума ≠ 1
+function deepMerge(base, overrides, schema = SCORING_CONFIG_SCHEMA) {
+    const merged = {...base};
+    Object.entries(overrides).forEach(([key, value]) => {
+        const rule = isPlainObject(schema) ? schema[key] : undefined;
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) && rule?.type !== 'weights'
+            ? deepMerge(base[key], value, rule)
+            : value;
+    });
+    return merged;
+}
+
+/**
+ * Validate a scoring profile against SCORING_CONFIG_SCHEMA
+ * @param {Object} config - Complete scoring profile
+ * @returns {Object} The same profile
+ * @throws {MissingInputError|InvalidInputError} On a missing, unknown or out-of-range parameter
+ */
+export function validateScoringConfig(config) {
+    if (!isPlainObject(config)) {
+        throw new InvalidInputError('config', config, 'expected a scoring profile object');
+    }
+    if (typeof config.name !== 'string' || config.name.length === 0) {
+        throw isMissing(config.name)
+            ? new MissingInputError('config.name')
+            : new InvalidInputError('config.name', config.name, 'expected a non-empty string');
+    }
+    requireNumber('config.version', config.version, {min: 1, integer: true});
+
+    const {name, version, description, ...sections} = config;
+    validateSection('config', sections, SCORING_CONFIG_SCHEMA);
+    return config;
+}
+
+/**
+ * Profile identifier recorded in every result, e.g. "onevital-spec-v1"
+ * @param {Object} config - Scoring profile
+ * @returns {string} `${name}-v${version}`
+ */
+export function profileVersion(config) {
+    return `${config.name}-v${config.version}`;
+}
+
+/**
+ * Build a validated, immutable scoring profile
+ * @param {Object|string} source - Profile object or JSON text. Must declare its own name and version;
+ *   parameters it omits are taken from the base profile
+ * @param {Object} base - Profile to inherit omitted parameters from (default: the default profile); a weight
+ *   group the profile declares replaces the base group as a whole
+ * @returns {Object} Frozen scoring profile
+ */
+export function createScoringConfig(source, base = DEFAULT_SCORING_CONFIG) {
+    let profile = source;
+    if (typeof source === 'string') {
+        try {
+            profile = JSON.parse(source);
+        } catch (error) {
+            throw new InvalidInputError('config', source.slice(0, 40), `invalid JSON (${error.message})`);
+        }
+    }
+    if (!isPlainObject(profile)) {
+        throw new InvalidInputError('config', profile, 'expected a scoring profile object or JSON text');
+    }
+
+    const merged = base ? deepMerge(base, profile) : profile;
+    // ім'я та версію профілю не успадковуємо — інакше змінені параметри записувались би під чужою версією
+    merged.name = profile.name;
+    merged.version = profile.version;
+    merged.description = profile.description;
+
+    return deepFreeze(validateScoringConfig(merged));
+}
+
+/**
+ * Load a scoring profile from a JSON file
+ * @param {string|URL} path - Path to the JSON profile
+ * @param {Object} base - Profile to inherit omitted parameters from (default: the default profile)
+ * @returns {Object} Frozen scoring profile
+ */
+export function loadScoringConfig(path, base = DEFAULT_SCORING_CONFIG) {
+    return createScoringConfig(readFileSync(path, 'utf8'), base);
+}
+
+const ONEVITAL_SPEC_V1 = loadScoringConfig(new URL('./profiles/onevital-spec-v1.json', import.meta.url), null);
+const ONEVITAL_SPEC_V2 = loadScoringConfig(new URL('./profiles/onevital-spec-v2.json', import.meta.url), ONEVITAL_SPEC_V1);
+
+/**
+ * Built-in profiles by version identifier; aggregators also accept the identifier as their config
+ */
+export const SCORING_PROFILES = Object.freeze({
+    [profileVersion(ONEVITAL_SPEC_V1)]: ONEVITAL_SPEC_V1,
+    [profileVersion(ONEVITAL_SPEC_V2)]: ONEVITAL_SPEC_V2
+});
+
+/**
+ * Default profile: the OneVital specification parameters with RRD and ODI in the sleep score (onevital-spec-v2)
+ */
+export const DEFAULT_SCORING_CONFIG = ONEVITAL_SPEC_V2;
+
+/**
+ * Resolve the profile an aggregator should use: the default when none is given,
+ * otherwise a validated profile (plain objects, JSON text and built-in profile identifiers are accepted)
+ * @param {Object|string} config - Scoring profile, JSON text, identifier such as "onevital-spec-v1" or undefined
+ * @returns {Object} Frozen scoring profile
+ */
+export function resolveScoringConfig(config) {
+    if (isMissing(config)) return DEFAULT_SCORING_CONFIG;
+    if (typeof config === 'string' && Object.hasOwn(SCORING_PROFILES, config)) return SCORING_PROFILES[config];
+    if (isPlainObject(config) && Object.isFrozen(config)) return validateScoringConfig(config);
+    return createScoringConfig(config);
+}
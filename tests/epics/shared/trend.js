@@ -0,0 +1,113 @@
+/**
+ * Trend and Norm Deviation
+ *
+ * Computes `trend` and `normDeviation` on the scale used by the OneVital API:
+ * - trend: 0 = down, 1 = stable, 2 = up
+ * - normDeviation: 0 = below normal, 1 = normal, 2 = above normal
+ *
+ * Both compare today's value with the user's own recent history of the same metric
+ * (the last `windowDays` values, oldest first):
+ * - mean / sd = mean and standard deviation of the history window
+ * - trend: Δ = today − mean; stable when |Δ| ≤ max(stableSdRatio × sd, stableRelativeChange × |mean|)
+ * - normDeviation: normal band = mean ± max(normalSdRatio × sd, minNormalRelativeBand × |mean|)
+ * With fewer than `minPoints` historical values both are null (not enough data).
+ */
+
+import {isMissing, requireArray} from "./validation.js";
+import {DEFAULT_SCORING_CONFIG} from "./scoring-config.js";
+
+export const TREND = Object.freeze({DOWN: 0, STABLE: 1, UP: 2});
+export const NORM_DEVIATION = Object.freeze({BELOW: 0, NORMAL: 1, ABOVE: 2});
+
+function windowStats(series, params) {
+    const values = series
+        .map(point => (typeof point === 'object' && point !== null ? point.value : point))
+        .filter(value => typeof value === 'number' && Number.isFinite(value))
+        .slice(-params.windowDays);
+
+    if (values.length < params.minPoints) return null;
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return {mean, sd: Math.sqrt(variance), points: values.length};
+}
+
+function resolveParams(options) {
+    return {...DEFAULT_SCORING_CONFIG.trend, ...options};
+}
+
+/**
+ * Direction of today's value relative to recent history
+ * @param {Array} series - Past values, oldest first: numbers or { date, value } (null entries are skipped)
+ * @param {number} current - Today's value
+ * @param {Object} options - Trend parameters (defaults: scoring profile `trend` section)
+ * @returns {number|null} 0 = down, 1 = stable, 2 = up; null without enough history
+ */
+export function calculateTrend(series, current, options = {}) {
+    if (isMissing(series) || isMissing(current)) return null;
+    const params = resolveParams(options);
+    const stats = windowStats(requireArray('series', series), params);
+    if (!stats) return null;
+
+    const delta = current - stats.mean;
+    const tolerance = Math.max(params.stableSdRatio * stats.sd, params.stableRelativeChange * Math.abs(stats.mean));
+    if (Math.abs(delta) <= tolerance) return TREND.STABLE;
+    return delta > 0 ? TREND.UP : TREND.DOWN;
+}
+
+/**
+ * Position of today's value relative to the user's normal range
+ * @param {Array} series - Past values, oldest first: numbers or { date, value } (null entries are skipped)
+ * @param {number} current - Today's value
+ * @param {Object} options - Trend parameters (defaults: scoring profile `trend` section)
+ * @returns {number|null} 0 = below normal, 1 = normal, 2 = above normal; null without enough history
+ */
+export function calculateNormDeviation(series, current, options = {}) {
+    if (isMissing(series) || isMissing(current)) return null;
+    const params = resolveParams(options);
+    const stats = windowStats(requireArray('series', series), params);
+    if (!stats) return null;
+
+    const band = Math.max(params.normalSdRatio * stats.sd, params.minNormalRelativeBand * Math.abs(stats.mean));
+    if (current < stats.mean - band) return NORM_DEVIATION.BELOW;
+    if (current > stats.mean + band) return NORM_DEVIATION.ABOVE;
+    return NORM_DEVIATION.NORMAL;
+}
+
+/**
+ * Trend and normDeviation of every metric that has a history
+ * @param {Object} currentValues - Today's values by metric name, e.g. { total: 82, tsd: 91 }
+ * @param {Object} scoreHistory - Past values by the same metric names, e.g. { total: [78, 80, 85] } (optional)
+ * @param {Object} options - Trend parameters (defaults: scoring profile `trend` section)
+ * @returns {Object} { [metric]: { trend, normDeviation } } for every metric in currentValues
+ */
+export function calculateTrends(currentValues, scoreHistory, options = {}) {
+    const trends = {};
+    Object.entries(currentValues).forEach(([metric, current]) => {
+        const series = scoreHistory ? scoreHistory[metric] : null;
+        trends[metric] = {
+            trend: calculateTrend(series, current, options),
+            normDeviation: calculateNormDeviation(series, current, options)
+        };
+    });
+    return trends;
+}
+
+/**
+ * Copy of a calculator result with its trend and normDeviation filled in on the 0/1/2 scale
+ *
+ * A calculator's own numeric deviation (e.g. the z-score of the steps score or the Gini coefficient of
+ * the activity level consistency) is moved to `deviation`, so normDeviation has one meaning everywhere.
+ * @param {Object} result - Calculator result
+ * @param {Object} trendInfo - { trend, normDeviation } from calculateTrends
+ * @returns {Object} Result with trend, normDeviation and, when the calculator reported one, deviation
+ */
+export function withTrend(result, trendInfo) {
+    const {normDeviation, ...rest} = result;
+    return {
+        ...rest,
+        ...(isMissing(normDeviation) ? {} : {deviation: normDeviation}),
+        trend: trendInfo.trend,
+        normDeviation: trendInfo.normDeviation
+    };
+}
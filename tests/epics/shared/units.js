@@ -0,0 +1,196 @@
+/**
+ * Units
+ *
+ * Conversions between the units wearables and the API report and the units the calculators work in
+ * (kg, cm, kcal, hours and minutes), and tagged quantities so every calculator accepts either representation:
+ * - a plain number is in the calculator's own unit (weight in kg, intake in kcal, WASO in minutes, ...)
+ * - a tagged quantity { value, unit } is converted, e.g. { value: 165, unit: 'lb' } → 74.84 kg
+ * - a duration may also be an "H:MM" string, e.g. "7:45" → 7.75 h
+ * - a calculator result ({ value } without a unit) is already in the calculator's unit
+ *
+ * 1 lb = 0.45359237 kg, 1 in = 2.54 cm, 1 kcal = 4.184 kJ
+ */
+
+import {InvalidInputError, isMissing, requireHoursMinutes, requireNumber} from "./validation.js";
+
+// factor = size of the unit in its dimension's base unit (kg, cm, kcal, h)
+export const UNITS = Object.freeze({
+    kg: {dimension: 'mass', factor: 1},
+    g: {dimension: 'mass', factor: 0.001},
+    lb: {dimension: 'mass', factor: 0.45359237},
+    cm: {dimension: 'length', factor: 1},
+    m: {dimension: 'length', factor: 100},
+    in: {dimension: 'length', factor: 2.54},
+    ft: {dimension: 'length', factor: 30.48},
+    kcal: {dimension: 'energy', factor: 1},
+    kJ: {dimension: 'energy', factor: 1 / 4.184},
+    h: {dimension: 'duration', factor: 1},
+    min: {dimension: 'duration', factor: 1 / 60},
+    s: {dimension: 'duration', factor: 1 / 3600}
+});
+
+function requireUnit(field, unit) {
+    if (!Object.hasOwn(UNITS, unit)) {
+        throw new InvalidInputError(field, unit, 'unknown unit', {allowed: Object.keys(UNITS)});
+    }
+    return UNITS[unit];
+}
+
+/**
+ * Convert a number between two units of the same dimension
+ * @param {number} value - Value in `from`
+ * @param {string} from - Unit of the value (see UNITS)
+ * @param {string} to - Target unit
+ * @returns {number} Value in `to`
+ */
+export function convertUnit(value, from, to) {
+    const source = requireUnit('unit', from);
+    const target = requireUnit('unit', to);
+    if (source.dimension !== target.dimension) {
+        throw new InvalidInputError('unit', from, `cannot convert ${source.dimension} to ${target.dimension} (${to})`);
+    }
+    return from === to ? value : value * source.factor / target.factor;
+}
+
+export const poundsToKilograms = pounds => convertUnit(pounds, 'lb', 'kg');
+export const kilogramsToPounds = kilograms => convertUnit(kilograms, 'kg', 'lb');
+export const inchesToCentimeters = inches => convertUnit(inches, 'in', 'cm');
+export const centimetersToInches = centimeters => convertUnit(centimeters, 'cm', 'in');
+export const kilojoulesToKilocalories = kilojoules => convertUnit(kilojoules, 'kJ', 'kcal');
+export const kilocaloriesToKilojoules = kilocalories => convertUnit(kilocalories, 'kcal', 'kJ');
+export const hoursToMinutes = hours => hours * 60;
+export const minutesToHours = minutes => minutes / 60;
+
+/**
+ * Tag a value with its unit
+ * @param {number} value - Measured value
+ * @param {string} unit - Unit (see UNITS)
+ * @returns {Object} { value, unit }
+ */
+export function quantity(value, unit) {
+    requireUnit('unit', unit);
+    return {value: requireNumber('value', value), unit};
+}
+
+/**
+ * Check whether an input is a tagged quantity { value, unit }
+ * @param {*} input - Input to check
+ * @returns {boolean} True for an object with a unit
+ */
+export function isQuantity(input) {
+    return typeof input === 'object' && input !== null && typeof input.unit === 'string';
+}
+
+/**
+ * Parse an "H:MM" duration
+ * @param {string} field - Input name (reported in errors)
+ * @param {string} value - Duration, e.g. "7:45"
+ * @returns {number} Duration in decimal hours
+ */
+export function parseHoursMinutes(field, value) {
+    const match = typeof value === 'string' && value.match(/^(\d{1,3}):(\d{2})$/);
+    if (!match || Number(match[2]) > 59) {
+        throw new InvalidInputError(field, value, 'expected "H:MM"');
+    }
+    return Number(match[1]) + Number(match[2]) / 60;
+}
+
+/**
+ * Split a duration into whole hours and remaining minutes
+ * @param {number} hoursDecimal - Duration in decimal hours
+ * @returns {Object} { hours, minutes }, e.g. 7.77 → { hours: 7, minutes: 46 }
+ */
+export function splitHoursMinutes(hoursDecimal) {
+    const totalMinutes = Math.round(hoursDecimal * 60);
+    return {hours: Math.floor(totalMinutes / 60), minutes: totalMinutes % 60};
+}
+
+/**
+ * Format a duration as "H:MM"
+ * @param {number} hoursDecimal - Duration in decimal hours
+ * @returns {string} e.g. 7.77 → "7:46"
+ */
+export function formatHoursMinutes(hoursDecimal) {
+    const {hours, minutes} = splitHoursMinutes(hoursDecimal);
+    return `${hours}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Format a time of day as "HH:MM" (wraps around midnight)
+ * @param {number} hoursDecimal - Hour of day in decimal hours
+ * @returns {string|null} e.g. 23.81 → "23:49", 25.5 → "01:30"; null when missing
+ */
+export function formatClockTime(hoursDecimal) {
+    if (isMissing(hoursDecimal)) return null;
+    const {hours, minutes} = splitHoursMinutes(((hoursDecimal % 24) + 24) % 24);
+    return `${String(hours % 24).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Bring an input to the unit a calculator works in
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} input - Plain number (already in `unit`), tagged quantity { value, unit }, calculator result { value }
+ *   or, for durations, an "H:MM" string
+ * @param {string} unit - Unit the calculator works in (see UNITS)
+ * @returns {*} The value in `unit`; missing and non-numeric inputs are returned as they are for the
+ *   calculator's own validation to report
+ */
+export function toUnit(field, input, unit) {
+    const target = requireUnit('unit', unit);
+    if (isQuantity(input)) {
+        const source = requireUnit(`${field}.unit`, input.unit);
+        if (source.dimension !== target.dimension) {
+            throw new InvalidInputError(`${field}.unit`, input.unit, `expected a ${target.dimension} unit`);
+        }
+        return convertUnit(requireNumber(`${field}.value`, input.value), input.unit, unit);
+    }
+    if (typeof input === 'string' && target.dimension === 'duration') {
+        return convertUnit(parseHoursMinutes(field, input), 'h', unit);
+    }
+    if (typeof input === 'object' && input !== null && !(input instanceof Date) && !Array.isArray(input)) {
+        return input.value;
+    }
+    return input;
+}
+
+/**
+ * Validate a duration given as an hours/minutes pair (deepH/deepM) or as one duration in the hours slot
+ * (tagged quantity or "H:MM") and convert it to decimal hours
+ * @param {string} prefix - Field prefix; errors report `${prefix}H` / `${prefix}M`
+ * @param {*} hours - Whole hours, or the whole duration (required)
+ * @param {*} minutes - Minutes (optional, default 0; must be left out when hours is a whole duration)
+ * @returns {number} Duration in decimal hours
+ */
+export function requireDurationHours(prefix, hours, minutes = 0) {
+    if (!isQuantity(hours) && typeof hours !== 'string') {
+        return requireHoursMinutes(prefix, hours, minutes);
+    }
+    if (!isMissing(minutes) && minutes !== 0) {
+        throw new InvalidInputError(`${prefix}M`, minutes, `must be left out when ${prefix}H is a whole duration`);
+    }
+    return requireNumber(`${prefix}H`, toUnit(`${prefix}H`, hours, 'h'), {min: 0, max: 24});
+}
+
+/**
+ * Duration of an API metric reported as `${name}Minutes` and/or `${name}Hours`
+ *
+ * `${name}Minutes` is the whole duration in minutes, except when it is below 60 while `${name}Hours`
+ * is at least 1 — then it is the minutes part of H:MM and the whole hours are taken from `${name}Hours`.
+ * Without minutes the decimal hours are used.
+ * @param {Object} metrics - API metrics, e.g. { deepSleepHours: 1.58, deepSleepMinutes: 95 }
+ * @param {string} name - Metric name without the unit suffix, e.g. 'deepSleep'
+ * @returns {Object|null} Tagged quantity in minutes, null when the metric is not reported
+ */
+export function apiDuration(metrics, name) {
+    const hours = metrics[`${name}Hours`];
+    const minutes = metrics[`${name}Minutes`];
+    if (!isMissing(minutes)) {
+        requireNumber(`${name}Minutes`, minutes, {min: 0});
+        const minutesPart = !isMissing(hours) && hours >= 1 && minutes < 60;
+        return quantity(minutesPart ? Math.floor(hours) * 60 + minutes : minutes, 'min');
+    }
+    if (!isMissing(hours)) {
+        return quantity(hoursToMinutes(requireNumber(`${name}Hours`, hours, {min: 0})), 'min');
+    }
+    return null;
+}
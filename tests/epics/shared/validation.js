@@ -0,0 +1,223 @@
+/**
+ * Input Validation
+ *
+ * Shared validation helpers for every epics calculator. Invalid input is reported with typed
+ * errors that carry the field name, the accepted range and the offending value, instead of
+ * silently producing NaN scores.
+ *
+ * - MissingInputError: a required input is null/undefined
+ * - InvalidInputError: an input is present but not usable (NaN, wrong type, out of range, bad format)
+ */
+
+/**
+ * Base class for calculator input errors
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} details - Error details
+     * @param {string} details.field - Name of the offending input
+     * @param {*} details.value - Offending value
+     * @param {Object} details.range - Accepted range { min, max } or allowed values (optional)
+     */
+    constructor(message, {field, value, range = null} = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.field = field;
+        this.value = value;
+        this.range = range;
+    }
+}
+
+/**
+ * A required input is missing (null or undefined)
+ */
+export class MissingInputError extends ValidationError {
+    constructor(field, range = null) {
+        super(`Missing required input "${field}"`, {field, value: undefined, range});
+    }
+}
+
+/**
+ * An input is present but invalid (NaN, wrong type, out of range or malformed)
+ */
+export class InvalidInputError extends ValidationError {
+    constructor(field, value, reason, range = null) {
+        super(`Invalid input "${field}" = ${formatValue(value)}: ${reason}`, {field, value, range});
+    }
+}
+
+function formatValue(value) {
+    if (typeof value === 'string') return `"${value}"`;
+    if (Array.isArray(value)) return `[${value.length} items]`;
+    return String(value);
+}
+
+function describeRange(min, max) {
+    if (min !== undefined && max !== undefined) return `expected ${min}..${max}`;
+    if (min !== undefined) return `expected >= ${min}`;
+    if (max !== undefined) return `expected <= ${max}`;
+    return 'expected a finite number';
+}
+
+/**
+ * Check whether a value is absent (null or undefined)
+ * @param {*} value - Value to check
+ * @returns {boolean} True when the value is null or undefined
+ */
+export function isMissing(value) {
+    return value === null || value === undefined;
+}
+
+/**
+ * Validate a required numeric input
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} value - Input value
+ * @param {Object} options - Constraints
+ * @param {number} options.min - Inclusive lower bound (optional)
+ * @param {number} options.max - Inclusive upper bound (optional)
+ * @param {boolean} options.integer - Require an integer (optional)
+ * @returns {number} The validated number
+ */
+export function requireNumber(field, value, {min, max, integer = false} = {}) {
+    const range = min !== undefined || max !== undefined ? {min, max} : null;
+
+    if (isMissing(value)) {
+        throw new MissingInputError(field, range);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new InvalidInputError(field, value, 'expected a finite number', range);
+    }
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+        throw new InvalidInputError(field, value, describeRange(min, max), range);
+    }
+    if (integer && !Number.isInteger(value)) {
+        throw new InvalidInputError(field, value, 'expected an integer', range);
+    }
+    return value;
+}
+
+/**
+ * Validate an optional numeric input; null/undefined are passed through
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} value - Input value
+ * @param {Object} options - Same constraints as requireNumber
+ * @returns {number|null|undefined} The validated number or the original empty value
+ */
+export function optionalNumber(field, value, options = {}) {
+    return isMissing(value) ? value : requireNumber(field, value, options);
+}
+
+/**
+ * Validate a required string input against a list of allowed values (case-insensitive)
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} value - Input value
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string} The validated value, lower-cased
+ */
+export function requireOneOf(field, value, allowed) {
+    if (isMissing(value)) {
+        throw new MissingInputError(field, {allowed});
+    }
+    const normalized = typeof value === 'string' ? value.toLowerCase() : null;
+    if (!allowed.includes(normalized)) {
+        throw new InvalidInputError(field, value, `expected one of ${allowed.join(', ')}`, {allowed});
+    }
+    return normalized;
+}
+
+/**
+ * Validate a required array input
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} value - Input value
+ * @param {Object} options - Constraints
+ * @param {number} options.minLength - Minimum number of items (default 0)
+ * @returns {Array} The validated array
+ */
+export function requireArray(field, value, {minLength = 0} = {}) {
+    if (isMissing(value)) {
+        throw new MissingInputError(field, {minLength});
+    }
+    if (!Array.isArray(value)) {
+        throw new InvalidInputError(field, value, 'expected an array', {minLength});
+    }
+    if (value.length < minLength) {
+        throw new InvalidInputError(field, value, `expected at least ${minLength} items`, {minLength});
+    }
+    return value;
+}
+
+/**
+ * Validate an array of numbers
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} value - Input value
+ * @param {Object} options - Constraints for the array and for every item
+ * @returns {Array<number>} The validated array
+ */
+export function requireNumberArray(field, value, {minLength = 0, min, max} = {}) {
+    requireArray(field, value, {minLength});
+    value.forEach((item, index) => requireNumber(`${field}[${index}]`, item, {min, max}));
+    return value;
+}
+
+/**
+ * Validate a clock time: "HH:MM", an ISO timestamp or a Date
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} value - Input value
+ * @returns {string|Date} The validated value
+ */
+export function requireClockTime(field, value) {
+    if (isMissing(value)) {
+        throw new MissingInputError(field);
+    }
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) {
+            throw new InvalidInputError(field, value, 'invalid Date');
+        }
+        return value;
+    }
+    if (typeof value === 'string') {
+        const clock = value.match(/^(\d{1,2}):(\d{2})$/);
+        if (clock && Number(clock[1]) <= 23 && Number(clock[2]) <= 59) {
+            return value;
+        }
+        if (!clock && value.includes('T') && !Number.isNaN(new Date(value).getTime())) {
+            return value;
+        }
+    }
+    throw new InvalidInputError(field, value, 'expected "HH:MM", an ISO timestamp or a Date');
+}
+
+/**
+ * Validate a duration in "H:MM" format or decimal hours
+ * @param {string} field - Input name (reported in errors)
+ * @param {*} value - Input value
+ * @param {number} maxHours - Upper bound in hours (default 24)
+ * @returns {string|number} The validated value
+ */
+export function requireDuration(field, value, maxHours = 24) {
+    if (isMissing(value)) {
+        throw new MissingInputError(field, {min: 0, max: maxHours});
+    }
+    if (typeof value === 'number') {
+        return requireNumber(field, value, {min: 0, max: maxHours});
+    }
+    const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[2]) > 59 || Number(match[1]) + Number(match[2]) / 60 > maxHours) {
+        throw new InvalidInputError(field, value, `expected "H:MM" up to ${maxHours}h`, {min: 0, max: maxHours});
+    }
+    return value;
+}
+
+/**
+ * Validate an hours/minutes pair (e.g. deepH/deepM) and convert it to decimal hours
+ * @param {string} prefix - Field prefix; errors report `${prefix}H` / `${prefix}M`
+ * @param {*} hours - Whole hours (required)
+ * @param {*} minutes - Minutes (optional, default 0)
+ * @returns {number} Duration in decimal hours
+ */
+export function requireHoursMinutes(prefix, hours, minutes = 0) {
+    requireNumber(`${prefix}H`, hours, {min: 0, max: 24});
+    requireNumber(`${prefix}M`, isMissing(minutes) ? 0 : minutes, {min: 0, max: 24 * 60});
+    return hours + (isMissing(minutes) ? 0 : minutes) / 60;
+}
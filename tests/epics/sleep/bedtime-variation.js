@@ -0,0 +1,101 @@
+// bedtime-variation.js
+// Sleep consistency inputs computed from a history of nights.
+//
+// 1) Bedtime variation (x for SCS) = average |Δ| between consecutive nights' sleep start times, in hours.
+//    Clock times are circular: Δ = ((b − a + 720) mod 1440) − 720 minutes, so 23:50 → 00:10 is 20 minutes, not 23.7 hours.
+// 2) Sleep Regularity Index (SRI) = 200 × P(same sleep/wake state at t and t + 24h) − 100
+//    SRI = 100 → perfectly regular schedule, 0 → random, −100 → perfectly inverted.
+
+import { InvalidInputError, requireArray } from "../shared/validation.js";
+
+const MINUTES_PER_DAY = 1440;
+
+function round2(n) { return Number(n.toFixed(2)); }
+
+// хвилини від півночі для "HH:MM", ISO-рядка (локальний час як записаний) або Date
+function clockMinutes(value, index) {
+  if (typeof value === 'string') {
+    const match = value.match(/^(\d{1,2}):(\d{2})$/) || value.match(/T(\d{2}):(\d{2})/);
+    if (match) return Number(match[1]) * 60 + Number(match[2]);
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidInputError(`fellAsleepTimes[${index}]`, value, 'expected "HH:MM", an ISO timestamp or a Date');
+  }
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Signed circular difference between two clock times in minutes (−720..720)
+ * @param {number} fromMinutes - Earlier clock time in minutes after midnight
+ * @param {number} toMinutes - Later clock time in minutes after midnight
+ * @returns {number} Shortest signed difference in minutes
+ */
+export function circularDifferenceMinutes(fromMinutes, toMinutes) {
+  const diff = (toMinutes - fromMinutes) % MINUTES_PER_DAY;
+  return ((diff + MINUTES_PER_DAY + 720) % MINUTES_PER_DAY) - 720;
+}
+
+/**
+ * Average day-to-day variation of sleep start time, ready to be used as SCS x
+ * @param {Array} fellAsleepTimes - Sleep start of N consecutive nights (ISO timestamps, Date or "HH:MM"), oldest first
+ * @returns {Object} { value (hours, rounded for reporting), hours (unrounded, for scoring), dailyDifferencesMinutes, nights }
+ */
+export function calculateBedtimeVariation(fellAsleepTimes) {
+  requireArray('fellAsleepTimes', fellAsleepTimes, { minLength: 2 });
+
+  const minutes = fellAsleepTimes.map(clockMinutes);
+  const dailyDifferencesMinutes = [];
+  for (let i = 1; i < minutes.length; i++) {
+    dailyDifferencesMinutes.push(Math.abs(circularDifferenceMinutes(minutes[i - 1], minutes[i])));
+  }
+
+  const averageMinutes = dailyDifferencesMinutes.reduce((sum, diff) => sum + diff, 0) / dailyDifferencesMinutes.length;
+
+  return {
+    value: round2(averageMinutes / 60),
+    hours: averageMinutes / 60,
+    dailyDifferencesMinutes,
+    nights: minutes.length
+  };
+}
+
+/**
+ * Sleep Regularity Index from sleep periods of consecutive days
+ * @param {Array} sleepPeriods - [{ start, end }] ISO timestamps of every sleep period (main sleep and naps)
+ * @param {number} epochMinutes - Sampling resolution in minutes (default 1)
+ * @returns {Object} { value (−100..100), comparedEpochs, days }
+ */
+export function calculateSleepRegularityIndex(sleepPeriods, epochMinutes = 1) {
+  requireArray('sleepPeriods', sleepPeriods, { minLength: 1 });
+
+  const periods = sleepPeriods
+    .map(period => ({ start: new Date(period.start).getTime(), end: new Date(period.end).getTime() }))
+    .sort((a, b) => a.start - b.start);
+
+  const firstMs = periods[0].start;
+  const lastMs = Math.max(...periods.map(period => period.end));
+  const dayMs = MINUTES_PER_DAY * 60000;
+  const stepMs = epochMinutes * 60000;
+
+  if (lastMs - firstMs < dayMs) {
+    throw new InvalidInputError('sleepPeriods', sleepPeriods, 'at least 24 hours of sleep history are required');
+  }
+
+  const isAsleep = t => periods.some(period => t >= period.start && t < period.end);
+
+  let comparedEpochs = 0;
+  let matchingEpochs = 0;
+  for (let t = firstMs; t + dayMs < lastMs; t += stepMs) {
+    comparedEpochs += 1;
+    if (isAsleep(t) === isAsleep(t + dayMs)) matchingEpochs += 1;
+  }
+
+  const sri = 200 * (matchingEpochs / comparedEpochs) - 100;
+
+  return {
+    value: round2(sri),
+    comparedEpochs,
+    days: round2((lastMs - firstMs) / dayMs)
+  };
+}
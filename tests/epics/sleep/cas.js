@@ -1,8 +1,35 @@
 // cas.js
-// Circadian Alignment Score (CAS) = max(0, 100 − k × |x − μ|)
+// Circadian Alignment Score (CAS) = max(0, 100 − k × d(x, μ))
 // x — sleep midpoint (in hours, 0..24)
-// μ — ideal midpoint (4.0 = 4:00 AM)
+// μ — ideal midpoint (4.0 = 4:00 AM by default, or personal — see idealMidpointFromChronotype)
 // k — sensitivity factor (20)
+// d — circular distance on the 24h clock: d = min(|x − μ| mod 24, 24 − |x − μ| mod 24),
+//     so 23.9 and 0.1 are 0.2h apart, not 23.8h
+
+import { requireClockTime, requireDuration, requireNumber } from "../shared/validation.js";
+import { isQuantity, toUnit } from "../shared/units.js";
+
+const HOURS_PER_DAY = 24;
+
+// MEQ (Horne–Östberg, 16–86) chronotype bands and their typical sleep midpoints
+const MEQ_CHRONOTYPES = [
+  { min: 70, chronotype: 'definite_morning', midpoint: 2.5 },
+  { min: 59, chronotype: 'moderate_morning', midpoint: 3.25 },
+  { min: 42, chronotype: 'intermediate', midpoint: 4.0 },
+  { min: 31, chronotype: 'moderate_evening', midpoint: 4.75 },
+  { min: 16, chronotype: 'definite_evening', midpoint: 5.5 }
+];
+
+/**
+ * Circular distance between two clock times in hours (0-12)
+ * @param {number} a - Clock time in decimal hours
+ * @param {number} b - Clock time in decimal hours
+ * @returns {number} Shortest distance around the 24h clock
+ */
+export function circularHourDistance(a, b) {
+  const diff = Math.abs(a - b) % HOURS_PER_DAY;
+  return Math.min(diff, HOURS_PER_DAY - diff);
+}
 
 /**
  * Calculate Circadian Alignment Score based on sleep midpoint
@@ -13,31 +40,91 @@
  * @returns {number} CAS score 0-100
  */
 export function CAS({ xHours, mu = 4.0, k = 20 }) {
-  const deviation = Math.abs(xHours - mu);
+  requireNumber('midpointHours', xHours, { min: 0, max: HOURS_PER_DAY });
+  requireNumber('idealMidpointHours', mu, { min: 0, max: HOURS_PER_DAY });
+
+  const deviation = circularHourDistance(xHours, mu);
   const raw = 100 - k * deviation;
   const result = Math.max(0, raw);
   return Number(result.toFixed(2));
 }
 
+// "HH:MM" або ISO-мітка (локальний час як записаний) або Date → десяткові години
+function clockHours(value) {
+  if (typeof value === 'string') {
+    const match = value.match(/^(\d{1,2}):(\d{2})$/) || value.match(/T(\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (match) return Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+
 /**
  * Calculate sleep midpoint from fell asleep time and total sleep time
- * @param {string} fellAsleep - Time fell asleep in HH:MM format (e.g., "23:30")
- * @param {string} tst - Total sleep time in H:MM format (e.g., "8:15")
+ * @param {string|Date} fellAsleep - Time fell asleep: "HH:MM" (e.g., "23:30"), ISO timestamp or Date
+ * @param {string|number|Object} tst - Total sleep time in H:MM format (e.g., "8:15"), decimal hours or a tagged quantity
  * @returns {Object} Object with hoursDecimal property
  */
 export function midpointFromFellAsleep(fellAsleep, tst) {
-  // Parse fell asleep time
-  const [fellAsleepH, fellAsleepM] = fellAsleep.split(':').map(Number);
-  const fellAsleepDecimal = fellAsleepH + fellAsleepM / 60;
-  
-  // Parse total sleep time
-  const [tstH, tstM] = tst.split(':').map(Number);
-  const tstDecimal = tstH + tstM / 60;
-  
+  requireClockTime('fellAsleep', fellAsleep);
+  const tstDecimal = isQuantity(tst)
+    ? requireNumber('tst', toUnit('tst', tst, 'h'), { min: 0, max: HOURS_PER_DAY })
+    : toUnit('tst', requireDuration('tst', tst), 'h');
+
+  const fellAsleepDecimal = clockHours(fellAsleep);
+
   // Calculate midpoint
-  const midpointDecimal = (fellAsleepDecimal + tstDecimal / 2) % 24;
-  
+  const midpointDecimal = (fellAsleepDecimal + tstDecimal / 2) % HOURS_PER_DAY;
+
   return {
     hoursDecimal: midpointDecimal
   };
 }
+
+/**
+ * Personal ideal midpoint (μ for CAS) from chronotype
+ * Priority: historical midpoints (circular mean) → MEQ questionnaire → default 4:00 AM
+ * @param {Object} params - Parameters object
+ * @param {Array} params.historicalMidpoints - Past sleep midpoints in decimal hours (optional)
+ * @param {number} params.meqScore - Morningness–Eveningness Questionnaire score 16-86 (optional)
+ * @param {number} params.minNights - Minimum nights of history to trust it (default 7)
+ * @param {number} params.defaultMu - Fallback ideal midpoint (default 4.0)
+ * @returns {Object} { mu, source, chronotype }
+ */
+export function idealMidpointFromChronotype({ historicalMidpoints, meqScore, minNights = 7, defaultMu = 4.0 } = {}) {
+  const validMidpoints = (historicalMidpoints || []).filter(h => typeof h === 'number' && !Number.isNaN(h));
+
+  if (validMidpoints.length >= minNights) {
+    // кругове середнє: 23:30 та 00:30 дають 00:00, а не 12:00
+    const angles = validMidpoints.map(h => (h / HOURS_PER_DAY) * 2 * Math.PI);
+    const sin = angles.reduce((sum, a) => sum + Math.sin(a), 0) / angles.length;
+    const cos = angles.reduce((sum, a) => sum + Math.cos(a), 0) / angles.length;
+    const mean = ((Math.atan2(sin, cos) / (2 * Math.PI)) * HOURS_PER_DAY + HOURS_PER_DAY) % HOURS_PER_DAY;
+    const band = MEQ_CHRONOTYPES.reduce((closest, entry) =>
+      circularHourDistance(entry.midpoint, mean) < circularHourDistance(closest.midpoint, mean) ? entry : closest);
+
+    return {
+      mu: Number(mean.toFixed(2)),
+      source: 'historical_midpoints',
+      chronotype: band.chronotype,
+      nights: validMidpoints.length
+    };
+  }
+
+  if (typeof meqScore === 'number' && meqScore >= 16 && meqScore <= 86) {
+    const band = MEQ_CHRONOTYPES.find(entry => meqScore >= entry.min);
+    return {
+      mu: band.midpoint,
+      source: 'meq_questionnaire',
+      chronotype: band.chronotype,
+      meqScore
+    };
+  }
+
+  return {
+    mu: defaultMu,
+    source: 'default',
+    chronotype: 'intermediate'
+  };
+}
@@ -2,14 +2,12 @@
 // Deep Sleep Score (DSS) = 100 × exp(-((p - μ)²) / (2 × σ²))
 // μ = 18 (ideal %), σ = 5, p = Deep / (Deep + Core + REM) × 100
 
-function toHours(h, m = 0) {
-    return Number(h) + Number(m) / 60;
-  }
-  
+import { requireDurationHours } from "../shared/units.js";
+
 export function DSS({ deepH, deepM, coreH, coreM, remH, remM, mu = 18, sigma = 5 }) {
-  const deep = toHours(deepH, deepM);
-  const core = toHours(coreH, coreM);
-  const rem  = toHours(remH, remM);
+  const deep = requireDurationHours('deep', deepH, deepM);
+  const core = requireDurationHours('core', coreH, coreM);
+  const rem  = requireDurationHours('rem', remH, remM);
 
   const totalSleep = deep + core + rem;
   if (totalSleep === 0) return 0;
@@ -19,14 +17,3 @@ export function DSS({ deepH, deepM, coreH, coreM, remH, remM, mu = 18, sigma = 5
 
   return Number(dss.toFixed(2));
 }
-  
-  // === Приклад із твоїми даними ===
-  const result = DSS({
-    deepH: 2,  deepM: 25,
-    coreH: 4,  coreM: 28,
-    remH:  1,  remM: 51,
-    mu: 18, sigma: 5
-  });
-  
-  console.info('Deep Sleep Score (DSS) =', result);
-  
\ No newline at end of file
@@ -4,8 +4,14 @@
 // x = ((Resting HR − Sleep HR) ÷ Resting HR) × 100
 // if x >= μ → HRD = 100
 // μ = 20, σ = 5
+// Sleep HR above resting HR is allowed (no dip at all) and scores close to 0
+
+import { requireNumber } from "../shared/validation.js";
 
 export function HRD({ restingHR, sleepHR, mu = 20, sigma = 5 }) {
+    requireNumber('restingHR', restingHR, { min: 20, max: 250 });
+    requireNumber('sleepHR', sleepHR, { min: 20, max: 250 });
+
     const x = ((restingHR - sleepHR) / restingHR) * 100;
   
     if (x >= mu) return 100;
@@ -13,8 +19,3 @@ export function HRD({ restingHR, sleepHR, mu = 20, sigma = 5 }) {
     const val = 100 * Math.exp(-((x - mu) ** 2) / (2 * sigma ** 2));
     return Number(val.toFixed(2));
   }
-  
-  // === Приклад із твоїми даними ===
-  const result = HRD({ restingHR: 67, sleepHR: 49, mu: 20, sigma: 5 });
-  console.info('Heart Rate Deviation Score (HRD) =', result);
-  
\ No newline at end of file
@@ -0,0 +1,181 @@
+// hypnogram.js
+// Derives the sleep scoring inputs from a raw hypnogram of a /api/health/sleep session.
+// Epoch: { stage: 'Wake' | 'Core' | 'Deep' | 'REM', start: ISO timestamp, end: ISO timestamp }
+//
+// SOL  = time from session start to the first non-Wake epoch (minutes)
+// WASO = Wake minutes between sleep onset and the final awakening
+// NSC  = number of NREM → REM transitions, where the NREM period lasted ≥ minNremMinutes
+// Awake (for TSD/SE) = all Wake minutes inside the session (latency + WASO + final wake)
+
+import { InvalidInputError, requireArray } from "../shared/validation.js";
+
+const STAGE_ALIASES = {
+  wake: 'wake', awake: 'wake', inbed: 'wake',
+  core: 'core', light: 'core', asleep: 'core', asleepunspecified: 'core',
+  deep: 'deep',
+  rem: 'rem'
+};
+
+function normalizeStage(stage, index) {
+  const key = String(stage).toLowerCase().replace(/[^a-z]/g, '');
+  const normalized = STAGE_ALIASES[key];
+  if (!normalized) {
+    throw new InvalidInputError(`hypnogram[${index}].stage`, stage, 'unknown sleep stage', { allowed: Object.keys(STAGE_ALIASES) });
+  }
+  return normalized;
+}
+
+function toMs(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+function minutesBetween(startMs, endMs) {
+  return (endMs - startMs) / 60000;
+}
+
+function round2(n) { return Number(n.toFixed(2)); }
+
+// розкладає хвилини на пару { h, m }, як очікують TSD/SE/DSS/RSS
+function splitMinutes(totalMinutes) {
+  const h = Math.floor(totalMinutes / 60);
+  return { h, m: round2(totalMinutes - h * 60) };
+}
+
+// локальний годинниковий час "HH:MM" як він записаний у мітці часу
+function clockTime(value) {
+  if (typeof value === 'string') {
+    const match = value.match(/T(\d{2}):(\d{2})/);
+    if (match) return `${match[1]}:${match[2]}`;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize raw epochs: accepts { stage|value, start|startDate, end|endDate } and sorts them by start time
+ * @param {Array} epochs - Raw hypnogram epochs
+ * @returns {Array} Sorted epochs { stage, start, end, startMs, endMs, minutes }
+ */
+export function normalizeEpochs(epochs) {
+  requireArray('hypnogram', epochs, { minLength: 1 });
+
+  return epochs
+    .map((epoch, index) => {
+      const start = epoch.start ?? epoch.startDate;
+      const end = epoch.end ?? epoch.endDate;
+      const startMs = toMs(start);
+      const endMs = toMs(end);
+      if (Number.isNaN(startMs) || Number.isNaN(endMs) || endMs < startMs) {
+        throw new InvalidInputError(`hypnogram[${index}]`, `${start} – ${end}`, 'invalid epoch time range');
+      }
+      return {
+        stage: normalizeStage(epoch.stage ?? epoch.value, index),
+        start,
+        end,
+        startMs,
+        endMs,
+        minutes: minutesBetween(startMs, endMs)
+      };
+    })
+    .sort((a, b) => a.startMs - b.startMs);
+}
+
+/**
+ * Count complete NREM–REM cycles: a cycle closes when REM starts after enough NREM sleep
+ * @param {Array} epochs - Normalized epochs
+ * @param {number} minNremMinutes - Minimum NREM minutes before a REM period closes a cycle (default 15)
+ * @returns {number} Number of cycles
+ */
+export function countSleepCycles(epochs, minNremMinutes = 15) {
+  let cycles = 0;
+  let nremMinutes = 0;
+  let inRem = false;
+
+  epochs.forEach(epoch => {
+    if (epoch.stage === 'core' || epoch.stage === 'deep') {
+      nremMinutes += epoch.minutes;
+      inRem = false;
+    } else if (epoch.stage === 'rem') {
+      if (!inRem && nremMinutes >= minNremMinutes) {
+        cycles += 1;
+        nremMinutes = 0;
+      }
+      inRem = true;
+    }
+    // короткі пробудження не розривають цикл
+  });
+
+  return cycles;
+}
+
+/**
+ * Parse a hypnogram into sleepScore inputs
+ * @param {Array} epochs - Timestamped stage epochs of one session
+ * @param {Object} options - Parsing options
+ * @param {number} options.minNremMinutes - Minimum NREM minutes for a cycle (default 15)
+ * @returns {Object} Stage durations (deepH/deepM, ...), sleepOnsetLatencyMinutes, wasoMinutes, observedCycles, fellAsleep, tst
+ */
+export function parseHypnogram(epochs, { minNremMinutes = 15 } = {}) {
+  const sorted = normalizeEpochs(epochs);
+
+  const sessionStartMs = sorted[0].startMs;
+  const sessionEndMs = Math.max(...sorted.map(epoch => epoch.endMs));
+
+  const stageMinutes = { wake: 0, core: 0, deep: 0, rem: 0 };
+  sorted.forEach(epoch => { stageMinutes[epoch.stage] += epoch.minutes; });
+
+  const sleepEpochs = sorted.filter(epoch => epoch.stage !== 'wake');
+  const totalSleepMinutes = stageMinutes.core + stageMinutes.deep + stageMinutes.rem;
+
+  let sleepOnsetLatencyMinutes = 0;
+  let wasoMinutes = 0;
+  let fellAsleep = null;
+  let tst = null;
+
+  if (sleepEpochs.length > 0) {
+    const onsetMs = sleepEpochs[0].startMs;
+    const finalAwakeningMs = Math.max(...sleepEpochs.map(epoch => epoch.endMs));
+
+    sleepOnsetLatencyMinutes = minutesBetween(sessionStartMs, onsetMs);
+
+    // WASO — лише пробудження між засинанням та остаточним пробудженням
+    wasoMinutes = sorted
+      .filter(epoch => epoch.stage === 'wake')
+      .reduce((sum, epoch) => {
+        const overlapStart = Math.max(epoch.startMs, onsetMs);
+        const overlapEnd = Math.min(epoch.endMs, finalAwakeningMs);
+        return overlapEnd > overlapStart ? sum + minutesBetween(overlapStart, overlapEnd) : sum;
+      }, 0);
+
+    fellAsleep = clockTime(sleepEpochs[0].start);
+    const tstSplit = splitMinutes(Math.round(totalSleepMinutes));
+    tst = `${tstSplit.h}:${String(tstSplit.m).padStart(2, '0')}`;
+  }
+
+  const deep = splitMinutes(stageMinutes.deep);
+  const core = splitMinutes(stageMinutes.core);
+  const rem = splitMinutes(stageMinutes.rem);
+  const awake = splitMinutes(stageMinutes.wake);
+
+  return {
+    deepH: deep.h, deepM: deep.m,
+    coreH: core.h, coreM: core.m,
+    remH: rem.h, remM: rem.m,
+    awakeH: awake.h, awakeM: awake.m,
+    sleepOnsetLatencyMinutes: round2(sleepOnsetLatencyMinutes),
+    wasoMinutes: round2(wasoMinutes),
+    observedCycles: countSleepCycles(sorted, minNremMinutes),
+    fellAsleep,
+    tst,
+    stageMinutes: {
+      wake: round2(stageMinutes.wake),
+      core: round2(stageMinutes.core),
+      deep: round2(stageMinutes.deep),
+      rem: round2(stageMinutes.rem)
+    },
+    totalSleepMinutes: round2(totalSleepMinutes),
+    timeInBedMinutes: round2(minutesBetween(sessionStartMs, sessionEndMs)),
+    sessionStart: sorted[0].start,
+    sessionEnd: sorted.find(epoch => epoch.endMs === sessionEndMs).end
+  };
+}
@@ -3,15 +3,19 @@
 // 5 is the ideal number of NREM–REM cycles
 // Capped at 100, with mild penalty for <4 or >6 cycles (optional adjustment)
 
-export function NSC({ observedCycles }) {
+import { requireNumber } from "../shared/validation.js";
+
+export function NSC({ observedCycles, idealCycles = 5, minNormalCycles = 4, maxNormalCycles = 6 }) {
+    requireNumber('observedCycles', observedCycles, { min: 0, max: 20 });
+
     // базовий розрахунок
-    let score = (observedCycles / 5) * 100;
+    let score = (observedCycles / idealCycles) * 100;
   
     // часткове покарання за аномальні значення
-    if (observedCycles < 4) {
+    if (observedCycles < minNormalCycles) {
       // нижчі значення мають більшу втрату
       score *= 0.9; // наприклад, 10% штраф
-    } else if (observedCycles > 6) {
+    } else if (observedCycles > maxNormalCycles) {
       // надлишок циклів також небажаний
       score *= 0.95;
     }
@@ -22,8 +26,3 @@ export function NSC({ observedCycles }) {
   
     return Number(score.toFixed(2));
   }
-  
-  // === Приклад із твоїми даними ===
-  const result = NSC({ observedCycles: 5 });
-  console.info('Number of Cycles Score (NSC) =', result);
-  
\ No newline at end of file
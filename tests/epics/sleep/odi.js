@@ -0,0 +1,69 @@
+// odi.js
+// Oxygen Desaturation Index Score (ODI)
+// ODI = desaturation events per hour of sleep
+// event: SpO2 drops by ≥ 3 percentage points below the highest reading of the preceding 2 minutes
+//        (ODI3); it ends once SpO2 recovers to within 3 points of that reference
+// Formula: if ODI ≤ μ → 100; else ODI_score = 100 × exp(-((ODI - μ)²) / (2 × σ²))
+// μ = 5 events/h (upper limit of normal), σ = 10
+// → ODI 15 (moderate) ≈ 61, ODI 30 (severe) ≈ 4
+
+import { InvalidInputError, isMissing, requireNumber, requireNumberArray } from "../shared/validation.js";
+
+const REFERENCE_WINDOW_SECONDS = 120;
+
+/**
+ * Count desaturation events in an overnight SpO2 series
+ * @param {Array} spo2Samples - SpO2 readings (%) at a fixed interval during sleep
+ * @param {number} sampleIntervalSeconds - Seconds between readings
+ * @param {number} dropThreshold - Drop (percentage points) that counts as an event (default 3)
+ * @returns {Object} { events, odi, sleepHours, minSpO2, meanSpO2 }
+ */
+export function desaturationIndex(spo2Samples, sampleIntervalSeconds, dropThreshold = 3) {
+  requireNumberArray('spo2Samples', spo2Samples, { minLength: 1, min: 50, max: 100 });
+  requireNumber('spo2SampleIntervalSeconds', sampleIntervalSeconds, { min: 1, max: 600 });
+
+  const referenceSamples = Math.max(1, Math.round(REFERENCE_WINDOW_SECONDS / sampleIntervalSeconds));
+  let events = 0;
+  let inEvent = false;
+  let eventReference = null;
+
+  spo2Samples.forEach((spo2, i) => {
+    if (inEvent) {
+      // подія триває, доки SpO2 не повернеться до рівня опорного значення
+      if (eventReference - spo2 < dropThreshold) inEvent = false;
+      return;
+    }
+    if (i === 0) return;
+    const reference = Math.max(...spo2Samples.slice(Math.max(0, i - referenceSamples), i));
+    if (reference - spo2 >= dropThreshold) {
+      events += 1;
+      inEvent = true;
+      eventReference = reference;
+    }
+  });
+
+  const sleepHours = spo2Samples.length * sampleIntervalSeconds / 3600;
+  return {
+    events,
+    odi: Number((events / sleepHours).toFixed(2)),
+    sleepHours: Number(sleepHours.toFixed(2)),
+    minSpO2: Math.min(...spo2Samples),
+    meanSpO2: Number((spo2Samples.reduce((sum, v) => sum + v, 0) / spo2Samples.length).toFixed(2))
+  };
+}
+
+export function ODI({ odi, spo2Samples, sampleIntervalSeconds, dropThreshold = 3, mu = 5, sigma = 10 }) {
+  let x = odi;
+  if (isMissing(x)) {
+    if (isMissing(spo2Samples)) {
+      throw new InvalidInputError('odi', odi, 'expected an ODI (events/h) or spo2Samples');
+    }
+    x = desaturationIndex(spo2Samples, sampleIntervalSeconds, dropThreshold).odi;
+  }
+  requireNumber('odi', x, { min: 0, max: 200 });
+
+  if (x <= mu) return 100;
+
+  const val = 100 * Math.exp(-((x - mu) ** 2) / (2 * sigma ** 2));
+  return Number(val.toFixed(2));
+}
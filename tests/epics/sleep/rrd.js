@@ -0,0 +1,20 @@
+// rrd.js
+// Respiratory Rate Deviation Score (RRD)
+// Formula: RRD = 100 × exp(-(x²) / (2 × σ²))
+// x = nocturnal respiratory rate − personal baseline respiratory rate (breaths/min)
+// σ = 1 (breaths/min)
+// Nightly breathing rate is very stable within a person; a rise of 1-2 br/min often precedes illness,
+// a drop is unusual as well, so deviation is penalized both ways (like TDV)
+
+import { isMissing, requireNumber } from "../shared/validation.js";
+
+export function RRD({ rate, baselineRate, deviation, sigma = 1 }) {
+    // some wearables report the deviation from baseline directly, otherwise derive it
+    const x = !isMissing(deviation)
+      ? requireNumber('respiratoryRateDeviation', deviation, { min: -30, max: 30 })
+      : requireNumber('respiratoryRate', rate, { min: 4, max: 60 }) -
+        requireNumber('baselineRespiratoryRate', baselineRate, { min: 4, max: 60 });
+
+    const val = 100 * Math.exp(-(x ** 2) / (2 * sigma ** 2));
+    return Number(val.toFixed(2));
+  }
@@ -3,15 +3,13 @@
 // Total Sleep Time = Deep + Core + REM
 // Time in Bed = Deep + Core + REM + Awake
 
-function toHours(h, m = 0) {
-    return Number(h) + Number(m) / 60;
-  }
-  
+import { requireDurationHours } from "../shared/units.js";
+
 export function SE({ deepH, deepM, coreH, coreM, remH, remM, awakeH = 0, awakeM = 0 }) {
-  const deep = toHours(deepH, deepM);
-  const core = toHours(coreH, coreM);
-  const rem  = toHours(remH, remM);
-  const awake = toHours(awakeH, awakeM);
+  const deep = requireDurationHours('deep', deepH, deepM);
+  const core = requireDurationHours('core', coreH, coreM);
+  const rem  = requireDurationHours('rem', remH, remM);
+  const awake = requireDurationHours('awake', awakeH, awakeM);
 
   const totalSleepTime = deep + core + rem;
   const timeInBed = deep + core + rem + awake;
@@ -21,14 +19,3 @@ export function SE({ deepH, deepM, coreH, coreM, remH, remM, awakeH = 0, awakeM
   const se = (totalSleepTime / timeInBed) * 100;
   return Number(se.toFixed(2));
 }
-  
-  // === Приклад із твоїми даними ===
-  const result = SE({
-    deepH: 2,  deepM: 25,
-    coreH: 4,  coreM: 28,
-    remH:  1,  remM: 51,
-    awakeH: 0, awakeM: 0
-  });
-  
-  console.info('Sleep Efficiency (SE) =', result);
-  
\ No newline at end of file
@@ -0,0 +1,166 @@
+// sleep-day.js
+// Aggregates all sleep sessions of one day (main sleep, a night split by a long wake, naps)
+// into a single set of sleepScore inputs.
+//
+// Rules:
+// 1. Sessions separated by a gap ≤ maxMergeGapMinutes (default 90) are fragments of one sleep period;
+//    the gap between fragments and the latency of every later fragment count as WASO.
+// 2. The sleep period with the most total sleep is the main sleep. It alone defines
+//    fellAsleep / tst, so naps never shift the circadian midpoint.
+// 3. Every other period is a nap. Naps are reported separately and, by default,
+//    do not add to the stage durations (countNapsInDuration = false).
+// 4. SOL is averaged across the sleep periods of the day (see sol.js), each taking the latency of its first
+//    fragment — the latency of later fragments is already WASO; WASO and cycles are summed over the main sleep.
+
+import { parseHypnogram } from "./hypnogram.js";
+import { requireArray } from "../shared/validation.js";
+
+function round2(n) { return Number(n.toFixed(2)); }
+
+function toMs(value) {
+  return new Date(value).getTime();
+}
+
+function splitMinutes(totalMinutes) {
+  const h = Math.floor(totalMinutes / 60);
+  return { h, m: round2(totalMinutes - h * 60) };
+}
+
+function formatDuration(totalMinutes) {
+  const { h, m } = splitMinutes(Math.round(totalMinutes));
+  return `${h}:${String(m).padStart(2, '0')}`;
+}
+
+// сесія може бути масивом епох або об'єктом { hypnogram } / { epochs }
+function sessionEpochs(session) {
+  return Array.isArray(session) ? session : (session.hypnogram ?? session.epochs);
+}
+
+function summarizePeriod(fragments) {
+  const stageMinutes = { wake: 0, core: 0, deep: 0, rem: 0 };
+  let wasoMinutes = 0;
+  let observedCycles = 0;
+  let gapMinutes = 0;
+
+  fragments.forEach((fragment, index) => {
+    Object.keys(stageMinutes).forEach(stage => { stageMinutes[stage] += fragment.stageMinutes[stage]; });
+    wasoMinutes += fragment.wasoMinutes;
+    observedCycles += fragment.observedCycles;
+
+    if (index > 0) {
+      const gap = (fragment.startMs - fragments[index - 1].endMs) / 60000;
+      gapMinutes += Math.max(0, gap);
+      // засинання у наступному фрагменті — теж пробудження посеред ночі
+      wasoMinutes += fragment.sleepOnsetLatencyMinutes;
+    }
+  });
+
+  // пробудження між фрагментами — це WASO головного сну
+  stageMinutes.wake += gapMinutes;
+  wasoMinutes += gapMinutes;
+
+  const totalSleepMinutes = stageMinutes.core + stageMinutes.deep + stageMinutes.rem;
+  const firstAsleep = fragments.find(fragment => fragment.fellAsleep !== null);
+
+  return {
+    sessionStart: fragments[0].sessionStart,
+    sessionEnd: fragments[fragments.length - 1].sessionEnd,
+    fragmentCount: fragments.length,
+    sleepOnsetLatencyMinutes: fragments[0].sleepOnsetLatencyMinutes,
+    stageMinutes: {
+      wake: round2(stageMinutes.wake),
+      core: round2(stageMinutes.core),
+      deep: round2(stageMinutes.deep),
+      rem: round2(stageMinutes.rem)
+    },
+    totalSleepMinutes: round2(totalSleepMinutes),
+    wasoMinutes: round2(wasoMinutes),
+    gapMinutes: round2(gapMinutes),
+    observedCycles,
+    fellAsleep: firstAsleep ? firstAsleep.fellAsleep : null,
+    tst: formatDuration(totalSleepMinutes)
+  };
+}
+
+/**
+ * Aggregate all sleep sessions of a day into a single set of sleepScore inputs
+ * @param {Array} sessions - Sessions of the day; each is an epoch array or { hypnogram } / { epochs }
+ * @param {Object} options - Aggregation rules
+ * @param {number} options.maxMergeGapMinutes - Max wake gap between fragments of one sleep period (default 90)
+ * @param {boolean} options.countNapsInDuration - Add nap stage minutes to the duration inputs (default false)
+ * @param {number} options.minNremMinutes - Minimum NREM minutes for a sleep cycle (default 15)
+ * @returns {Object} scoringInputs for sleepScore, mainSleep summary, naps and the applied rules
+ */
+export function aggregateSleepDay(sessions, { maxMergeGapMinutes = 90, countNapsInDuration = false, minNremMinutes = 15 } = {}) {
+  requireArray('sessions', sessions, { minLength: 1 });
+
+  const parsed = sessions
+    .map(session => {
+      const result = parseHypnogram(sessionEpochs(session), { minNremMinutes });
+      return { ...result, startMs: toMs(result.sessionStart), endMs: toMs(result.sessionEnd) };
+    })
+    .sort((a, b) => a.startMs - b.startMs);
+
+  // Rule 1: merge fragments separated by short wake gaps into sleep periods
+  const periods = [];
+  parsed.forEach(session => {
+    const current = periods[periods.length - 1];
+    const gap = current ? (session.startMs - current[current.length - 1].endMs) / 60000 : Infinity;
+    if (current && gap <= maxMergeGapMinutes) {
+      current.push(session);
+    } else {
+      periods.push([session]);
+    }
+  });
+
+  const summaries = periods.map(summarizePeriod);
+
+  // Rule 2: the period with the most sleep is the main sleep
+  const mainIndex = summaries.reduce((best, summary, index) =>
+    summary.totalSleepMinutes > summaries[best].totalSleepMinutes ? index : best, 0);
+  const mainSleep = summaries[mainIndex];
+
+  // Rule 3: everything else is a nap
+  const naps = summaries.filter((summary, index) => index !== mainIndex);
+
+  const durationMinutes = { ...mainSleep.stageMinutes };
+  if (countNapsInDuration) {
+    naps.forEach(nap => {
+      durationMinutes.core += nap.stageMinutes.core;
+      durationMinutes.deep += nap.stageMinutes.deep;
+      durationMinutes.rem += nap.stageMinutes.rem;
+    });
+  }
+
+  // Rule 4: SOL is the average latency across the sleep periods of the day (merged fragments are not counted twice)
+  const sleepOnsetLatencyMinutes = summaries.reduce((sum, summary) => sum + summary.sleepOnsetLatencyMinutes, 0) / summaries.length;
+
+  const deep = splitMinutes(durationMinutes.deep);
+  const core = splitMinutes(durationMinutes.core);
+  const rem = splitMinutes(durationMinutes.rem);
+  const awake = splitMinutes(durationMinutes.wake);
+
+  return {
+    scoringInputs: {
+      deepH: deep.h, deepM: deep.m,
+      coreH: core.h, coreM: core.m,
+      remH: rem.h, remM: rem.m,
+      awakeH: awake.h, awakeM: awake.m,
+      sleepOnsetLatencyMinutes: round2(sleepOnsetLatencyMinutes),
+      wasoMinutes: mainSleep.wasoMinutes,
+      observedCycles: mainSleep.observedCycles,
+      fellAsleep: mainSleep.fellAsleep,
+      tst: mainSleep.tst
+    },
+    mainSleep,
+    naps,
+    napCount: naps.length,
+    napMinutes: round2(naps.reduce((sum, nap) => sum + nap.totalSleepMinutes, 0)),
+    sessionCount: parsed.length,
+    rules: {
+      maxMergeGapMinutes,
+      countNapsInDuration,
+      minNremMinutes
+    }
+  };
+}
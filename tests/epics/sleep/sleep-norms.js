@@ -0,0 +1,120 @@
+// sleep-norms.js
+// Age- and sex-specific targets (μ, σ) for TSD, DSS and RSS.
+// Duration: target inside the National Sleep Foundation recommended range (TSD scores 100 at or above μ).
+// Deep / REM share of total sleep: age trends of slow-wave and REM sleep (Ohayon et al., 2004);
+// women keep more slow-wave sleep than men from middle age on, REM share is similar for both sexes.
+
+import { isMissing, requireNumber } from "../shared/validation.js";
+
+/**
+ * Age group label used in the norm tables
+ * @param {number} age - Age in years
+ * @returns {string} 'preschool' | 'school_age' | 'teen' | 'young_adult' | 'adult' | 'older_adult'
+ */
+export function getSleepAgeGroup(age) {
+  if (age <= 5) return 'preschool';
+  if (age <= 13) return 'school_age';
+  if (age <= 17) return 'teen';
+  if (age <= 29) return 'young_adult';
+  if (age <= 64) return 'adult';
+  return 'older_adult';
+}
+
+/**
+ * Target total sleep duration by age (NSF recommended ranges)
+ * @param {number} age - Age in years
+ * @returns {Object} { mu, sigma } in hours
+ */
+function getTargetSleepDuration(age) {
+  if (age <= 5) return { mu: 10, sigma: 1.5 };   // recommended 10-13 h
+  if (age <= 13) return { mu: 9, sigma: 1.5 };   // recommended 9-11 h
+  if (age <= 17) return { mu: 8.5, sigma: 1.5 }; // recommended 8-10 h
+  if (age <= 64) return { mu: 8, sigma: 1.5 };   // recommended 7-9 h
+  return { mu: 7.5, sigma: 1.5 };                // recommended 7-8 h
+}
+
+/**
+ * Target deep (slow-wave) sleep share by age and sex
+ * @param {number} age - Age in years
+ * @param {string} gender - 'male' or 'female'
+ * @returns {Object} { mu, sigma } in % of total sleep
+ */
+function getTargetDeepSleepShare(age, gender) {
+  if (gender === 'male') {
+    if (age <= 13) return { mu: 24, sigma: 5 };
+    if (age <= 17) return { mu: 22, sigma: 5 };
+    if (age <= 29) return { mu: 19, sigma: 5 };
+    if (age <= 49) return { mu: 16, sigma: 5 };
+    if (age <= 64) return { mu: 14, sigma: 5 };
+    return { mu: 12, sigma: 4 };
+  } else { // female
+    if (age <= 13) return { mu: 24, sigma: 5 };
+    if (age <= 17) return { mu: 23, sigma: 5 };
+    if (age <= 29) return { mu: 20, sigma: 5 };
+    if (age <= 49) return { mu: 18, sigma: 5 };
+    if (age <= 64) return { mu: 17, sigma: 5 };
+    return { mu: 15, sigma: 4 };
+  }
+}
+
+/**
+ * Target REM sleep share by age
+ * @param {number} age - Age in years
+ * @returns {Object} { mu, sigma } in % of total sleep
+ */
+function getTargetRemSleepShare(age) {
+  if (age <= 13) return { mu: 23, sigma: 5 };
+  if (age <= 64) return { mu: 22, sigma: 5 };
+  return { mu: 20, sigma: 5 };
+}
+
+function averageNorm(a, b) {
+  return { mu: (a.mu + b.mu) / 2, sigma: (a.sigma + b.sigma) / 2 };
+}
+
+/**
+ * Sleep norms (μ, σ for TSD, DSS and RSS) for a user's age and sex
+ * @param {number} age - Age in years
+ * @param {string} gender - 'male' / 'female'; anything else uses the average of both tables
+ * @returns {Object} { source, ageGroup, gender, tsd, dss, rss }
+ */
+export function getSleepNorms(age, gender) {
+  requireNumber('age', age, { min: 1, max: 120 });
+
+  const sex = typeof gender === 'string' ? gender.toLowerCase() : null;
+  const knownSex = sex === 'male' || sex === 'female';
+
+  return {
+    source: 'age_sex_norms',
+    ageGroup: getSleepAgeGroup(age),
+    gender: knownSex ? sex : 'unspecified',
+    tsd: getTargetSleepDuration(age),
+    dss: knownSex
+      ? getTargetDeepSleepShare(age, sex)
+      : averageNorm(getTargetDeepSleepShare(age, 'male'), getTargetDeepSleepShare(age, 'female')),
+    rss: getTargetRemSleepShare(age)
+  };
+}
+
+/**
+ * Norms to score with: age/sex tables when age is known, otherwise the scoring profile values
+ * @param {Object} params - Parameters object
+ * @param {number} params.age - Age in years (optional)
+ * @param {string} params.gender - 'male' / 'female' (optional)
+ * @param {Object} params.profile - Sleep section of the scoring profile ({ tsd, dss, rss })
+ * @returns {Object} { source, ageGroup, gender, tsd, dss, rss }
+ */
+export function resolveSleepNorms({ age, gender, profile }) {
+  if (!isMissing(age)) {
+    return getSleepNorms(age, gender);
+  }
+
+  return {
+    source: 'profile',
+    ageGroup: null,
+    gender: null,
+    tsd: { mu: profile.tsd.mu, sigma: profile.tsd.sigma },
+    dss: { mu: profile.dss.mu, sigma: profile.dss.sigma },
+    rss: { mu: profile.rss.mu, sigma: profile.rss.sigma }
+  };
+}
@@ -8,17 +8,16 @@
 // μ = 15 (maximum normal sleep onset latency in minutes), 
 // σ = 10 (spread or tolerance)
 
+import { requireNumber } from "../shared/validation.js";
+import { toUnit } from "../shared/units.js";
+
+// x — хвилини, "H:MM" або { value, unit }
 export function SOL({ x, mu = 15, sigma = 10 }) {
+    x = requireNumber('sleepOnsetLatencyMinutes', toUnit('sleepOnsetLatencyMinutes', x, 'min'), { min: 0, max: 24 * 60 });
+
     if (x <= mu) {
       return 100;
     }
     const sol = 100 * Math.exp(-((x - mu) ** 2) / (2 * sigma ** 2));
     return Number(sol.toFixed(2));
   }
-  
-  // ==== Тестовий запуск ====
-  const testValue = 0; // тут підставляєш значення x
-  const result = SOL({ x: testValue });
-  
-  console.info(`Sleep Onset Latency Score (SOL) = ${result}`);
-  
\ No newline at end of file
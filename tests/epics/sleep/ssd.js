@@ -2,10 +2,8 @@
 // Обчислює DSS і RSS зі стадій, потім SSD = (RSS/2) + (DSS/2)
 // Параметри за замовчуванням: μ_DSS=18, σ_DSS=5; μ_RSS=22, σ_RSS=5
 
-function toHours(h, m = 0) {
-    return Number(h) + Number(m) / 60;
-  }
-  
+import { requireDurationHours } from "../shared/units.js";
+
   function DSS({ deep, core, rem, mu = 18, sigma = 5 }) {
     const total = deep + core + rem;
     if (total === 0) return 0;
@@ -23,9 +21,9 @@ function toHours(h, m = 0) {
   }
   
 export function SSD({ deepH, deepM, coreH, coreM, remH, remM, dssMu = 18, dssSigma = 5, rssMu = 22, rssSigma = 5 }) {
-  const deep = toHours(deepH, deepM);
-  const core = toHours(coreH, coreM);
-  const rem  = toHours(remH, remM);
+  const deep = requireDurationHours('deep', deepH, deepM);
+  const core = requireDurationHours('core', coreH, coreM);
+  const rem  = requireDurationHours('rem', remH, remM);
 
   const dss = DSS({ deep, core, rem, mu: dssMu, sigma: dssSigma });
   const rss = RSS({ deep, core, rem, mu: rssMu, sigma: rssSigma });
@@ -37,15 +35,3 @@ export function SSD({ deepH, deepM, coreH, coreM, remH, remM, dssMu = 18, dssSig
     ssd: Number(ssd.toFixed(2))
   };
 }
-  
-  // === Приклад із твоїми даними ===
-  const { dss, rss, ssd } = SSD({
-    deepH: 2,  deepM: 25,
-    coreH: 4,  coreM: 28,
-    remH:  1,  remM: 51
-  });
-  
-  console.info('DSS =', dss);
-  console.info('RSS =', rss);
-  console.info('Sleep Stage Distribution Score (SSD) =', ssd);
-  
\ No newline at end of file
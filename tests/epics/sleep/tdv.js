@@ -0,0 +1,19 @@
+// tdv.js
+// Temperature Deviation Score (TDV)
+// Formula: TDV = 100 × exp(-(x²) / (2 × σ²))
+// x = nightly skin/wrist temperature − personal baseline temperature (°C)
+// σ = 0.5 (°C)
+// Deviation works both ways: fever/illness (+) and unusually cold nights (−) are penalized equally
+
+import { isMissing, requireNumber } from "../shared/validation.js";
+
+export function TDV({ tempC, baselineTempC, deviationC, sigma = 0.5 }) {
+    // wearables often report the deviation directly (e.g. "+0.3 °C"), otherwise derive it from the baseline
+    const x = !isMissing(deviationC)
+      ? requireNumber('tempDeviationC', deviationC, { min: -10, max: 10 })
+      : requireNumber('skinTempC', tempC, { min: 20, max: 45 }) -
+        requireNumber('baselineSkinTempC', baselineTempC, { min: 20, max: 45 });
+
+    const val = 100 * Math.exp(-(x ** 2) / (2 * sigma ** 2));
+    return Number(val.toFixed(2));
+  }
@@ -11,36 +11,26 @@ import { HRD } from "./hrd.js";
 import { CAS } from "./cas.js";
 import { SCS } from "./scs.js";
 import { NSC } from "./nsc.js";
+import { TDV } from "./tdv.js";
+import { RRD } from "./rrd.js";
+import { ODI } from "./odi.js";
+import { DEFAULT_SCORING_CONFIG } from "../shared/scoring-config.js";
+import { isMissing } from "../shared/validation.js";
 
 function round2(n) { return Number(n.toFixed(2)); }
 
+// RRD and ODI are optional: without respiratory / SpO2 data their weight is spread over the other components
 function sleepScore({
-  TSD, SE, DSS, RSS, SSD, SOL, WASO, HRD, CAS, SCS, NSC
-}) {
-  const score =
-    0.15*TSD + 0.20*SE + 0.05*DSS + 0.05*RSS +
-    0.20*SSD + 0.10*SOL + 0.05*WASO + 0.05*HRD +
-    0.05*CAS + 0.05*SCS + 0.05*NSC;
+  TSD, SE, DSS, RSS, SSD, SOL, WASO, HRD, CAS, SCS, NSC, TDV, RRD, ODI
+}, weights = DEFAULT_SCORING_CONFIG.sleep.weights) {
+  const scores = {
+    tsd: TSD, se: SE, dss: DSS, rss: RSS, ssd: SSD, sol: SOL,
+    waso: WASO, hrd: HRD, cas: CAS, scs: SCS, nsc: NSC, tdv: TDV, rrd: RRD, odi: ODI
+  };
+  const present = Object.keys(weights).filter(key => !isMissing(scores[key]));
+  const totalWeight = present.reduce((sum, key) => sum + weights[key], 0);
+  const score = present.reduce((sum, key) => sum + weights[key] * scores[key], 0) / totalWeight;
   return round2(score);
 }
 
-// === Приклад із твоїми значеннями ===
-const subScores = {
-  TSD: 100,
-  SE: 99.42,
-  DSS: 65.13,
-  RSS: 77.92,
-  SSD: 71.53,
-  SOL: 100,
-  WASO: 100,
-  HRD: 100,
-  CAS: 51,
-  SCS: 89.68,
-  NSC: 100
-};
-
-const result = sleepScore(subScores);
-
-console.log("---- Sub-scores ----");
-console.table(subScores);
-console.log('SleepS =', result);
+export { sleepScore };
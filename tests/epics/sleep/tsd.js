@@ -3,17 +3,13 @@
 // Якщо x >= μ → TSD = 100.
 // μ = 8 (год), σ = 1.5
 
-// tsd.js (CommonJS, без export/import)
+import { requireDurationHours } from "../shared/units.js";
 
-function toHours(hours, minutes = 0) {
-  return Number(hours) + Number(minutes) / 60;
-}
-  
 export function TSD({ deepH, deepM, coreH, coreM, remH, remM, awakeH = 0, awakeM = 0, mu = 8, sigma = 1.5 }) {
-  const deep = toHours(deepH, deepM);
-  const core = toHours(coreH, coreM);
-  const rem  = toHours(remH, remM);
-  const awake = toHours(awakeH, awakeM);
+  const deep = requireDurationHours('deep', deepH, deepM);
+  const core = requireDurationHours('core', coreH, coreM);
+  const rem  = requireDurationHours('rem', remH, remM);
+  const awake = requireDurationHours('awake', awakeH, awakeM);
   const x = deep + core + rem + awake;
 
   if (x >= mu) return 100;
@@ -21,15 +17,3 @@ export function TSD({ deepH, deepM, coreH, coreM, remH, remM, awakeH = 0, awakeM
   const val = 100 * Math.exp(-((x - mu) ** 2) / (2 * sigma ** 2));
   return Number(val.toFixed(2));
 }
-  
-  // === Приклад із твоїми даними ===
-  const result = TSD({
-    deepH: 2,  deepM: 25,
-    coreH: 4,  coreM: 28,
-    remH:  1,  remM: 51,
-    awakeH: 0, awakeM: 0,
-    mu: 8, sigma: 1.5
-  });
-  
-  console.info('TSD =', result);
-  
\ No newline at end of file
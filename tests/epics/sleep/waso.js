@@ -4,12 +4,13 @@
 // x = actual WASO in minutes
 // σ = 20
 
+import { requireNumber } from "../shared/validation.js";
+import { toUnit } from "../shared/units.js";
+
+// x — хвилини, "H:MM" або { value, unit }
 export function WASO({ x, sigma = 20 }) {
+    x = requireNumber('wasoMinutes', toUnit('wasoMinutes', x, 'min'), { min: 0, max: 24 * 60 });
+
     const val = 100 * Math.exp(-((x ** 2) / (2 * sigma ** 2)));
     return Number(val.toFixed(2));
   }
-  
-  // === Приклад із твоїми даними ===
-  const result = WASO({ x: 0, sigma: 20 });
-  console.info('Wake After Sleep Onset (WASO) Score =', result);
-  
\ No newline at end of file
@@ -6,9 +6,23 @@ import { RSS } from "./sleep/rss.js";
 import { SOL } from "./sleep/sol.js";
 import { WASO } from "./sleep/waso.js";
 import { HRD } from "./sleep/hrd.js";
-import { CAS, midpointFromFellAsleep } from "./sleep/cas.js";
+import { CAS, midpointFromFellAsleep, idealMidpointFromChronotype } from "./sleep/cas.js";
 import { SCS } from "./sleep/scs.js";
 import { NSC } from "./sleep/nsc.js";
+import { TDV } from "./sleep/tdv.js";
+import { RRD } from "./sleep/rrd.js";
+import { ODI, desaturationIndex } from "./sleep/odi.js";
+import { parseHypnogram } from "./sleep/hypnogram.js";
+import { aggregateSleepDay } from "./sleep/sleep-day.js";
+import { calculateBedtimeVariation } from "./sleep/bedtime-variation.js";
+import { resolveSleepNorms } from "./sleep/sleep-norms.js";
+import { profileVersion, resolveScoringConfig } from "./shared/scoring-config.js";
+import { resolvePersonalBaselines, withBaseline } from "./shared/baselines.js";
+import { calculateTrends } from "./shared/trend.js";
+import { calculateWeightedComposite } from "./shared/composite.js";
+import { isMissing } from "./shared/validation.js";
+import { toUnit } from "./shared/units.js";
+import { assessDataQuality, wearTimeCoverage } from "./shared/data-quality.js";
 
 
 function round2(n) { return Number(n.toFixed(2)); }
@@ -29,98 +43,281 @@ function round2(n) { return Number(n.toFixed(2)); }
  * @param {number} values.remM - REM sleep minutes
  * @param {number} values.awakeH - Time awake during sleep hours
  * @param {number} values.awakeM - Time awake during sleep minutes
+ * @param {number|string|Object} values.deep - Deep sleep as one duration instead of deepH/deepM: decimal hours, "H:MM"
+ *   or a tagged quantity such as { value: 95, unit: 'min' } (optional; likewise values.core, values.rem, values.awake)
  * @param {number} values.restingHR - Resting heart rate (bpm)
  * @param {number} values.sleepHR - Average heart rate during sleep (bpm)
- * @param {string} values.fellAsleep - Time fell asleep (HH:MM format)
- * @param {string} values.tst - Total sleep time (H:MM format)
+ * @param {string} values.fellAsleep - Time fell asleep (HH:MM format or ISO timestamp)
+ * @param {string|number|Object} values.tst - Total sleep time ("H:MM", decimal hours or a tagged quantity)
  * @param {number} values.observedCycles - Number of complete sleep cycles observed
  * @param {number} values.scsX - Sleep consistency parameter (daily variation in hours)
+ * @param {Array} values.fellAsleepHistory - Sleep start times of the last N nights, oldest first (optional).
+ *   Used to compute scsX with circular time when scsX is not provided
+ * @param {Array} values.midpointHistory - Past sleep midpoints in decimal hours, for a personal ideal midpoint (optional)
+ * @param {number} values.meqScore - Morningness–Eveningness Questionnaire score 16-86 (optional)
+ * @param {number} values.skinTempC - Average skin/wrist temperature during sleep (°C, optional)
+ * @param {number} values.baselineSkinTempC - Personal baseline skin/wrist temperature (°C, optional)
+ * @param {number} values.tempDeviationC - Temperature deviation from baseline reported by the wearable (°C, optional)
+ * @param {number} values.respiratoryRate - Average nocturnal respiratory rate (breaths/min, optional)
+ * @param {number} values.baselineRespiratoryRate - Personal baseline respiratory rate (breaths/min, optional;
+ *   default: personal baseline from dailyHistory)
+ * @param {number} values.respiratoryRateDeviation - Respiratory rate deviation reported by the wearable (breaths/min, optional)
+ * @param {Array} values.spo2Samples - Overnight SpO2 readings (%) at a fixed interval (optional)
+ * @param {number} values.spo2SampleIntervalSeconds - Seconds between SpO2 readings (required with spo2Samples)
+ * @param {number} values.odi - Oxygen desaturation index reported by the wearable (events/h, optional)
+ * @param {Array} values.hypnogram - Raw stage epochs [{ stage, start, end }] of the session (optional).
+ *   When provided, stage durations, fellAsleep/tst, wasoMinutes, sleepOnsetLatencyMinutes and observedCycles
+ *   are derived from it and take precedence over the pre-computed fields
+ * @param {Array} values.sessions - All sleep sessions of the day (main sleep fragments and naps) as hypnograms (optional).
+ *   Aggregated by aggregateSleepDay; takes precedence over values.hypnogram
+ * @param {Object} values.sleepDayOptions - Aggregation rules passed to aggregateSleepDay (optional)
+ * @param {number} values.age - Age in years, selects age/sex norms for TSD, DSS and RSS (optional)
+ * @param {string} values.gender - 'male' or 'female', used with age for the norms (optional)
+ * @param {Array} values.dailyHistory - Daily { date, restingHR, hrv, sleepHR, respiratoryRate } records for personal
+ *   baselines (optional). The baselines stand in for restingHR / sleepHR / baselineRespiratoryRate when those are not provided
+ * @param {Object} values.baselines - Precomputed personal baselines (calculatePersonalBaselines), instead of dailyHistory (optional)
+ * @param {number} values.wearTimeMinutes - Minutes the device was worn during the night, for dataQuality (optional)
+ * @param {number} values.expectedWearMinutes - Minutes it should have been worn (optional, default: time in bed)
+ * @param {Object} values.scoreHistory - Past daily values by metric, oldest first: { total: [...], tsd: [...], ... } (optional).
+ *   Used for trend (0 down, 1 stable, 2 up) and normDeviation (0 below, 1 normal, 2 above normal)
+ * @param {Object|string} config - Scoring profile (see shared/scoring-config.js) or its identifier, default onevital-spec-v2
  * 
- * @returns {void} Outputs sleep score and component breakdown to console
+ * @returns {Object} Sleep score with total (0-100), its trend/normDeviation, weighted components
+ *   ({ value, weight, effectiveWeight, contribution, trend, normDeviation }; value null when the component's
+ *   input is missing, its weight then spread over the others), the excluded components,
+ *   the sleep norm used for TSD/DSS/RSS, the measurements behind the components, dataQuality (confidence 0-1 and where the inputs came from), analysis and the profileVersion it was computed with
  */
-function sleepScore(values) {
+function sleepScore(values, config) {
+  const scoringConfig = resolveScoringConfig(config);
+  const params = scoringConfig.sleep;
+  const weights = params.weights;
+
+  // Derive stage durations, SOL, WASO and cycle count from the day's sessions or the raw hypnogram when available
+  const sleepDay = values.sessions
+    ? aggregateSleepDay(values.sessions, {
+        maxMergeGapMinutes: params.sleepDay.maxMergeGapMinutes,
+        minNremMinutes: params.hypnogram.minNremMinutes,
+        ...values.sleepDayOptions
+      })
+    : null;
+  const input = sleepDay ? { ...values, ...sleepDay.scoringInputs } :
+                values.hypnogram ? { ...values, ...parseHypnogram(values.hypnogram, params.hypnogram) } :
+                values;
+
   // Extract all sleep and biometric data from input
   const {
-    deepH, deepM, coreH, coreM, remH, remM,    // Sleep stage durations
-    awakeH, awakeM,                            // Wake time during sleep
     restingHR, sleepHR,                        // Heart rate measurements
     fellAsleep, tst,                           // Sleep timing
     observedCycles,                            // Sleep architecture
     scsX,                                      // Consistency metric
-    wasoMinutes, sleepOnsetLatencyMinutes
-  } = values;
+    skinTempC, baselineSkinTempC, tempDeviationC, // Temperature deviation
+    respiratoryRate, baselineRespiratoryRate, respiratoryRateDeviation, // Breathing rate
+    spo2Samples, spo2SampleIntervalSeconds, odi: reportedODI // Blood oxygen
+  } = input;
+
+  // Тривалість стадій: пара год/хв (deepH/deepM, зокрема з гіпнограми) або одна тривалість
+  // (deep: "1:35", { value: 95, unit: 'min' }); пара має пріоритет
+  const stage = name => !isMissing(input[`${name}H`]) || isMissing(input[name])
+    ? [input[`${name}H`], input[`${name}M`]]
+    : [toUnit(name, input[name], 'h'), 0];
+  const [deepH, deepM] = stage('deep');
+  const [coreH, coreM] = stage('core');
+  const [remH, remM] = stage('rem');
+  const [awakeH, awakeM] = stage('awake');
+
+  // Latency and WASO may be tagged quantities or "H:MM"; the components work in minutes
+  const sleepOnsetLatencyMinutes = toUnit('sleepOnsetLatencyMinutes', input.sleepOnsetLatencyMinutes, 'min');
+  const wasoMinutes = toUnit('wasoMinutes', input.wasoMinutes, 'min');
+
+  // Targets for duration and stage shares: age/sex norms when age is known, profile values otherwise
+  const norm = resolveSleepNorms({ age: values.age, gender: values.gender, profile: params });
+
+  // Personal baselines fill in heart rates that were not measured
+  const baselines = resolvePersonalBaselines(values, scoringConfig.baselines);
+  const restingHRInput = withBaseline(restingHR, baselines?.restingHR);
+  const sleepHRInput = withBaseline(sleepHR, baselines?.sleepHR);
+  const baselineRespiratoryRateInput = withBaseline(baselineRespiratoryRate, baselines?.respiratoryRate);
 
   // === CALCULATE INDIVIDUAL SLEEP METRICS (0-100 each) ===
   
-  // Total Sleep Duration (15% weight) - Optimal around 8 hours
-  const tsd = TSD({ deepH, deepM, coreH, coreM, remH, remM, awakeH, awakeM });
+  // Total Sleep Duration (15% weight) - Optimal around 8 hours for adults (see sleep-norms.js)
+  const tsd = TSD({ deepH, deepM, coreH, coreM, remH, remM, awakeH, awakeM, ...norm.tsd });
   
   // Sleep Efficiency (20% weight) - Percentage of time in bed actually sleeping
   const se = SE({ deepH, deepM, coreH, coreM, remH, remM, awakeH, awakeM });
   
   // Deep Sleep Score (5% weight) - Quality of restorative N3 sleep
-  const dss = DSS({ deepH, deepM, coreH, coreM, remH, remM });
+  const dss = DSS({ deepH, deepM, coreH, coreM, remH, remM, ...norm.dss });
   
   // REM Sleep Score (5% weight) - Quality of dream/cognitive processing sleep
-  const rss = RSS({ deepH, deepM, coreH, coreM, remH, remM });
+  const rss = RSS({ deepH, deepM, coreH, coreM, remH, remM, ...norm.rss });
   
   // Sleep Stage Distribution (20% weight) - Balance between REM and deep sleep
   const ssd = (rss / 2) + (dss / 2);
   
+  // Components below are null when their input is missing and are then left out of the total
+
   // Sleep Onset Latency (10% weight) - How quickly you fall asleep
-  const sol = SOL({ x: sleepOnsetLatencyMinutes || 0, mu: 15, sigma: 10 }); // Currently using 0 minutes (instant sleep)
+  const sol = isMissing(sleepOnsetLatencyMinutes) ? null : SOL({ x: sleepOnsetLatencyMinutes, ...params.sol });
   
   // Wake After Sleep Onset (5% weight) - Sleep maintenance quality
-  const waso = WASO({ x: wasoMinutes || 0 }); // Currently using 0 minutes (no awakenings)
+  const waso = isMissing(wasoMinutes) ? null : WASO({ x: wasoMinutes, ...params.waso });
   
-  // Heart Rate Deviation (5% weight) - Cardiovascular recovery during sleep
-  const hrd = HRD({ restingHR, sleepHR });
+  // Heart Rate Deviation (2.5% weight) - Cardiovascular recovery during sleep
+  const hrd = isMissing(restingHRInput.value) || isMissing(sleepHRInput.value)
+    ? null
+    : HRD({ restingHR: restingHRInput.value, sleepHR: sleepHRInput.value, ...params.hrd });
   
   // Circadian Alignment Score (5% weight) - How well sleep timing matches natural rhythms
-  const mid = midpointFromFellAsleep(fellAsleep, tst); // Calculate sleep midpoint
-  const cas = CAS({ xHours: mid.hoursDecimal }); // Score based on 4 AM optimal midpoint
+  const mid = isMissing(fellAsleep) || isMissing(tst) ? null : midpointFromFellAsleep(fellAsleep, tst); // Calculate sleep midpoint
+  const idealMidpoint = idealMidpointFromChronotype({
+    historicalMidpoints: values.midpointHistory,
+    meqScore: values.meqScore,
+    minNights: params.cas.minHistoryNights,
+    defaultMu: params.cas.mu
+  }); // Personal ideal midpoint, profile default (4 AM) when chronotype is unknown
+  const cas = mid === null ? null : CAS({ xHours: mid.hoursDecimal, mu: idealMidpoint.mu, k: params.cas.k });
   
   // Sleep Consistency Score (5% weight) - Day-to-day schedule regularity
-  const scs = SCS({ x: scsX }); // Lower variation = higher score
+  const consistencyX = !isMissing(scsX) || !values.fellAsleepHistory
+    ? scsX
+    : calculateBedtimeVariation(values.fellAsleepHistory).hours;
+  const scs = isMissing(consistencyX) ? null : SCS({ x: consistencyX, ...params.scs }); // Lower variation = higher score
   
   // Number of Sleep Cycles (5% weight) - Complete NREM-REM cycle count (optimal: 4-6)
-  const nsc = NSC({ observedCycles });
+  const nsc = isMissing(observedCycles) ? null : NSC({ observedCycles, ...params.nsc });
+
+  // Temperature Deviation (2.5% weight) - Skin/wrist temperature vs personal baseline
+  const hasTemperature = tempDeviationC !== undefined ||
+    (skinTempC !== undefined && baselineSkinTempC !== undefined);
+  const tdv = hasTemperature
+    ? TDV({ tempC: skinTempC, baselineTempC: baselineSkinTempC, deviationC: tempDeviationC, ...params.tdv })
+    : null;
+
+  // Respiratory Rate Deviation (5% weight) - Nocturnal breathing rate vs personal baseline
+  const hasRespiratoryRate = respiratoryRateDeviation !== undefined ||
+    (respiratoryRate !== undefined && baselineRespiratoryRateInput.value !== undefined);
+  const rrd = hasRespiratoryRate
+    ? RRD({
+        rate: respiratoryRate,
+        baselineRate: baselineRespiratoryRateInput.value,
+        deviation: respiratoryRateDeviation,
+        ...params.rrd
+      })
+    : null;
+
+  // Oxygen Desaturation Index (5% weight) - SpO2 dips per hour of sleep
+  const hasSpO2 = reportedODI !== undefined || spo2Samples !== undefined;
+  const odi = hasSpO2
+    ? ODI({ odi: reportedODI, spo2Samples, sampleIntervalSeconds: spo2SampleIntervalSeconds, ...params.odi })
+    : null;
 
   // === CALCULATE WEIGHTED FINAL SLEEP SCORE ===
-  // Note: Current weights sum to 0.95 - should be 1.0 per specification
-  const sleepS =
-    0.15 * tsd +   // Total Sleep Duration (15%)
-    0.20 * se +    // Sleep Efficiency (20%) 
-    0.05 * dss +   // Deep Sleep Score (5%)
-    0.05 * rss +   // REM Sleep Score (5%)
-    0.20 * ssd +   // Sleep Stage Distribution (20%)
-    0.10 * sol +   // Sleep Onset Latency (10%)
-    0.05 * waso +  // Wake After Sleep Onset (5%)
-    0.05 * hrd +   // Heart Rate Deviation (5%) - Should be 2.5% per spec
-    0.05 * cas +   // Circadian Alignment (5%)
-    0.05 * scs +   // Sleep Consistency (5%)
-    0.05 * nsc;    // Number of Sleep Cycles (5%)
-    // Missing: Temperature Deviation (2.5%) - not implemented
-
-  // === OUTPUT RESULTS ===
-  console.info("---- Sub-scores ----");
-  console.table({ tsd, se, dss, rss, ssd, sol, waso, hrd, cas, scs, nsc });
-  console.info("Total SleepS =", round2(sleepS));
-
-  return { tsd, se, dss, rss, ssd, sol, waso, hrd, cas, scs, nsc };
+  const subScores = { tsd, se, dss, rss, ssd, sol, waso, hrd, cas, scs, nsc, tdv, rrd, odi };
+
+  // Missing components are left out and the remaining weights renormalized to sum to 1
+  const composite = calculateWeightedComposite(subScores, weights);
+  const total = round2(composite.value);
+
+  // Trend and norm deviation of every component and of the total against the user's recent history
+  const trends = calculateTrends({ ...subScores, total }, values.scoreHistory, scoringConfig.trend);
+
+  const components = {};
+  Object.entries(composite.components).forEach(([key, component]) => {
+    components[key] = { ...component, ...trends[key] };
+  });
+
+  // Виміряні значення, з яких пораховано компоненти (для пояснень, див. shared/insights.js)
+  const hours = (h, m) => (h || 0) + (m || 0) / 60;
+  const sleepHours = hours(deepH, deepM) + hours(coreH, coreM) + hours(remH, remM);
+  const inBedMinutes = (sleepHours + hours(awakeH, awakeM)) * 60;
+  const measurements = {
+    totalSleepHours: round2(sleepHours),
+    timeInBedHours: round2(inBedMinutes / 60),
+    efficiencyPercent: se,
+    deepPercent: sleepHours > 0 ? round2(hours(deepH, deepM) / sleepHours * 100) : null,
+    remPercent: sleepHours > 0 ? round2(hours(remH, remM) / sleepHours * 100) : null,
+    sleepOnsetLatencyMinutes: sleepOnsetLatencyMinutes ?? null,
+    wasoMinutes: wasoMinutes ?? null,
+    hrDipPercent: hrd === null ? null
+      : round2((restingHRInput.value - sleepHRInput.value) / restingHRInput.value * 100),
+    bedtimeVariationHours: isMissing(consistencyX) ? null : round2(consistencyX),
+    observedCycles: observedCycles ?? null,
+    tempDeviationC: tdv === null ? null : round2(tempDeviationC ?? skinTempC - baselineSkinTempC),
+    respiratoryRateDeviation: rrd === null ? null
+      : round2(respiratoryRateDeviation ?? respiratoryRate - baselineRespiratoryRateInput.value),
+    odi: odi === null ? null
+      : reportedODI ?? desaturationIndex(spo2Samples, spo2SampleIntervalSeconds, params.odi.dropThreshold).odi
+  };
+
+  // Довіра до результату: звідки взялися пульс, норми та ідеальна середина сну,
+  // частка ваги компонентів з даними та час носіння пристрою за ніч (за замовчуванням — час у ліжку)
+  const dataQuality = assessDataQuality({
+    inputs: {
+      restingHR: restingHRInput,
+      sleepHR: sleepHRInput,
+      sleepNorm: { value: norm.ageGroup, source: norm.source === 'profile' ? 'profile_default' : 'provided' },
+      ...(cas === null ? {} : {
+        idealMidpoint: {
+          value: idealMidpoint.mu,
+          source: idealMidpoint.source === 'default' ? 'profile_default' :
+                  idealMidpoint.source === 'historical_midpoints' ? 'personal_baseline' : 'provided'
+        }
+      })
+    },
+    componentCoverage: composite.coverage,
+    wearTime: wearTimeCoverage(values.wearTimeMinutes, values.expectedWearMinutes ?? (inBedMinutes || scoringConfig.dataQuality.expectedWearMinutes))
+  }, scoringConfig.dataQuality);
+
+  return {
+    total,
+    trend: trends.total.trend,
+    normDeviation: trends.total.normDeviation,
+    components,
+    weights,
+    excludedComponents: composite.excluded,
+    profileVersion: profileVersion(scoringConfig),
+
+    // Real vs defaulted inputs, fallbacks that fired, wear-time coverage and overall confidence (0-1)
+    dataQuality,
+
+    // Duration and stage-share targets used for TSD, DSS and RSS
+    norm,
+
+    // Measured values behind the components (sleep hours, stage shares, latency, HR dip, ...)
+    measurements,
+
+    // Where the heart rates for HRD and the respiratory rate baseline for RRD came from (measured or personal baseline)
+    baselines: {
+      restingHR: restingHRInput,
+      sleepHR: sleepHRInput,
+      respiratoryRate: baselineRespiratoryRateInput
+    },
+
+    // Circadian timing used for CAS
+    circadian: {
+      midpointHours: mid === null ? null : round2(mid.hoursDecimal),
+      idealMidpointHours: idealMidpoint.mu,
+      idealMidpointSource: idealMidpoint.source,
+      chronotype: idealMidpoint.chronotype
+    },
+
+    // Naps are scored separately from the main sleep (only when sessions are provided)
+    naps: sleepDay ? sleepDay.naps : [],
+
+    // Sleep quality analysis
+    analysis: {
+      overallSleepQuality: total >= 80 ? 'excellent' :
+                           total >= 60 ? 'good' :
+                           total >= 40 ? 'fair' : 'needs attention',
+      durationStatus: tsd >= 80 ? 'sufficient' :
+                      tsd >= 50 ? 'slightly short' : 'insufficient',
+      efficiencyStatus: se >= 85 ? 'efficient' :
+                        se >= 75 ? 'fair' : 'fragmented',
+      stageBalance: ssd >= 80 ? 'well balanced' :
+                    ssd >= 60 ? 'moderately balanced' : 'imbalanced'
+    }
+  };
 }
 
 export { sleepScore };
-
-// === Приклад запуску ===
-sleepScore({
-  deepH: 2, deepM: 25,
-  coreH: 4, coreM: 28,
-  remH: 1, remM: 51,
-  awakeH: 0, awakeM: 0,
-  restingHR: 67, sleepHR: 49,
-  fellAsleep: "23:53",
-  tst: "8:44",
-  observedCycles: 5,
-  scsX: 0.083333
-});
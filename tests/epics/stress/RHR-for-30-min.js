@@ -9,28 +9,42 @@
  *               else: 100 * (1 - exp(- ((μ_rhr - x)^2) / (2 * σ_rhr^2)))
  *
  * where: x = resting heart rate (bpm), μ_rhr = 100 bpm, σ_rhr = 15 bpm
- * Overall_Stress = RHR_Para (inverted - high parasympathetic = low stress)
+ * Stress_Level = 100 - Parasympathetic_Score (0 = calm, see stress-score.js)
  */
 
+import {isMissing, requireNumber, requireNumberArray} from "../shared/validation.js";
+
 /**
  * Calculate Resting Heart Rate (RHR) based on heart rate and activity data
  * @param {Array} heartRateReadings - Array of heart rate readings from last 30 minutes
  * @param {number} totalStepsLast30Min - Total steps taken in last 30 minutes
  * @param {number} fallbackRHR - Fallback RHR if calculation not possible
+ * @param {number} restStepsThreshold - Steps in 30 minutes below which the user is considered at rest (default 300)
  * @returns {Object} RHR calculation result
  */
-export function calculateRHRfor30min(heartRateReadings, totalStepsLast30Min, fallbackRHR = 70) {
+export function calculateRHRfor30min(heartRateReadings, totalStepsLast30Min, fallbackRHR = 70, restStepsThreshold = 300) {
+    requireNumber('totalStepsLast30Min', totalStepsLast30Min, {min: 0});
+    requireNumber('fallbackRHR', fallbackRHR, {min: 20, max: 250});
+    if (!isMissing(heartRateReadings)) {
+        requireNumberArray('heartRateReadings', heartRateReadings, {min: 20, max: 250});
+    }
+
     // RHR Estimation Logic from specification:
     // If user has taken fewer than 300 steps in last 30 minutes, they are considered at rest
-    if (totalStepsLast30Min < 300) {
+    // and RHR is estimated from the readings; otherwise HR reflects activity, not rest
+    const isAtRest = totalStepsLast30Min < restStepsThreshold;
+    const inputs = {
+        heartRateReadings: heartRateReadings ? heartRateReadings.length : 0,
+        totalStepsLast30Min,
+        fallbackRHR
+    };
+
+    if (!isAtRest) {
         return {
             value: fallbackRHR,
             calculationMethod: 'fallback_active',
-            inputs: {
-                heartRateReadings: heartRateReadings ? heartRateReadings.length : 0,
-                totalStepsLast30Min,
-                fallbackRHR
-            },
+            inputs,
+            components: {isAtRest, stepsThreshold: restStepsThreshold, averageHR: null}
         };
     }
 
@@ -39,11 +53,8 @@ export function calculateRHRfor30min(heartRateReadings, totalStepsLast30Min, fal
         return {
             value: fallbackRHR,
             calculationMethod: 'fallback_no_data',
-            inputs: {
-                heartRateReadings: 0,
-                totalStepsLast30Min,
-                fallbackRHR
-            },
+            inputs,
+            components: {isAtRest, stepsThreshold: restStepsThreshold, averageHR: null}
         };
     }
 
@@ -52,10 +63,7 @@ export function calculateRHRfor30min(heartRateReadings, totalStepsLast30Min, fal
     return {
         value: Math.round(averageHR * 100) / 100, // Round to 2 decimal places
         calculationMethod: 'calculated_from_data',
-        inputs: {
-            heartRateReadings: heartRateReadings.length,
-            totalStepsLast30Min,
-            fallbackRHR
-        },
+        inputs,
+        components: {isAtRest, stepsThreshold: restStepsThreshold, averageHR: Math.round(averageHR * 100) / 100}
     };
 }
\ No newline at end of file
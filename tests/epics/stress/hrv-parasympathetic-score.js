@@ -0,0 +1,105 @@
+/**
+ * HRV Parasympathetic Score Calculation
+ *
+ * Vagal (parasympathetic) activity from short-term heart rate variability. Higher RMSSD / SDNN
+ * relative to the personal baseline means more parasympathetic activity (less stress).
+ * HRV is compared on a log scale, since it is log-normally distributed and changes are relative.
+ *
+ * For each available metric (x = today's value, μ = personal baseline or population reference):
+ * d = ln(μ) - ln(x)
+ * HRV_Para_metric = if d <= 0: 100
+ *                   else: 100 * exp(-(d^2) / (2 * σ_ln^2))
+ *
+ * HRV_Para = w_rmssd * HRV_Para_rmssd + (1 - w_rmssd) * HRV_Para_sdnn
+ * (when only one metric is available it is used alone)
+ *
+ * where: σ_ln = 0.35 (20% below baseline scores ≈ 82, 40% below ≈ 34), w_rmssd = 0.7 (RMSSD reflects vagal tone most directly),
+ * population references RMSSD 42 ms, SDNN 50 ms (healthy adults, 5-minute recordings)
+ */
+
+import {MissingInputError, isMissing, optionalNumber, requireNumber} from "../shared/validation.js";
+
+const HRV_RANGE = {min: Number.MIN_VALUE, max: 500};
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function metricScore(value, baseline, lnSigma) {
+    const d = Math.log(baseline) - Math.log(value);
+    if (d <= 0) return 100;
+    return 100 * Math.exp(-(d * d) / (2 * lnSigma * lnSigma));
+}
+
+/**
+ * Calculate parasympathetic score from HRV (RMSSD and/or SDNN)
+ * @param {Object} hrvData - HRV measurements
+ * @param {number} hrvData.rmssd - RMSSD in ms (optional if sdnn is given)
+ * @param {number} hrvData.sdnn - SDNN in ms (optional if rmssd is given)
+ * @param {number} hrvData.baselineRMSSD - Personal RMSSD baseline in ms (default: population reference)
+ * @param {number} hrvData.baselineSDNN - Personal SDNN baseline in ms (default: population reference)
+ * @param {number} rmssdReference - Population RMSSD reference in ms (default 42)
+ * @param {number} sdnnReference - Population SDNN reference in ms (default 50)
+ * @param {number} lnSigma - Tolerance on the log scale (default 0.35)
+ * @param {number} rmssdWeight - Weight of RMSSD when both metrics are available (default 0.7)
+ * @returns {Object} Parasympathetic score (0-100, higher = more parasympathetic) with per-metric components
+ */
+export function calculateHRVParasympatheticScore(hrvData, rmssdReference = 42, sdnnReference = 50, lnSigma = 0.35, rmssdWeight = 0.7) {
+    const {rmssd, sdnn, baselineRMSSD, baselineSDNN} = hrvData || {};
+    optionalNumber('rmssd', rmssd, HRV_RANGE);
+    optionalNumber('sdnn', sdnn, HRV_RANGE);
+    optionalNumber('baselineRMSSD', baselineRMSSD, HRV_RANGE);
+    optionalNumber('baselineSDNN', baselineSDNN, HRV_RANGE);
+    requireNumber('lnSigma', lnSigma, {min: Number.MIN_VALUE});
+    requireNumber('rmssdWeight', rmssdWeight, {min: 0, max: 1});
+    if (isMissing(rmssd) && isMissing(sdnn)) {
+        throw new MissingInputError('rmssd');
+    }
+
+    const components = {};
+    if (!isMissing(rmssd)) {
+        const baseline = isMissing(baselineRMSSD) ? rmssdReference : baselineRMSSD;
+        components.rmssd = {
+            value: round2(metricScore(rmssd, baseline, lnSigma)),
+            measured: rmssd,
+            baseline,
+            baselineSource: isMissing(baselineRMSSD) ? 'population_reference' : 'personal'
+        };
+    }
+    if (!isMissing(sdnn)) {
+        const baseline = isMissing(baselineSDNN) ? sdnnReference : baselineSDNN;
+        components.sdnn = {
+            value: round2(metricScore(sdnn, baseline, lnSigma)),
+            measured: sdnn,
+            baseline,
+            baselineSource: isMissing(baselineSDNN) ? 'population_reference' : 'personal'
+        };
+    }
+
+    let score;
+    let calculationMethod;
+    if (components.rmssd && components.sdnn) {
+        score = rmssdWeight * components.rmssd.value + (1 - rmssdWeight) * components.sdnn.value;
+        calculationMethod = 'hrv_rmssd_sdnn';
+    } else if (components.rmssd) {
+        score = components.rmssd.value;
+        calculationMethod = 'hrv_rmssd';
+    } else {
+        score = components.sdnn.value;
+        calculationMethod = 'hrv_sdnn';
+    }
+
+    return {
+        value: round2(score),
+        calculationMethod,
+        inputs: {
+            rmssd,
+            sdnn,
+            baselineRMSSD,
+            baselineSDNN,
+            lnSigma,
+            rmssdWeight
+        },
+        components
+    };
+}
@@ -9,9 +9,11 @@
  *               else: 100 * (1 - exp(- ((μ_rhr - x)^2) / (2 * σ_rhr^2)))
  *
  * where: x = resting heart rate (bpm), μ_rhr = 100 bpm, σ_rhr = 15 bpm
- * Overall_Stress = RHR_Para (inverted - high parasympathetic = low stress)
+ * Stress_Level = 100 - Parasympathetic_Score (0 = calm, see stress-score.js)
  */
 
+import {requireNumber} from "../shared/validation.js";
+
 /**
  * Calculate parasympathetic score based on RHR
  * @param {number} rhr - Resting heart rate in bpm
@@ -20,6 +22,10 @@
  * @returns {Object} Parasympathetic score calculation result
  */
 export function calculateParasympatheticScore(rhr, muRHR = 100, sigmaRHR = 15) {
+    requireNumber('rhr', rhr, {min: 20, max: 250});
+    requireNumber('muRHR', muRHR, {min: 20, max: 250});
+    requireNumber('sigmaRHR', sigmaRHR, {min: Number.MIN_VALUE});
+
     let parasympatheticScore;
 
     // RHR_Para(x) = if x >= μ_rhr: 0
@@ -0,0 +1,125 @@
+/**
+ * Stress Energy Calculation
+ *
+ * Energy attributed to the stress response, with the conversion rate averaged over a rolling month.
+ *
+ * The OneVital specification writes the formula with (100 - Overall_Stress), where the stress score is high
+ * when the user is calm. Stress scores are now stress levels (0 = calm, see stress-score.js), so that term
+ * becomes the stress level itself:
+ * Energy_Surplus(d) = |Energy Capacity(d) - PAEE(d) - TEF(d)|
+ * Stress_Energy_Rate = Average over the last 30 days of Energy_Surplus(d) / Overall_Stress(d)
+ * Stress_Energy = Overall_Stress(today) × Stress_Energy_Rate
+ *
+ * where Overall_Stress is the average stress level (0 = calm, 100 = maximal stress) of the whole day,
+ * so the extra energy cost grows with stress. Days with Overall_Stress = 0 have no defined rate and are skipped.
+ * With fewer than `minDays` usable days the rate falls back to today's record alone
+ * (then Stress_Energy equals today's Energy_Surplus).
+ */
+
+import {InvalidInputError, isMissing, requireArray, requireNumber} from "../shared/validation.js";
+import {DEFAULT_SCORING_CONFIG} from "../shared/scoring-config.js";
+import {toUnit} from "../shared/units.js";
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function dailyRecord(field, record) {
+    if (typeof record !== 'object' || record === null) {
+        throw new InvalidInputError(field, record, 'expected { energyCapacity, paee, tef, overallStress }');
+    }
+    // energy values in kcal, or tagged quantities / calculator results
+    const energy = name => requireNumber(`${field}.${name}`, toUnit(`${field}.${name}`, record[name], 'kcal'), {min: 0});
+    const energyCapacity = energy('energyCapacity');
+    const paee = energy('paee');
+    const tef = energy('tef');
+    const overallStress = requireNumber(`${field}.overallStress`, record.overallStress, {min: 0, max: 100});
+    const energySurplus = Math.abs(energyCapacity - paee - tef);
+
+    return {
+        date: record.date ?? null,
+        energyCapacity,
+        paee,
+        tef,
+        overallStress,
+        energySurplus,
+        rate: overallStress <= 0 ? null : energySurplus / overallStress
+    };
+}
+
+/**
+ * Calculate today's stress energy from a rolling month of daily energy and stress records
+ * @param {Array} history - Past daily records, oldest first: { date, energyCapacity, paee, tef, overallStress }
+ *   (energy values in kcal or as tagged quantities, see shared/units.js)
+ * @param {Object} today - Today's record; overallStress is required, energyCapacity/paee/tef are
+ *   needed only when the history is too short (single-day fallback) and are otherwise added to the average
+ * @param {number} windowDays - Number of most recent days averaged (default 30)
+ * @param {number} minDays - Usable days needed for the monthly rate (default 7)
+ * @returns {Object} Stress energy with value (kcal), rate, daysUsed and calculation details
+ */
+export function calculateStressEnergy(
+    history, today,
+    windowDays = DEFAULT_SCORING_CONFIG.stress.stressEnergy.windowDays,
+    minDays = DEFAULT_SCORING_CONFIG.stress.stressEnergy.minDays
+) {
+    requireArray('history', history);
+    requireNumber('windowDays', windowDays, {min: 1, max: 365});
+    requireNumber('minDays', minDays, {min: 1, max: windowDays});
+    if (isMissing(today)) {
+        throw new InvalidInputError('today', today, 'expected { overallStress } of today');
+    }
+    const todayStress = requireNumber('today.overallStress', today.overallStress, {min: 0, max: 100});
+    const hasTodayEnergy = !isMissing(today.energyCapacity) && !isMissing(today.paee) && !isMissing(today.tef);
+
+    // Today's record counts as the most recent day of the window when its energy values are known
+    const records = history.map((record, index) => dailyRecord(`history[${index}]`, record));
+    const todayRecord = hasTodayEnergy ? dailyRecord('today', today) : null;
+    const window = (todayRecord ? [...records, todayRecord] : records).slice(-windowDays);
+    const usable = window.filter(record => record.rate !== null);
+
+    let stressEnergyRate;
+    let calculationMethod;
+    let daysUsed;
+
+    if (usable.length >= minDays) {
+        stressEnergyRate = usable.reduce((sum, record) => sum + record.rate, 0) / usable.length;
+        calculationMethod = 'rolling_average_rate';
+        daysUsed = usable.length;
+    } else if (todayRecord) {
+        stressEnergyRate = todayRecord.rate ?? 0;
+        calculationMethod = 'single_day_rate';
+        daysUsed = 1;
+    } else {
+        throw new InvalidInputError(
+            'history', `${usable.length} usable days`,
+            `at least ${minDays} days with overallStress > 0 are needed, or today's energyCapacity, paee and tef`
+        );
+    }
+
+    const stressEnergy = todayStress * stressEnergyRate;
+
+    return {
+        value: round2(stressEnergy),
+        stressEnergyRate: round2(stressEnergyRate),
+        energySurplus: todayRecord ? round2(todayRecord.energySurplus) : null,
+        overallStress: round2(todayStress),
+        daysUsed,
+        windowDays,
+        calculationMethod,
+        inputs: {
+            historyDays: history.length,
+            today: {
+                energyCapacity: todayRecord ? todayRecord.energyCapacity : today.energyCapacity,
+                paee: todayRecord ? todayRecord.paee : today.paee,
+                tef: todayRecord ? todayRecord.tef : today.tef,
+                overallStress: todayStress
+            }
+        },
+        formula: {
+            stressEnergyRate: calculationMethod === 'rolling_average_rate'
+                ? `Average over ${daysUsed} days of Energy_Surplus / Overall_Stress = ${round2(stressEnergyRate)}`
+                : `${round2(todayRecord.energySurplus)} / ${round2(todayStress)} = ${round2(stressEnergyRate)}`,
+            stressEnergy: `${round2(todayStress)} × ${round2(stressEnergyRate)} = ${round2(stressEnergy)}`
+        }
+    };
+}
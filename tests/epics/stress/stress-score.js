@@ -1,70 +1,129 @@
 /**
  * Stress Score Calculation
  *
- * Stress score is primarily based on Resting Heart Rate (RHR) with parasympathetic scoring.
- * Lower RHR indicates more parasympathetic (less stress), higher RHR indicates more sympathetic (more stress).
+ * Stress is derived from parasympathetic (vagal) activity, estimated from Resting Heart Rate (RHR)
+ * and, when available, Heart Rate Variability (RMSSD / SDNN).
+ * Lower RHR and higher HRV indicate more parasympathetic activity (less stress).
  *
  * Formula from OneVital specification:
  * RHR_Para(x) = if x >= μ_rhr: 0
  *               else: 100 * (1 - exp(- ((μ_rhr - x)^2) / (2 * σ_rhr^2)))
  *
  * where: x = resting heart rate (bpm), μ_rhr = 100 bpm, σ_rhr = 15 bpm
- * Overall_Stress = RHR_Para (inverted - high parasympathetic = low stress)
+ * HRV_Para = log-scale Gaussian of RMSSD / SDNN against baseline (see hrv-parasympathetic-score.js)
+ *
+ * Parasympathetic_Score = w_rhr * RHR_Para + w_hrv * HRV_Para (w_rhr = w_hrv = 0.5; RHR_Para alone without HRV)
+ * Stress_Level = 100 - Parasympathetic_Score
+ *
+ * Polarity:
+ * - stressLevel: 0 = calm, 100 = maximal stress (this is the result `value`)
+ * - parasympatheticScore: 100 = fully relaxed, 0 = no parasympathetic activity
  */
 
 import {calculateParasympatheticScore} from "./parasympatic-score.js";
+import {calculateHRVParasympatheticScore} from "./hrv-parasympathetic-score.js";
 import {calculateRHRfor30min} from "./RHR-for-30-min.js";
+import {isMissing, requireNumber} from "../shared/validation.js";
+import {DEFAULT_SCORING_CONFIG} from "../shared/scoring-config.js";
+import {calculateWeightedComposite} from "../shared/composite.js";
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
 
 /**
- * Calculate stress score based on resting heart rate
+ * Calculate stress level and parasympathetic score from resting heart rate and HRV
  * @param {number|Array} heartRateData - Either a single RHR value or array of HR readings
  * @param {number} totalStepsLast30Min - Total steps in last 30 minutes (for RHR calculation)
  * @param {number} muRHR - Baseline RHR (default 100 bpm)
  * @param {number} sigmaRHR - Tolerance for RHR (default 15 bpm)
  * @param {number} fallbackRHR - Fallback RHR if calculation not possible
- * @returns {Object} Complete stress score calculation result
+ * @param {number} restStepsThreshold - Steps in 30 minutes below which the user is considered at rest (default 300)
+ * @param {Object} hrvData - HRV input { rmssd, sdnn, baselineRMSSD, baselineSDNN } (optional)
+ * @param {Object} hrvParams - { rmssdReference, sdnnReference, lnSigma, rmssdWeight } (default: scoring profile stress.hrv)
+ * @param {Object} weights - Parasympathetic score weights { rhr, hrv } (default: scoring profile stress.weights)
+ * @returns {Object} Stress result: value = stressLevel (0 = calm), parasympatheticScore (100 = relaxed) and components
  */
-export function calculateStressScore(heartRateData, totalStepsLast30Min = 0, muRHR = 100, sigmaRHR = 15, fallbackRHR = 70) {
+export function calculateStressScore(
+    heartRateData, totalStepsLast30Min = 0, muRHR = 100, sigmaRHR = 15, fallbackRHR = 70, restStepsThreshold = 300,
+    hrvData = null, hrvParams = DEFAULT_SCORING_CONFIG.stress.hrv, weights = DEFAULT_SCORING_CONFIG.stress.weights
+) {
     let rhrResult;
 
     // Determine if we have pre-calculated RHR or need to calculate it
     if (typeof heartRateData === 'number') {
         // Pre-calculated RHR provided
+        requireNumber('heartRateData', heartRateData, {min: 20, max: 250});
         rhrResult = {
             value: heartRateData,
             calculationMethod: 'provided_rhr',
             inputs: {providedRHR: heartRateData},
-            components: {isAtRest: null, stepsThreshold: 300, averageHR: heartRateData}
+            components: {isAtRest: null, stepsThreshold: restStepsThreshold, averageHR: heartRateData}
         };
     } else if (Array.isArray(heartRateData)) {
         // Calculate RHR from heart rate readings
-        rhrResult = calculateRHRfor30min(heartRateData, totalStepsLast30Min, fallbackRHR);
+        rhrResult = calculateRHRfor30min(heartRateData, totalStepsLast30Min, fallbackRHR, restStepsThreshold);
     } else {
         // No data provided, use fallback
-        rhrResult = calculateRHRfor30min([], totalStepsLast30Min, fallbackRHR);
+        rhrResult = calculateRHRfor30min([], totalStepsLast30Min, fallbackRHR, restStepsThreshold);
     }
 
-    // Calculate parasympathetic score based on RHR
-    const parasympatheticResult = calculateParasympatheticScore(rhrResult.value, muRHR, sigmaRHR);
+    // Parasympathetic activity from RHR and, when measured, from HRV
+    const rhrParasympatheticResult = calculateParasympatheticScore(rhrResult.value, muRHR, sigmaRHR);
+    const hasHRV = !isMissing(hrvData) && (!isMissing(hrvData.rmssd) || !isMissing(hrvData.sdnn));
+    const hrvParasympatheticResult = hasHRV
+        ? calculateHRVParasympatheticScore(
+            hrvData, hrvParams.rmssdReference, hrvParams.sdnnReference, hrvParams.lnSigma, hrvParams.rmssdWeight
+        )
+        : null;
+
+    // Without HRV the RHR part carries the whole weight
+    const composite = calculateWeightedComposite({
+        rhr: rhrParasympatheticResult.value,
+        hrv: hasHRV ? hrvParasympatheticResult.value : null
+    }, weights);
 
-    // Calculate overall stress score
-    const overallStressResult = parasympatheticResult;
+    const parasympatheticScore = round2(composite.value ?? rhrParasympatheticResult.value);
+    const stressLevel = round2(100 - parasympatheticScore);
+
+    const parasympatheticResult = {
+        value: parasympatheticScore,
+        calculationMethod: hasHRV ? 'rhr_hrv_weighted' : 'rhr_only',
+        components: {
+            rhr: rhrParasympatheticResult.value,
+            hrv: hasHRV ? hrvParasympatheticResult.value : null,
+            weights: {
+                rhr: round2(composite.components.rhr.effectiveWeight),
+                hrv: round2(composite.components.hrv.effectiveWeight)
+            }
+        },
+        excludedComponents: composite.excluded,
+        coverage: composite.coverage
+    };
 
     return {
-        value: overallStressResult.value,
-        calculationMethod: 'rhr_based_stress',
+        value: stressLevel,
+        stressLevel,
+        parasympatheticScore,
+        calculationMethod: hasHRV ? 'rhr_hrv_stress' : 'rhr_based_stress',
         inputs: {
             heartRateData: typeof heartRateData === 'number' ? heartRateData :
                 Array.isArray(heartRateData) ? `${heartRateData.length} readings` : 'no_data',
             totalStepsLast30Min,
             muRHR,
             sigmaRHR,
-            fallbackRHR
+            fallbackRHR,
+            hrvData
         },
         components: {
             rhr: rhrResult,
+            rhrParasympathetic: rhrParasympatheticResult,
+            hrvParasympathetic: hrvParasympatheticResult,
             parasympathetic: parasympatheticResult,
-            overallStress: overallStressResult
+            overallStress: {
+                value: stressLevel,
+                formula: `100 - ${parasympatheticScore} = ${stressLevel}`
+            }
         }
     };
 }
\ No newline at end of file
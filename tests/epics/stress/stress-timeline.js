@@ -0,0 +1,224 @@
+/**
+ * Intraday Stress Timeline
+ *
+ * Stress level through the day from continuous, timestamped heart rate and step samples.
+ *
+ * 1. Slide a 30-minute window over the day in 5-minute steps
+ * 2. In every window: fewer than 300 steps → at rest, RHR = mean HR of the window (calculateRHRfor30min);
+ *    otherwise the window is active and is not scored (exercise HR is not stress)
+ * 3. Stress_Level(window) = 100 - RHR_Para(RHR) (see stress-score.js)
+ * 4. Daily summary over the scored windows: average, peak, time in each stress band
+ *    and the longest uninterrupted high-stress episode
+ *
+ * Each scored window accounts for `stepMinutes` of the day (the slide between consecutive windows),
+ * so time in bands adds up to the scored part of the day.
+ *
+ * Stress bands (lower bounds of stressLevel): calm 0, low 26, medium 51, high 76
+ */
+
+import {InvalidInputError, isMissing, requireArray, requireNumber} from "../shared/validation.js";
+import {DEFAULT_SCORING_CONFIG} from "../shared/scoring-config.js";
+import {calculateRHRfor30min} from "./RHR-for-30-min.js";
+import {calculateStressScore} from "./stress-score.js";
+
+const MINUTE_MS = 60 * 1000;
+const BANDS = ['calm', 'low', 'medium', 'high'];
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function toTime(field, time) {
+    const ms = time instanceof Date ? time.getTime()
+        : typeof time === 'number' ? time
+        : typeof time === 'string' ? new Date(time).getTime()
+        : NaN;
+    if (!Number.isFinite(ms)) {
+        throw new InvalidInputError(field, time, 'expected a Date, epoch milliseconds or an ISO date string');
+    }
+    return ms;
+}
+
+// семпли: [{ time, <valueKey> }] → [{ time (ms), value }] у хронологічному порядку
+function normalizeSamples(field, samples, valueKey, range) {
+    requireArray(field, samples);
+    return samples
+        .map((sample, index) => {
+            if (typeof sample !== 'object' || sample === null) {
+                throw new InvalidInputError(`${field}[${index}]`, sample, `expected { time, ${valueKey} }`);
+            }
+            return {
+                time: toTime(`${field}[${index}].time`, sample.time),
+                value: requireNumber(`${field}[${index}].${valueKey}`, sample[valueKey], range)
+            };
+        })
+        .sort((a, b) => a.time - b.time);
+}
+
+function stressBand(stressLevel, bands) {
+    if (stressLevel >= bands.high) return 'high';
+    if (stressLevel >= bands.medium) return 'medium';
+    if (stressLevel >= bands.low) return 'low';
+    return 'calm';
+}
+
+/**
+ * Calculate the per-window stress series of a day
+ * @param {Array} heartRateSamples - Timestamped HR samples { time, hr } (time: Date, epoch ms or ISO string)
+ * @param {Array} stepSamples - Timestamped step counts { time, steps } (steps taken since the previous sample)
+ * @param {Object} options - Timeline parameters
+ * @param {number} options.muRHR - Baseline RHR (default 100 bpm)
+ * @param {number} options.sigmaRHR - Tolerance for RHR (default 15 bpm)
+ * @param {number} options.fallbackRHR - Fallback RHR passed to the RHR estimation (default 70 bpm)
+ * @param {number} options.restStepsThreshold - Steps per 30 minutes below which a window is at rest (default 300)
+ * @param {number} options.windowMinutes - Window length (default 30)
+ * @param {number} options.stepMinutes - Slide between windows (default 5)
+ * @param {number} options.minReadings - HR readings needed to score a resting window (default 3)
+ * @param {Object} options.bands - Lower bounds of the { low, medium, high } stress bands (default 26 / 51 / 76)
+ * @returns {Object} { series, summary } where every window is
+ *   { start, end, state: 'rest' | 'active' | 'no_data', stressLevel, band, rhr, steps, readings }
+ */
+export function calculateStressTimeline(heartRateSamples, stepSamples = [], options = {}) {
+    const stress = DEFAULT_SCORING_CONFIG.stress;
+    const {
+        muRHR = stress.muRHR,
+        sigmaRHR = stress.sigmaRHR,
+        fallbackRHR = stress.fallbackRHR,
+        restStepsThreshold = stress.restStepsThreshold,
+        windowMinutes = stress.timeline.windowMinutes,
+        stepMinutes = stress.timeline.stepMinutes,
+        minReadings = stress.timeline.minReadings,
+        bands = stress.timeline.bands
+    } = options;
+
+    requireNumber('windowMinutes', windowMinutes, {min: 1, max: 24 * 60});
+    requireNumber('stepMinutes', stepMinutes, {min: 1, max: windowMinutes});
+    requireNumber('minReadings', minReadings, {min: 1});
+
+    const hr = normalizeSamples('heartRateSamples', heartRateSamples, 'hr', {min: 20, max: 250});
+    const steps = normalizeSamples('stepSamples', isMissing(stepSamples) ? [] : stepSamples, 'steps', {min: 0});
+    if (hr.length === 0) {
+        throw new InvalidInputError('heartRateSamples', heartRateSamples, 'at least one heart rate sample is required');
+    }
+
+    const windowMs = windowMinutes * MINUTE_MS;
+    const stepMs = stepMinutes * MINUTE_MS;
+    // the step threshold is defined per 30 minutes; scale it to the window length
+    const windowStepsThreshold = restStepsThreshold * windowMinutes / 30;
+
+    const firstTime = hr[0].time;
+    const lastTime = hr[hr.length - 1].time;
+
+    const series = [];
+    for (let start = firstTime; ; start += stepMs) {
+        const end = start + windowMs;
+        const readings = hr.filter(sample => sample.time >= start && sample.time < end).map(sample => sample.value);
+        const windowSteps = steps
+            .filter(sample => sample.time >= start && sample.time < end)
+            .reduce((sum, sample) => sum + sample.value, 0);
+
+        const rhr = calculateRHRfor30min(readings, windowSteps, fallbackRHR, windowStepsThreshold);
+        const window = {
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            state: 'rest',
+            stressLevel: null,
+            band: null,
+            rhr: null,
+            steps: windowSteps,
+            readings: readings.length
+        };
+
+        if (!rhr.components.isAtRest) {
+            window.state = 'active';
+        } else if (readings.length < minReadings) {
+            window.state = 'no_data';
+        } else {
+            const stressResult = calculateStressScore(rhr.value, windowSteps, muRHR, sigmaRHR, fallbackRHR, windowStepsThreshold);
+            window.rhr = rhr.value;
+            window.stressLevel = stressResult.stressLevel;
+            window.band = stressBand(stressResult.stressLevel, bands);
+        }
+        series.push(window);
+
+        if (end > lastTime) break;
+    }
+
+    return {
+        series,
+        summary: summarizeStressTimeline(series, stepMinutes),
+        calculationMethod: 'sliding_window_rhr_stress',
+        inputs: {
+            heartRateSamples: hr.length,
+            stepSamples: steps.length,
+            muRHR,
+            sigmaRHR,
+            fallbackRHR,
+            restStepsThreshold,
+            windowMinutes,
+            stepMinutes,
+            minReadings,
+            bands
+        }
+    };
+}
+
+/**
+ * Daily summary of a stress series
+ * @param {Array} series - Windows from calculateStressTimeline
+ * @param {number} stepMinutes - Minutes of the day each window accounts for (default 5)
+ * @returns {Object} { average, peak, timeInBands, longestHighStressEpisode, scoredWindows, activeWindows, noDataWindows, scoredMinutes }
+ */
+export function summarizeStressTimeline(series, stepMinutes = DEFAULT_SCORING_CONFIG.stress.timeline.stepMinutes) {
+    requireArray('series', series);
+
+    const scored = series.filter(window => window.stressLevel !== null);
+    const timeInBands = Object.fromEntries(BANDS.map(band => [band, 0]));
+    scored.forEach(window => {
+        timeInBands[window.band] += stepMinutes;
+    });
+
+    let peak = null;
+    scored.forEach(window => {
+        if (peak === null || window.stressLevel > peak.value) {
+            peak = {value: window.stressLevel, start: window.start, end: window.end};
+        }
+    });
+
+    // Longest run of consecutive high-stress windows; active or missing windows end an episode
+    let longest = null;
+    let current = null;
+    series.forEach(window => {
+        if (window.band === 'high') {
+            if (current === null) {
+                current = {start: window.start, end: window.end, windows: 0, peak: window.stressLevel};
+            }
+            current.end = window.end;
+            current.windows += 1;
+            current.peak = Math.max(current.peak, window.stressLevel);
+        } else {
+            current = null;
+        }
+        if (current !== null && (longest === null || current.windows > longest.windows)) {
+            longest = {...current};
+        }
+    });
+
+    return {
+        average: scored.length > 0
+            ? round2(scored.reduce((sum, window) => sum + window.stressLevel, 0) / scored.length)
+            : null,
+        peak,
+        timeInBands,
+        longestHighStressEpisode: longest === null ? null : {
+            start: longest.start,
+            end: longest.end,
+            durationMinutes: longest.windows * stepMinutes,
+            peak: longest.peak
+        },
+        scoredWindows: scored.length,
+        activeWindows: series.filter(window => window.state === 'active').length,
+        noDataWindows: series.filter(window => window.state === 'no_data').length,
+        scoredMinutes: scored.length * stepMinutes
+    };
+}
@@ -8,14 +8,34 @@
 
 import {sleep} from "../../../utils/async-helper.js";
 import {calculateRHRfor30min} from "../RHR-for-30-min.js";
+import {InvalidInputError} from "../../shared/validation.js";
 
 export const mockRHRTest = async () => {
     await sleep(2000);
     /// real test
-    const result = calculateRHRfor30min([120, 85, 60, 53, 14, 134, 120, 85, 60, 53, 14, 134, 120, 85, 60, 53, 14, 134, 120, 85, 60, 53, 14, 134], 1864);
+    const result = calculateRHRfor30min([62, 64, 61, 63, 65, 60, 62, 64, 66, 63, 61, 62, 64, 63, 60, 62, 65, 63, 61, 62, 64, 63, 62, 61], 180);
 
     console.info('calculate RHR =', result);
 
     return result;
 }
-mockRHRTest();
\ No newline at end of file
+mockRHRTest();
+
+export const mockRHRInvalidReadingsTest = async () => {
+    await sleep(1000);
+
+    console.info('🧪 RHR Invalid Readings Test - A reading outside 20-250 bpm is rejected');
+
+    try {
+        calculateRHRfor30min([62, 64, 14, 63], 180);
+    } catch (error) {
+        if (!(error instanceof InvalidInputError)) {
+            throw error;
+        }
+        console.info('   rejected:', error.message);
+        console.info('🎯 Invalid heart rate reading raises InvalidInputError');
+        return error;
+    }
+    throw new Error('Expected InvalidInputError for a heart rate reading of 14 bpm');
+};
+mockRHRInvalidReadingsTest();
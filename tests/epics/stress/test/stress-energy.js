@@ -0,0 +1,60 @@
+/**
+ * Stress Energy Calculation
+ *
+ * Energy_Surplus(d) = |Energy Capacity(d) - PAEE(d) - TEF(d)|
+ * Stress_Energy_Rate = Average over the last 30 days of Energy_Surplus(d) / Overall_Stress(d)
+ * Stress_Energy = Overall_Stress(today) × Stress_Energy_Rate
+ *
+ * where Overall_Stress is the stress level (0 = calm, 100 = maximal stress): more stress costs more energy.
+ */
+
+import {sleep} from "../../../utils/async-helper.js";
+import {calculateStressEnergy} from "../stress-energy.js";
+import {stressScore} from "../../stress_aggregator.js";
+
+// 10 days of energy records with a moderate stress level
+const history = Array.from({length: 10}, (_, index) => ({
+    date: `2026-10-${String(index + 1).padStart(2, '0')}`,
+    energyCapacity: 2800 + index * 20,
+    paee: 450,
+    tef: 230,
+    overallStress: 35 + (index % 3) * 5
+}));
+
+export const mockStressEnergyTest = async () => {
+    await sleep(2000);
+
+    const result = calculateStressEnergy(history, {overallStress: 60});
+
+    console.info('calculate Stress Energy =', result);
+
+    return result;
+};
+mockStressEnergyTest();
+
+export const mockStressEnergyIntegrationTest = async () => {
+    await sleep(1000);
+
+    console.info('🔗 Stress Energy Integration Test - Stress energy of a calm and a stressed day');
+
+    // Same history, resting HR of a calm day and of a stressed one
+    const run = rhr => stressScore({
+        heartRateData: [rhr],
+        totalStepsLast30Min: 100,
+        stressEnergyHistory: history,
+        energyCapacity: 2900, paee: 450, tef: 230
+    });
+    const calm = run(50);
+    const stressed = run(95);
+
+    console.info('   RHR 50 → stress level', calm.stressScore, '→ stress energy', calm.stressEnergyConversion.stressEnergy, 'kcal');
+    console.info('   RHR 95 → stress level', stressed.stressScore, '→ stress energy', stressed.stressEnergyConversion.stressEnergy, 'kcal');
+
+    if (!(stressed.stressEnergyConversion.stressEnergy > calm.stressEnergyConversion.stressEnergy)) {
+        throw new Error('Stress energy must rise with the stress level');
+    }
+    console.info('🎯 Stress energy rises with stress');
+
+    return {calm, stressed};
+};
+mockStressEnergyIntegrationTest();
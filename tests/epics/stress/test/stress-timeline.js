@@ -0,0 +1,101 @@
+/**
+ * Intraday Stress Timeline
+ *
+ * 30-minute windows slid over the day in 5-minute steps:
+ * - fewer than 300 steps in a window → at rest, RHR = mean HR of the window
+ * - Stress_Level(window) = 100 - RHR_Para(RHR); active windows and windows without readings are not scored
+ * - summary: average, peak, time in each stress band and the longest high-stress episode
+ *
+ * Stress bands (lower bounds of stressLevel): calm 0, low 26, medium 51, high 76
+ */
+
+import {sleep} from "../../../utils/async-helper.js";
+import {calculateStressTimeline} from "../stress-timeline.js";
+import {stressScore} from "../../stress_aggregator.js";
+
+const DAY_START = Date.parse('2026-10-19T08:00:00Z');
+const at = minute => new Date(DAY_START + minute * 60 * 1000).toISOString();
+
+// One HR sample per minute, steps per minute:
+// 08:00-09:00 calm rest (58 bpm), 09:00-09:30 watch off (no samples), 09:30-10:30 stressed rest (95 bpm),
+// 10:30-11:00 walk (120 bpm, 100 steps/min), 11:00-11:30 stressed rest again (92 bpm)
+const segments = [
+    {from: 0, to: 60, hr: 58, steps: 0},
+    {from: 90, to: 150, hr: 95, steps: 2},
+    {from: 150, to: 180, hr: 120, steps: 100},
+    {from: 180, to: 210, hr: 92, steps: 2}
+];
+const heartRateSamples = [];
+const stepSamples = [];
+segments.forEach(({from, to, hr, steps}) => {
+    for (let minute = from; minute < to; minute++) {
+        heartRateSamples.push({time: at(minute), hr});
+        stepSamples.push({time: at(minute), steps});
+    }
+});
+
+export const mockStressTimelineTest = async () => {
+    await sleep(2000);
+
+    const result = calculateStressTimeline(heartRateSamples, stepSamples);
+
+    console.info('calculate Stress Timeline summary =', result.summary);
+
+    const states = new Set(result.series.map(window => window.state));
+    ['rest', 'active', 'no_data'].forEach(state => {
+        if (!states.has(state)) {
+            throw new Error(`Expected ${state} windows in the timeline`);
+        }
+    });
+
+    // the 09:00 window falls entirely inside the gap
+    const gapWindow = result.series.find(window => window.start === at(60));
+    if (gapWindow.state !== 'no_data' || gapWindow.stressLevel !== null) {
+        throw new Error('A window without heart rate readings must be no_data and unscored');
+    }
+    // the 10:35 window is the walk: not scored as stress
+    const walkWindow = result.series.find(window => window.start === at(155));
+    if (walkWindow.state !== 'active' || walkWindow.stressLevel !== null) {
+        throw new Error('A window with 300+ steps must be active and unscored');
+    }
+
+    const {timeInBands, scoredMinutes, longestHighStressEpisode} = result.summary;
+    const bandMinutes = Object.values(timeInBands).reduce((sum, minutes) => sum + minutes, 0);
+    if (bandMinutes !== scoredMinutes) {
+        throw new Error(`Time in bands (${bandMinutes} min) must add up to the scored time (${scoredMinutes} min)`);
+    }
+    if (!(timeInBands.calm > 0 && timeInBands.high > 0)) {
+        throw new Error('Expected calm time in the morning and high-stress time later');
+    }
+
+    // the 09:30-10:30 stretch is longer than the 11:00-11:30 one, and the walk splits them
+    if (longestHighStressEpisode === null
+        || longestHighStressEpisode.start < at(60)
+        || longestHighStressEpisode.end > at(180)) {
+        throw new Error('The longest high-stress episode must be the one before the walk');
+    }
+    console.info('🎯 Longest high-stress episode:', longestHighStressEpisode);
+
+    return result;
+};
+mockStressTimelineTest();
+
+export const mockStressTimelineIntegrationTest = async () => {
+    await sleep(1000);
+
+    console.info('🔗 Stress Timeline Integration Test - Overall stress from the intraday timeline');
+
+    const result = stressScore({
+        heartRateData: [62, 64, 61],
+        totalStepsLast30Min: 120,
+        heartRateSamples,
+        stepSamples,
+        energyCapacity: 2900, paee: 450, tef: 230
+    });
+
+    console.info('   Timeline average stress:', result.timeline.summary.average);
+    console.info('   Stress energy:', result.stressEnergyConversion.stressEnergy, 'kcal');
+
+    return result;
+};
+mockStressTimelineIntegrationTest();
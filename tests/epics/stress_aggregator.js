@@ -1,120 +1,307 @@
 // stress_aggregator.js
 import { calculateStressScore } from "./stress/stress-score.js";
+import { calculateStressTimeline } from "./stress/stress-timeline.js";
+import { calculateStressEnergy } from "./stress/stress-energy.js";
+import { RRD } from "./sleep/rrd.js";
+import { ODI } from "./sleep/odi.js";
+import { calculateWeightedComposite } from "./shared/composite.js";
+import { profileVersion, resolveScoringConfig } from "./shared/scoring-config.js";
+import { resolvePersonalBaselines, withBaseline } from "./shared/baselines.js";
+import { calculateTrends, withTrend } from "./shared/trend.js";
+import { isMissing } from "./shared/validation.js";
+import { assessDataQuality, trackInputs, wearTimeCoverage, withDefault } from "./shared/data-quality.js";
 
 function round2(n) { return Number(n.toFixed(2)); }
 
 /**
- * Calculate comprehensive stress score (0-100) based on resting heart rate data
+ * Illness / strain signal from overnight breathing rate and SpO2 dips
+ * Strain = 100 - weighted average of the available RRD and ODI scores (0 = no signal);
+ * weights of missing signals are spread over the available ones
+ */
+function calculateIllnessStrain(signals, weights, possibleThreshold, likelyThreshold) {
+  const composite = calculateWeightedComposite(signals, weights);
+  if (composite.value === null) return null;
+
+  const strain = round2(100 - composite.value);
+
+  return {
+    value: strain,
+    level: strain >= likelyThreshold ? 'likely' : strain >= possibleThreshold ? 'possible' : 'none',
+    signals,
+    excludedSignals: composite.excluded
+  };
+}
+
+/**
+ * Calculate comprehensive stress score (0-100) based on resting heart rate and HRV data
  * 
- * This function analyzes stress levels primarily based on Resting Heart Rate (RHR) using
- * parasympathetic scoring. Lower RHR indicates higher parasympathetic activity (less stress),
- * while higher RHR indicates more sympathetic activity (higher stress).
+ * This function analyzes stress levels based on Resting Heart Rate (RHR) and, when available,
+ * HRV (RMSSD / SDNN) using parasympathetic scoring. Lower RHR and higher HRV indicate higher
+ * parasympathetic activity (less stress).
+ *
+ * Polarity of the outputs:
+ * - stressScore / stressLevel: 0 = calm, 100 = maximal stress (as consumed by the energy module)
+ * - parasympatheticScore: 100 = fully relaxed (stressLevel = 100 - parasympatheticScore)
  * 
  * @param {Object} values - Stress data and biometric measurements
  * @param {number|Array} values.heartRateData - Either pre-calculated RHR or array of HR readings from last 30 minutes
  * @param {number} values.totalStepsLast30Min - Total steps taken in last 30 minutes (for RHR calculation)
  * @param {number} values.muRHR - Baseline RHR value (default 100 bpm)
  * @param {number} values.sigmaRHR - Tolerance/sigma for RHR calculation (default 15 bpm)
- * @param {number} values.fallbackRHR - Fallback RHR if calculation not possible (default 70 bpm)
+ * @param {number} values.fallbackRHR - Fallback RHR if calculation not possible (default: personal resting HR baseline, then 70 bpm)
+ * @param {number} values.rmssd - HRV RMSSD in ms (optional)
+ * @param {number} values.sdnn - HRV SDNN in ms (optional)
+ * @param {number} values.baselineRMSSD - Personal RMSSD baseline in ms (default: personal HRV baseline, then population reference)
+ * @param {number} values.baselineSDNN - Personal SDNN baseline in ms (default: population reference)
+ * @param {number} values.respiratoryRate - Nocturnal respiratory rate (breaths/min), for the illness/strain signal (optional)
+ * @param {number} values.baselineRespiratoryRate - Personal baseline respiratory rate (optional; default: personal baseline)
+ * @param {number} values.respiratoryRateDeviation - Respiratory rate deviation reported by the wearable (optional)
+ * @param {Array} values.spo2Samples - Overnight SpO2 readings (%) at a fixed interval, for the illness/strain signal (optional)
+ * @param {number} values.spo2SampleIntervalSeconds - Seconds between SpO2 readings (required with spo2Samples)
+ * @param {number} values.odi - Oxygen desaturation index reported by the wearable (events/h, optional)
+ * @param {Array} values.heartRateSamples - Full day of timestamped HR samples { time, hr } for the intraday timeline (optional)
+ * @param {Array} values.stepSamples - Timestamped step counts { time, steps } for the intraday timeline (optional)
+ * @param {Array} values.dailyHistory - Daily { date, restingHR, hrv, sleepHR } records for personal baselines (optional)
+ * @param {Object} values.baselines - Precomputed personal baselines (calculatePersonalBaselines) (optional)
  * @param {number} values.energyCapacity - Energy capacity for stress-energy conversion (optional)
  * @param {number} values.paee - Physical Activity Energy Expenditure (optional)
  * @param {number} values.tef - Thermic Effect of Food (optional)
- * @param {number} values.averageMonthlyStress - Average stress over last month for energy rate calculation (optional)
- * @returns {Object} Comprehensive stress analysis with all calculated metrics
+ * @param {number} values.averageMonthlyStress - Overall stress of the day for the stress-energy conversion (optional,
+ *   default: intraday timeline average, then the current stress level)
+ * @param {Array} values.stressEnergyHistory - Up to 30 past daily { date, energyCapacity, paee, tef, overallStress } records;
+ *   the stress energy rate is averaged over them (optional, single-day rate without it)
+ * @param {number} values.wearTimeMinutes - Minutes the device was worn today, for dataQuality (optional,
+ *   default: timeline windows with heart rate readings)
+ * @param {number} values.expectedWearMinutes - Minutes it should have been worn (optional, default 1440)
+ * @param {Object} values.scoreHistory - Past daily values by metric name (stressScore, rhr, parasympatheticScore),
+ *   oldest first; used for trend and normDeviation (optional)
+ * @param {Object|string} config - Scoring profile (see shared/scoring-config.js) or its identifier, default onevital-spec-v2
+ * @returns {Object} Comprehensive stress analysis with all calculated metrics and the profileVersion used
  */
-function stressScore(values) {
+function stressScore(values, config) {
+  const scoringConfig = resolveScoringConfig(config);
+  const params = scoringConfig.stress;
+
   // Extract all stress and biometric data from input
   const {
     // Primary stress calculation inputs
     heartRateData, totalStepsLast30Min, muRHR, sigmaRHR, fallbackRHR,
+
+    // HRV inputs
+    rmssd, sdnn, baselineRMSSD, baselineSDNN,
+
+    // Intraday timeline inputs
+    heartRateSamples, stepSamples,
+
+    // Illness / strain inputs (overnight breathing rate and blood oxygen)
+    respiratoryRate, baselineRespiratoryRate, respiratoryRateDeviation,
+    spo2Samples, spo2SampleIntervalSeconds, odi,
     
     // Optional stress-energy conversion inputs
-    energyCapacity, paee, tef, averageMonthlyStress
+    energyCapacity, paee, tef, averageMonthlyStress, stressEnergyHistory
   } = values;
 
+  // Personal resting HR baseline replaces the fixed fallback RHR
+  const baselines = resolvePersonalBaselines(values, scoringConfig.baselines);
+  const fallbackRHRInput = withBaseline(fallbackRHR, baselines?.restingHR);
+  // Personal HRV baseline (RMSSD) when no RMSSD baseline is provided
+  const baselineRMSSDInput = withBaseline(baselineRMSSD, baselines?.hrv);
+  const baselineRespiratoryRateInput = withBaseline(baselineRespiratoryRate, baselines?.respiratoryRate);
+
   // === CALCULATE PRIMARY STRESS METRICS ===
   
-  // Main Stress Score - Based on RHR and parasympathetic scoring
+  // Main Stress Score - stress level (0 = calm) from RHR and HRV parasympathetic scoring
   const mainStressScore = calculateStressScore(
     heartRateData,
     totalStepsLast30Min || 0,
-    muRHR || 100,
-    sigmaRHR || 15,
-    fallbackRHR || 70
+    muRHR || params.muRHR,
+    sigmaRHR || params.sigmaRHR,
+    fallbackRHRInput.value || params.fallbackRHR,
+    params.restStepsThreshold,
+    { rmssd, sdnn, baselineRMSSD: baselineRMSSDInput.value, baselineSDNN },
+    params.hrv,
+    params.weights
+  );
+
+  // Intraday Stress Timeline - 30-minute sliding windows over the day's HR and step streams
+  const timeline = heartRateSamples ? calculateStressTimeline(heartRateSamples, stepSamples, {
+    muRHR: muRHR || params.muRHR,
+    sigmaRHR: sigmaRHR || params.sigmaRHR,
+    fallbackRHR: fallbackRHRInput.value || params.fallbackRHR,
+    restStepsThreshold: params.restStepsThreshold,
+    ...params.timeline
+  }) : null;
+
+  // Illness / Strain - elevated breathing rate and SpO2 dips (sleep RRD and ODI sub-scores)
+  const hasRespiratoryRate = respiratoryRateDeviation !== undefined ||
+    (respiratoryRate !== undefined && baselineRespiratoryRateInput.value !== undefined);
+  const hasSpO2 = odi !== undefined || spo2Samples !== undefined;
+  const illnessStrain = calculateIllnessStrain(
+    {
+      rrd: hasRespiratoryRate
+        ? RRD({
+            rate: respiratoryRate,
+            baselineRate: baselineRespiratoryRateInput.value,
+            deviation: respiratoryRateDeviation,
+            ...scoringConfig.sleep.rrd
+          })
+        : null,
+      odi: hasSpO2
+        ? ODI({ odi, spo2Samples, sampleIntervalSeconds: spo2SampleIntervalSeconds, ...scoringConfig.sleep.odi })
+        : null
+    },
+    params.illness.weights,
+    params.illness.possibleThreshold,
+    params.illness.likelyThreshold
   );
 
   // === CALCULATE OPTIONAL STRESS-ENERGY CONVERSION ===
   
+  // Overall_Stress is the average stress level of the whole day: the intraday timeline average when
+  // available, otherwise the current stress level (averageMonthlyStress overrides both, as before)
+  const overallStress = averageMonthlyStress ?? timeline?.summary.average ?? mainStressScore.value;
+  const hasTodayEnergy = energyCapacity && paee !== undefined && tef !== undefined;
+
   let stressEnergyConversion = null;
-  
-  if (energyCapacity && paee !== undefined && tef !== undefined) {
-    // Energy_Surplus = |Energy Capacity - PAEE (movement/activity energy cost) - TEF (digestive energy cost)|
-    const energySurplus = Math.abs(energyCapacity - paee - tef);
-    
-    // Overall_Stress is AVG stress for the whole day (use monthly average if provided, otherwise current)
-    const overallStress = averageMonthlyStress !== undefined ? averageMonthlyStress : mainStressScore.value;
-    
-    // Stress_Energy_Rate = Average(Energy_Surplus/(100 - Overall_Stress))
-    // Note: This should be averaged over the last month, but using single calculation here
-    const stressEnergyRate = overallStress >= 100 ? 0 : energySurplus / (100 - overallStress);
-    
-    // Stress_Energy = (100 - Overall_Stress) x Stress_Energy_Rate
-    const stressEnergy = (100 - overallStress) * stressEnergyRate;
-    
+
+  if (stressEnergyHistory || hasTodayEnergy) {
+    // Stress_Energy_Rate averaged over the last month of { energyCapacity, paee, tef, overallStress } records
+    const stressEnergy = calculateStressEnergy(
+      stressEnergyHistory || [],
+      hasTodayEnergy ? { energyCapacity, paee, tef, overallStress } : { overallStress },
+      params.stressEnergy.windowDays,
+      params.stressEnergy.minDays
+    );
+
+    // today's energy values in kcal (they may be passed as tagged quantities)
+    const today = stressEnergy.inputs.today;
     stressEnergyConversion = {
-      energySurplus: round2(energySurplus),
-      stressEnergyRate: round2(stressEnergyRate),
-      stressEnergy: round2(stressEnergy),
-      overallStress: round2(overallStress),
+      energySurplus: stressEnergy.energySurplus,
+      stressEnergyRate: stressEnergy.stressEnergyRate,
+      stressEnergy: stressEnergy.value,
+      overallStress: stressEnergy.overallStress,
+      daysUsed: stressEnergy.daysUsed,
+      calculationMethod: stressEnergy.calculationMethod,
       inputs: {
-        energyCapacity,
-        paee,
-        tef,
+        energyCapacity: today.energyCapacity,
+        paee: today.paee,
+        tef: today.tef,
         averageMonthlyStress,
+        historyDays: stressEnergy.inputs.historyDays,
         currentStress: mainStressScore.value
       },
       formula: {
-        energySurplus: `|${energyCapacity} - ${paee} - ${tef}| = ${round2(energySurplus)}`,
-        stressEnergyRate: `${round2(energySurplus)} / (100 - ${round2(overallStress)}) = ${round2(stressEnergyRate)}`,
-        stressEnergy: `(100 - ${round2(overallStress)}) × ${round2(stressEnergyRate)} = ${round2(stressEnergy)}`
+        energySurplus: hasTodayEnergy ? `|${today.energyCapacity} - ${today.paee} - ${today.tef}| = ${stressEnergy.energySurplus}` : null,
+        ...stressEnergy.formula
       }
     };
   }
 
+  // Trend (0 down, 1 stable, 2 up) and normDeviation (0 below, 1 normal, 2 above) against the user's history
+  const trends = calculateTrends({
+    stressScore: mainStressScore.value,
+    rhr: mainStressScore.components.rhr.value,
+    parasympatheticScore: mainStressScore.parasympatheticScore
+  }, values.scoreHistory, scoringConfig.trend);
+
+  // How much of the result rests on measured data: RHR fallbacks, HRV coverage and, when the
+  // intraday timeline ran, the share of windows with heart rate readings as wear time
+  const rhrFallback = mainStressScore.components.rhr.calculationMethod.startsWith('fallback');
+  const dataQuality = assessDataQuality({
+    inputs: {
+      ...trackInputs(values, ['heartRateData']),
+      totalStepsLast30Min: withDefault(totalStepsLast30Min, 0),
+      ...(rhrFallback ? {
+        fallbackRHR: fallbackRHRInput.source === 'missing'
+          ? withDefault(undefined, params.fallbackRHR)
+          : fallbackRHRInput
+      } : {})
+    },
+    fallbacks: rhrFallback ? [{
+      input: 'rhr',
+      value: mainStressScore.components.rhr.value,
+      reason: mainStressScore.components.rhr.calculationMethod
+    }] : [],
+    componentCoverage: mainStressScore.components.parasympathetic.coverage,
+    wearTime: !isMissing(values.wearTimeMinutes) || !timeline
+      ? wearTimeCoverage(values.wearTimeMinutes, values.expectedWearMinutes ?? scoringConfig.dataQuality.expectedWearMinutes)
+      : wearTimeCoverage(
+          (timeline.series.length - timeline.summary.noDataWindows) * timeline.inputs.stepMinutes,
+          timeline.series.length * timeline.inputs.stepMinutes
+        )
+  }, scoringConfig.dataQuality);
+
   // === COMPILE COMPREHENSIVE RESULTS ===
   
   const results = {
-    // Primary stress score
-    stressScore: round2(mainStressScore.value),
-    
+    // Primary stress score (0 = calm, 100 = maximal stress); stressLevel is the same value
+    stressScore: round2(mainStressScore.stressLevel),
+    stressLevel: round2(mainStressScore.stressLevel),
+
+    // Parasympathetic activity (100 = fully relaxed)
+    parasympatheticScore: round2(mainStressScore.parasympatheticScore),
+
     // Component breakdown
     rhr: round2(mainStressScore.components.rhr.value),
-    parasympatheticScore: round2(mainStressScore.components.parasympathetic.value),
+    rhrParasympatheticScore: round2(mainStressScore.components.rhrParasympathetic.value),
+    hrvParasympatheticScore: mainStressScore.components.hrvParasympathetic
+      ? round2(mainStressScore.components.hrvParasympathetic.value)
+      : null,
+
+    // Parasympathetic inputs left out of the weighted combination (e.g. ['hrv'] without HRV data)
+    excludedComponents: mainStressScore.components.parasympathetic.excludedComponents,
     
     // Optional stress-energy metrics
     stressEnergyConversion,
+
+    // Optional illness / strain signal (0 = no signal) from breathing rate and SpO2 dips
+    illnessStrain,
+
+    // Optional intraday stress series and daily summary (average, peak, time in bands, longest high-stress episode)
+    timeline,
+
+    // Trend and normDeviation of every metric (null without enough scoreHistory)
+    trends,
     
     // Detailed component objects for advanced analysis
     components: {
-      stressScoreDetailed: mainStressScore,
-      rhrDetailed: mainStressScore.components.rhr,
-      parasympatheticDetailed: mainStressScore.components.parasympathetic,
+      stressScoreDetailed: withTrend(mainStressScore, trends.stressScore),
+      rhrDetailed: withTrend(mainStressScore.components.rhr, trends.rhr),
+      parasympatheticDetailed: withTrend(mainStressScore.components.parasympathetic, trends.parasympatheticScore),
+      rhrParasympatheticDetailed: mainStressScore.components.rhrParasympathetic,
+      hrvParasympatheticDetailed: mainStressScore.components.hrvParasympathetic,
       stressEnergyDetailed: stressEnergyConversion
     },
     
+    // Where the fallback RHR came from (provided, personal baseline or profile default)
+    baselines: {
+      restingHR: fallbackRHRInput.source === 'missing'
+        ? { ...fallbackRHRInput, value: params.fallbackRHR, source: 'profile_default' }
+        : fallbackRHRInput,
+      rmssd: baselineRMSSDInput.source === 'missing'
+        ? { ...baselineRMSSDInput, value: params.hrv.rmssdReference, source: 'population_reference' }
+        : baselineRMSSDInput
+    },
+
+    // Real vs defaulted inputs, fallbacks that fired, wear-time coverage and overall confidence (0-1)
+    dataQuality,
+
     // Stress level analysis
     analysis: {
-      stressLevel: mainStressScore.value >= 80 ? 'low stress' : 
-                  mainStressScore.value >= 60 ? 'moderate stress' : 
-                  mainStressScore.value >= 40 ? 'elevated stress' : 'high stress',
-      parasympatheticActivity: mainStressScore.components.parasympathetic.value >= 80 ? 'very high' : 
-                              mainStressScore.components.parasympathetic.value >= 60 ? 'high' : 
-                              mainStressScore.components.parasympathetic.value >= 40 ? 'moderate' : 'low',
+      stressLevel: mainStressScore.stressLevel <= 20 ? 'low stress' : 
+                  mainStressScore.stressLevel <= 40 ? 'moderate stress' : 
+                  mainStressScore.stressLevel <= 60 ? 'elevated stress' : 'high stress',
+      parasympatheticActivity: mainStressScore.parasympatheticScore >= 80 ? 'very high' : 
+                              mainStressScore.parasympatheticScore >= 60 ? 'high' : 
+                              mainStressScore.parasympatheticScore >= 40 ? 'moderate' : 'low',
       rhrStatus: mainStressScore.components.rhr.value <= 60 ? 'excellent' : 
                  mainStressScore.components.rhr.value <= 70 ? 'good' : 
                  mainStressScore.components.rhr.value <= 80 ? 'average' : 'elevated',
-      isAtRest: mainStressScore.components.rhr.components.isAtRest
-    }
+      isAtRest: mainStressScore.components.rhr.components?.isAtRest ?? null,
+      illnessStrain: illnessStrain ? illnessStrain.level : 'unknown'
+    },
+
+    profileVersion: profileVersion(scoringConfig)
   };
 
   return results;
@@ -137,6 +324,10 @@ stressScore({
   muRHR: 100,
   sigmaRHR: 15,
   fallbackRHR: 70,
+
+  // Optional: HRV (RMSSD / SDNN) as a second parasympathetic input
+  rmssd: 38,
+  sdnn: 52,
   
   // Optional: For stress-energy conversion
   energyCapacity: 2500,
@@ -0,0 +1,200 @@
+// wellness_aggregator.js
+import { sleepScore } from "./sleep_aggregator.js";
+import { stressScore } from "./stress_aggregator.js";
+import { energyScore } from "./energy_aggregator.js";
+import { activityScore } from "./activity_aggregator.js";
+import { profileVersion, resolveScoringConfig } from "./shared/scoring-config.js";
+import { InvalidInputError, isMissing } from "./shared/validation.js";
+import { calculateWeightedComposite } from "./shared/composite.js";
+import { combineDataQuality } from "./shared/data-quality.js";
+
+function round2(n) { return Number(n.toFixed(2)); }
+
+const DOMAINS = ['sleep', 'stress', 'energy', 'activity'];
+
+// Domain scores (0-100) combined into the wellness score; the node id is used in the provenance graph
+const DOMAIN_SCORES = {
+  sleep: { node: 'sleep.total', pick: result => result.total },
+  stress: { node: 'stress.parasympatheticScore', pick: result => result.parasympatheticScore },
+  energy: { node: 'energy.sustainabilityScore', pick: result => result.analysis.sustainabilityScore },
+  activity: { node: 'activity.finalActivityScore', pick: result => result.finalActivityScore }
+};
+
+/**
+ * Value for a downstream input: the upstream output when that domain ran, otherwise the caller's value
+ * @returns {Object} { value, source } where source is the upstream node id, 'input' or 'profile_default'
+ */
+function pipe(upstream, upstreamNode, provided) {
+  if (!isMissing(upstream)) return { value: upstream, source: upstreamNode };
+  if (!isMissing(provided)) return { value: provided, source: 'input' };
+  return { value: undefined, source: 'profile_default' };
+}
+
+/**
+ * Calculate the daily wellness score by running the sleep, stress, energy and activity aggregators
+ * in dependency order and feeding each one's outputs into the next:
+ * - sleep.total → energy.sleepScore (BMR adjustment and recovery score)
+ * - stress.stressScore (stress level, 0 = calm) → energy.stressScore / stressIndex (BMR adjustment and energy capacity)
+ * - stress.stressEnergy (when the stress-energy conversion ran) → energy.stressEnergy (total energy expenditure)
+ * - energy.energyCredit → activity.energyCreditCurrentScore (total energy credit score)
+ *
+ * Wellness = Σ wᵢ × domain scoreᵢ over the domains that were provided; the weights of missing
+ * domains are spread over the others. The stress domain contributes its parasympathetic score
+ * (100 - stress level, so higher is better like the other domains) and the energy domain its
+ * sustainability score (energy credit on a 0-100 scale).
+ *
+ * @param {Object} values - Daily inputs per domain; every domain is optional
+ * @param {Object} values.sleep - Input of sleepScore (see sleep_aggregator.js)
+ * @param {Object} values.stress - Input of stressScore (see stress_aggregator.js)
+ * @param {Object} values.energy - Input of energyScore; sleepScore, stressScore, stressIndex and stressEnergy are taken
+ *   from the sleep and stress results when those domains are provided
+ * @param {Object} values.activity - Input of activityScore; energyCreditCurrentScore is taken from the energy
+ *   result, energyCreditRollingAvg defaults to the energy result's rollingAvgCreditChanges (from its credit ledger
+ *   when values.energy.creditHistory is given)
+ * @param {Object|string} config - Scoring profile (see shared/scoring-config.js) or its identifier, default onevital-spec-v2
+ * @returns {Object} Wellness score (0-100), its dataQuality (confidence of the domains combined), per-domain results, the piped inputs and a provenance graph
+ *   ({ order, nodes, edges }) of which output fed which input
+ */
+function wellnessScore(values, config) {
+  const scoringConfig = resolveScoringConfig(config);
+  const weights = scoringConfig.wellness.weights;
+
+  if (isMissing(values) || typeof values !== 'object') {
+    throw new InvalidInputError('values', values, 'expected an object with sleep, stress, energy and/or activity inputs');
+  }
+  if (DOMAINS.every(domain => isMissing(values[domain]))) {
+    throw new InvalidInputError('values', values, 'at least one domain input is required', { allowed: DOMAINS });
+  }
+
+  const nodes = {};
+  const edges = [];
+  const order = [];
+
+  function addEdge(from, to, input, feeds) {
+    if (input.source === from) {
+      edges.push({ from, to, value: input.value, feeds });
+    }
+  }
+
+  // === 1. SLEEP ===
+
+  let sleep = null;
+  if (!isMissing(values.sleep)) {
+    sleep = sleepScore(values.sleep, scoringConfig);
+    order.push('sleep');
+    nodes['sleep.total'] = { domain: 'sleep', value: sleep.total };
+  }
+
+  // === 2. STRESS ===
+
+  let stress = null;
+  if (!isMissing(values.stress)) {
+    stress = stressScore(values.stress, scoringConfig);
+    order.push('stress');
+    nodes['stress.stressScore'] = { domain: 'stress', value: stress.stressScore };
+    nodes['stress.parasympatheticScore'] = { domain: 'stress', value: stress.parasympatheticScore };
+    if (stress.stressEnergyConversion) {
+      nodes['stress.stressEnergy'] = { domain: 'stress', value: stress.stressEnergyConversion.stressEnergy };
+    }
+  }
+
+  // === 3. ENERGY (needs sleep and stress) ===
+
+  const energyInput = values.energy || {};
+  const piped = {
+    sleepScore: pipe(sleep?.total, 'sleep.total', energyInput.sleepScore),
+    stressScore: pipe(stress?.stressScore, 'stress.stressScore', energyInput.stressScore),
+    stressIndex: pipe(stress?.stressScore, 'stress.stressScore', energyInput.stressIndex),
+    stressEnergy: pipe(stress?.stressEnergyConversion?.stressEnergy, 'stress.stressEnergy', energyInput.stressEnergy)
+  };
+
+  let energy = null;
+  if (!isMissing(values.energy)) {
+    energy = energyScore({
+      ...energyInput,
+      sleepScore: piped.sleepScore.value,
+      stressScore: piped.stressScore.value,
+      stressIndex: piped.stressIndex.value,
+      stressEnergy: piped.stressEnergy.value
+    }, scoringConfig);
+    order.push('energy');
+
+    addEdge('sleep.total', 'energy.sleepScore', piped.sleepScore, ['bmr', 'recovery']);
+    addEdge('stress.stressScore', 'energy.stressScore', piped.stressScore, ['bmr']);
+    addEdge('stress.stressScore', 'energy.stressIndex', piped.stressIndex, ['energyCapacity']);
+    addEdge('stress.stressEnergy', 'energy.stressEnergy', piped.stressEnergy, ['totalEnergyExpenditure']);
+
+    nodes['energy.energyCredit'] = { domain: 'energy', value: energy.energyCredit };
+    nodes['energy.sustainabilityScore'] = { domain: 'energy', value: energy.analysis.sustainabilityScore };
+  }
+
+  // === 4. ACTIVITY (needs energy credit) ===
+
+  const activityInput = values.activity || {};
+  piped.energyCreditCurrentScore = pipe(energy?.energyCredit, 'energy.energyCredit', activityInput.energyCreditCurrentScore);
+  piped.energyCreditRollingAvg = isMissing(activityInput.energyCreditRollingAvg)
+    ? pipe(energy?.rollingAvgCreditChanges ?? energyInput.rollingAvgCreditChanges, 'energy.rollingAvgCreditChanges')
+    : { value: activityInput.energyCreditRollingAvg, source: 'input' };
+
+  let activity = null;
+  if (!isMissing(values.activity)) {
+    activity = activityScore({
+      ...activityInput,
+      energyCreditCurrentScore: piped.energyCreditCurrentScore.value,
+      energyCreditRollingAvg: piped.energyCreditRollingAvg.value
+    }, scoringConfig);
+    order.push('activity');
+
+    addEdge('energy.energyCredit', 'activity.energyCreditCurrentScore', piped.energyCreditCurrentScore, ['totalEnergyCreditScore']);
+
+    nodes['activity.finalActivityScore'] = { domain: 'activity', value: activity.finalActivityScore };
+  }
+
+  // === 5. WELLNESS SCORE ===
+
+  const results = { sleep, stress, energy, activity };
+  const domainScores = Object.fromEntries(DOMAINS.map(domain =>
+    [domain, results[domain] === null ? null : DOMAIN_SCORES[domain].pick(results[domain])]
+  ));
+  const composite = calculateWeightedComposite(domainScores, weights);
+
+  const components = {};
+  DOMAINS.forEach(domain => {
+    const { value, weight, effectiveWeight, contribution } = composite.components[domain];
+    components[domain] = { value, weight, effectiveWeight: round2(effectiveWeight), contribution: round2(contribution) };
+    if (value !== null) {
+      edges.push({ from: DOMAIN_SCORES[domain].node, to: 'wellness.total', value, feeds: ['wellness'] });
+    }
+  });
+
+  const total = composite.value === null ? null : round2(composite.value);
+
+  // Domain confidences weighted like the domain scores, scaled by the share of weight that ran
+  const dataQuality = combineDataQuality(
+    Object.fromEntries(DOMAINS.map(domain => [domain, {
+      dataQuality: results[domain]?.dataQuality ?? null,
+      effectiveWeight: composite.components[domain].effectiveWeight
+    }])),
+    composite.coverage,
+    scoringConfig.dataQuality
+  );
+  nodes['wellness.total'] = { domain: 'wellness', value: total };
+
+  return {
+    total,
+    components,
+    excludedComponents: composite.excluded,
+    dataQuality,
+    domains: results,
+
+    // Inputs the orchestrator filled in, with the node they came from
+    pipedInputs: piped,
+
+    // Which output fed which input, in execution order
+    provenance: { order, nodes, edges },
+
+    profileVersion: profileVersion(scoringConfig)
+  };
+}
+
+export { wellnessScore };